@@ -0,0 +1,169 @@
+/** -------------- AUTHENTICATION & ROLES --------------
+ * Users live in the storage backend with scrypt password hashes. Logging in
+ * issues an HMAC-signed session token, returned as an HttpOnly cookie and
+ * also accepted as `Authorization: Bearer <token>` for scripts.
+ *
+ * Roles are ranked; each can do everything the roles before it can:
+ *   viewer    read-only
+ *   surveyor  create/edit buildings and layouts, save and submit entries
+ *   reviewer  verify, approve and reject entries
+ *   admin     delete buildings, manage users
+ * Seeing unmasked owner PII is granted separately, per user (`piiAccess`).
+ **/
+const crypto = require("crypto");
+
+const ROLES = ["viewer", "surveyor", "reviewer", "admin"];
+const SESSION_COOKIE = "ulpin_session";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+function hasRole(user, role) {
+  return (
+    Boolean(user) &&
+    ROLES.includes(user.role) &&
+    ROLES.indexOf(user.role) >= ROLES.indexOf(role)
+  );
+}
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// The user as exposed over the API, without the password hash.
+function publicUser(user) {
+  return user
+    ? {
+        username: user.username,
+        role: user.role,
+        piiAccess: Boolean(user.piiAccess),
+      }
+    : null;
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || "").split(";")) {
+    const idx = part.indexOf("=");
+    if (idx === -1) continue;
+    const name = part.slice(0, idx).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (e) {
+      // Ignore malformed cookies.
+    }
+  }
+  return cookies;
+}
+
+function createAuth({ store, secret }) {
+  if (!secret)
+    console.warn(
+      "AUTH_SECRET is not set; sessions will not survive a server restart."
+    );
+  const key = secret || crypto.randomBytes(32).toString("hex");
+
+  function signature(body) {
+    return crypto.createHmac("sha256", key).update(body).digest("base64url");
+  }
+
+  function issueToken(user) {
+    const body = Buffer.from(
+      JSON.stringify({ sub: user.username, exp: Date.now() + SESSION_TTL_MS })
+    ).toString("base64url");
+    return `${body}.${signature(body)}`;
+  }
+
+  // Returns the token payload, or null if it is forged or expired.
+  function readToken(token) {
+    const [body, sig] = String(token || "").split(".");
+    if (!body || !sig) return null;
+    const expected = Buffer.from(signature(body));
+    const actual = Buffer.from(sig);
+    if (
+      expected.length !== actual.length ||
+      !crypto.timingSafeEqual(expected, actual)
+    )
+      return null;
+    try {
+      const payload = JSON.parse(Buffer.from(body, "base64url").toString());
+      return payload.exp > Date.now() ? payload : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  function tokenFrom(req) {
+    const header = req.headers.authorization || "";
+    if (header.startsWith("Bearer ")) return header.slice(7).trim();
+    return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+  }
+
+  // Sets req.user from the session, re-reading the user so role changes and
+  // removals apply immediately. Never rejects; see requireRole.
+  async function authenticate(req, res, next) {
+    req.user = null;
+    try {
+      const payload = readToken(tokenFrom(req));
+      if (payload) req.user = publicUser(await store.getUser(payload.sub));
+      next();
+    } catch (err) {
+      next(err);
+    }
+  }
+
+  function requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user) return res.status(401).json({ error: "Login required" });
+      if (!hasRole(req.user, role))
+        return res.status(403).json({ error: `${role} role required` });
+      next();
+    };
+  }
+
+  function setSessionCookie(res, token) {
+    res.cookie(SESSION_COOKIE, token, {
+      httpOnly: true,
+      sameSite: "strict",
+      secure: process.env.NODE_ENV === "production",
+      maxAge: SESSION_TTL_MS,
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: "strict" });
+  }
+
+  // Resolves to the user when the credentials match, otherwise null.
+  async function login(username, password) {
+    const user = await store.getUser(String(username || ""));
+    if (!user || !verifyPassword(password, user.passwordHash)) return null;
+    return user;
+  }
+
+  return {
+    authenticate,
+    requireRole,
+    issueToken,
+    setSessionCookie,
+    clearSessionCookie,
+    login,
+  };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  hashPassword,
+  verifyPassword,
+  publicUser,
+  createAuth,
+};
@@ -0,0 +1,335 @@
+/** -------------- BULK BUILDING IMPORT --------------
+ * Reads building footprints from a zipped shapefile, a GeoJSON file or a CSV
+ * with a WKT geometry column, maps their attributes onto the properties
+ * createBuildingFromDrawn() in index.html sets, and checks each one against
+ * the existing buildings (and the earlier rows of the same file):
+ *
+ *   ok         will be imported
+ *   invalid    no usable footprint, or outside every village parcel
+ *   duplicate  covers the same ground as another building (≥ 95% overlap)
+ *   overlap    partly overlaps another building
+ *
+ * Only `ok` rows are imported; BIDs are assigned by the store on commit, so
+ * the ones in a dry-run report are provisional.
+ **/
+const path = require("path");
+const turf = require("@turf/turf");
+
+const DUPLICATE_RATIO = 0.95;
+// Overlaps smaller than this (m²) are rounding at shared walls, not overlaps.
+const MIN_OVERLAP_M2 = 0.5;
+const DEFAULT_FLOOR_HEIGHT = 3;
+
+// Target property → source columns tried, case-insensitively, in order.
+// DBF truncates names to 10 characters, hence "building_t".
+const FIELD_ALIASES = {
+  NAME: ["name", "building_name", "bldg_name", "bldgname"],
+  height: ["height", "height_m", "bldg_ht", "ht"],
+  floors: ["floors", "no_floors", "num_floors", "storeys", "stories", "levels"],
+  // Not "type": in our shapefiles that marks building vs room features.
+  building_type: ["building_type", "building_t", "bldg_type", "category"],
+};
+const WKT_COLUMNS = ["wkt", "geometry", "geom", "the_geom", "shape"];
+
+function lookup(props, key) {
+  const lowered = String(key).toLowerCase();
+  for (const [k, value] of Object.entries(props || {}))
+    if (k.toLowerCase() === lowered) return value;
+  return undefined;
+}
+
+/* ---------- file parsing ---------- */
+
+// Minimal RFC 4180 reader: quoted fields may contain commas, quotes ("")
+// and newlines, which WKT columns need.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c !== '"') field += c;
+      else if (src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else quoted = false;
+    } else if (c === '"') {
+      quoted = true;
+    } else if (c === ",") {
+      row.push(field);
+      field = "";
+    } else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += c;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+  return rows.filter((r) => r.some((v) => v.trim() !== ""));
+}
+
+// POLYGON / MULTIPOLYGON WKT → GeoJSON geometry, or null. Z/M values are
+// dropped.
+function parseWkt(text) {
+  const match =
+    /^\s*(MULTIPOLYGON|POLYGON)\s*(?:ZM|Z|M)?\s*(\([\s\S]*\))\s*$/i.exec(
+      String(text || "")
+    );
+  if (!match) return null;
+  let valid = true;
+  const json = match[2]
+    .replace(/[^(),\s]+(?:\s+[^(),\s]+)*/g, (point) => {
+      const xy = point.trim().split(/\s+/).slice(0, 2).map(Number);
+      if (xy.length < 2 || !xy.every(Number.isFinite)) valid = false;
+      return JSON.stringify(xy);
+    })
+    .replace(/\(/g, "[")
+    .replace(/\)/g, "]");
+  if (!valid) return null;
+  try {
+    return {
+      type: match[1].toUpperCase() === "POLYGON" ? "Polygon" : "MultiPolygon",
+      coordinates: JSON.parse(json),
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function featuresFromCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { error: "CSV file is empty" };
+  const names = header.map((h) => h.trim());
+  const wktIdx = names.findIndex((h) => WKT_COLUMNS.includes(h.toLowerCase()));
+  if (wktIdx === -1)
+    return {
+      error: `CSV needs a WKT column named one of: ${WKT_COLUMNS.join(", ")}`,
+    };
+  return {
+    features: rows.map((values) => {
+      const properties = {};
+      names.forEach((name, i) => {
+        if (i !== wktIdx) properties[name] = values[i] ?? "";
+      });
+      return {
+        type: "Feature",
+        geometry: parseWkt(values[wktIdx]),
+        properties,
+      };
+    }),
+  };
+}
+
+function featuresFromGeojson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { error: "GeoJSON file is not valid JSON" };
+  }
+  if (data && data.type === "FeatureCollection")
+    return { features: Array.isArray(data.features) ? data.features : [] };
+  if (data && data.type === "Feature") return { features: [data] };
+  if (data && data.type && data.coordinates)
+    return { features: [{ type: "Feature", geometry: data, properties: {} }] };
+  return { error: "GeoJSON must be a FeatureCollection, Feature or geometry" };
+}
+
+async function featuresFromShapefileZip(buffer) {
+  const { default: shp } = await import("shpjs");
+  try {
+    const parsed = await shp(
+      buffer.buffer.slice(
+        buffer.byteOffset,
+        buffer.byteOffset + buffer.byteLength
+      )
+    );
+    // shpjs returns an array when the zip holds several layers.
+    const layers = Array.isArray(parsed) ? parsed : [parsed];
+    return { features: layers.flatMap((l) => l.features || []) };
+  } catch (e) {
+    return { error: "Invalid .zip — must include .shp, .dbf, .shx" };
+  }
+}
+
+// file: { originalname, buffer } as given by multer's memory storage.
+// Resolves to { features } or { error }.
+async function parseImportFile(file) {
+  const ext = path.extname(file.originalname || "").toLowerCase();
+  if (ext === ".zip") return featuresFromShapefileZip(file.buffer);
+  if (ext === ".geojson" || ext === ".json")
+    return featuresFromGeojson(file.buffer.toString("utf8"));
+  if (ext === ".csv") return featuresFromCsv(file.buffer.toString("utf8"));
+  return { error: "Upload a .zip shapefile, .geojson/.json or .csv file" };
+}
+
+/* ---------- attribute mapping ---------- */
+
+// mapping: optional { NAME, height, floors, building_type } → column name,
+// overriding FIELD_ALIASES.
+function mapAttributes(props, mapping = {}, row) {
+  const pick = (target) => {
+    const columns = mapping[target] ? [mapping[target]] : FIELD_ALIASES[target];
+    for (const column of columns) {
+      const value = lookup(props, column);
+      if (value != null && String(value).trim() !== "") return value;
+    }
+    return undefined;
+  };
+  const warnings = [];
+
+  let floors = parseInt(pick("floors"), 10);
+  let height = parseFloat(pick("height"));
+  if (!(floors >= 1)) {
+    floors =
+      height > 0 ? Math.max(1, Math.round(height / DEFAULT_FLOOR_HEIGHT)) : 1;
+    warnings.push(`floors missing; using ${floors}`);
+  }
+  if (!(height > 0)) {
+    height = floors * DEFAULT_FLOOR_HEIGHT;
+    warnings.push(`height missing; using ${height} m`);
+  }
+
+  return {
+    attrs: {
+      NAME: String(pick("NAME") ?? `Imported Building ${row}`),
+      height,
+      floors,
+      building_type: String(pick("building_type") ?? "Standard"),
+    },
+    warnings,
+  };
+}
+
+/* ---------- checks ---------- */
+
+function overlapArea(a, b) {
+  try {
+    const shared = turf.intersect(turf.featureCollection([a, b]));
+    return shared ? turf.area(shared) : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function bboxesTouch(a, b) {
+  return !(a[2] < b[0] || b[2] < a[0] || a[3] < b[1] || b[3] < a[1]);
+}
+
+/**
+ * features:          parsed features, in file order
+ * existing:          features already in createBuilding.geojson
+ * validateFootprint: geometry → { parcel } | { error } (see server.js)
+ * mapping:           column overrides for mapAttributes
+ * firstBid:          provisional BID for the first accepted row
+ *
+ * Returns { summary, rows }; accepted rows carry the `feature` to store.
+ */
+function planImport({
+  features,
+  existing,
+  validateFootprint,
+  mapping,
+  firstBid,
+}) {
+  const others = existing
+    .filter((f) => f && f.geometry)
+    .map((f) => ({
+      label: { BID: f.properties.BID },
+      feature: f,
+      bbox: turf.bbox(f),
+      area: turf.area(f),
+    }));
+  let nextBid = firstBid;
+
+  const rows = features.map((source, idx) => {
+    const row = idx + 1;
+    const { attrs, warnings } = mapAttributes(
+      (source && source.properties) || {},
+      mapping,
+      row
+    );
+    const report = { row, status: "ok", ...attrs, warnings, errors: [] };
+
+    const geometry = source && source.geometry;
+    const check = validateFootprint(geometry);
+    if (check.error) {
+      report.status = "invalid";
+      report.errors.push(check.error);
+      return report;
+    }
+
+    const feature = { type: "Feature", geometry, properties: {} };
+    const bbox = turf.bbox(feature);
+    const area = turf.area(feature);
+    report.area = Math.round(area * 100) / 100;
+    report.parcel = check.parcel.properties?.IDS || null;
+
+    for (const other of others) {
+      if (!bboxesTouch(bbox, other.bbox)) continue;
+      const shared = overlapArea(feature, other.feature);
+      if (shared < MIN_OVERLAP_M2) continue;
+      if (shared / Math.max(area, other.area) >= DUPLICATE_RATIO) {
+        report.status = "duplicate";
+        report.duplicateOf = other.label;
+        break;
+      }
+      report.status = "overlap";
+      (report.overlaps ||= []).push({
+        ...other.label,
+        area: Math.round(shared * 100) / 100,
+      });
+    }
+    if (report.status !== "ok") return report;
+
+    const parcel = check.parcel.properties || {};
+    const apartmentCounts = {};
+    for (let i = 1; i <= attrs.floors; i++) apartmentCounts[i] = 1;
+    report.BID = nextBid++;
+    report.feature = {
+      type: "Feature",
+      geometry,
+      properties: {
+        BID: report.BID,
+        ...attrs,
+        parcel_area: area,
+        apartmentCounts,
+        // No shared placeholder: buildings without a parcel id are keyed by
+        // their BID (buildingPropertyId() in server.js).
+        ...(parcel.IDS ? { original_id: parcel.IDS } : {}),
+        parcel_type: parcel.TYPE || "N/A",
+        parcel_subtype: parcel.SUB_TYPE || "N/A",
+        village: parcel.VILL_NM || "N/A",
+        subdivision: parcel.SUBDIV_NM || "N/A",
+        district: parcel.DIST_NM || "N/A",
+        perimeter: parcel.Shape_Leng || 0,
+        ...(parcel.village_code ? { village_code: parcel.village_code } : {}),
+      },
+    };
+    // Later rows are checked against this one too.
+    others.push({ label: { row }, feature, bbox, area });
+    return report;
+  });
+
+  const summary = { total: rows.length };
+  for (const status of ["ok", "invalid", "duplicate", "overlap"])
+    summary[status] = rows.filter((r) => r.status === status).length;
+  return { summary, rows };
+}
+
+module.exports = {
+  FIELD_ALIASES,
+  parseCsv,
+  parseWkt,
+  parseImportFile,
+  mapAttributes,
+  planImport,
+};
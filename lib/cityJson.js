@@ -0,0 +1,344 @@
+/** -------------- CITYJSON EXPORT --------------
+ * Builds the 3D city model served by GET /api/export?format=cityjson, a
+ * CityJSON 2.0 file with one tree of city objects per building:
+ *
+ *   Building        LOD1 solid: the footprint extruded to its height. Carries
+ *                   the plain createBuilding.geojson attributes, plus
+ *                   measuredHeight, storeysAboveGround, ulpin (the parcel
+ *                   ULPIN), propertyId and village
+ *   BuildingStorey  one per floor, the footprint from the floor's base to its
+ *                   top, with the floor ULPIN and its apartment count
+ *   BuildingRoom    the floor's common-layout rooms (its override when it has
+ *                   one, see lib/floorOverrides.js) through the storey's
+ *                   height, with the room ULPIN
+ *   BuildingUnit    one per apartment in apartmentCounts, without geometry:
+ *                   apartment layouts are drawn on a grid, not on the map.
+ *                   Apartments have no ULPIN of their own and carry the
+ *                   floor's
+ *
+ * Storeys are children of their building, rooms and units of their storey.
+ *
+ * Vertices are metres in the WGS 84 UTM zone of the exported buildings
+ * (EPSG:326xx north, 327xx south), stored as millimetre integers. Heights
+ * are above ground (there is no terrain model) and floors are split as in
+ * lib/gisExport.js.
+ **/
+const proj4 = require("proj4");
+const turf = require("@turf/turf");
+const ulpin = require("./ulpin");
+const { roomGeometry } = require("./roomShape");
+const { layoutForFloor } = require("./floorOverrides");
+const { parcelUlpinFor, floorHeights, floorUlpin } = require("./gisExport");
+
+const CITYJSON_VERSION = "2.0";
+const SCALE = 0.001;
+
+function isPolygonal(geometry) {
+  return (
+    Boolean(geometry) &&
+    (geometry.type === "Polygon" || geometry.type === "MultiPolygon")
+  );
+}
+
+// UTM zone holding [lon, lat], as { epsg, project([lon, lat]) → [x, y] }.
+function utmProjection([lon, lat]) {
+  const zone = Math.min(60, Math.floor((lon + 180) / 6) + 1);
+  const south = lat < 0;
+  const converter = proj4(
+    "WGS84",
+    `+proj=utm +zone=${zone}${south ? " +south" : ""} +datum=WGS84 +units=m +no_defs`
+  );
+  return {
+    epsg: (south ? 32700 : 32600) + zone,
+    project: (coord) => converter.forward([coord[0], coord[1]]),
+  };
+}
+
+// Shared vertex list in millimetres; equal vertices are stored once.
+function createVertices() {
+  const list = [];
+  const index = new Map();
+  return {
+    list,
+    add([x, y, z]) {
+      const v = [x, y, z].map((n) => Math.round(n / SCALE));
+      const key = v.join(",");
+      if (!index.has(key)) {
+        index.set(key, list.length);
+        list.push(v);
+      }
+      return index.get(key);
+    },
+  };
+}
+
+function sameMillimetre(a, b) {
+  return (
+    Math.round(a[0] / SCALE) === Math.round(b[0] / SCALE) &&
+    Math.round(a[1] / SCALE) === Math.round(b[1] / SCALE)
+  );
+}
+
+function signedArea(points) {
+  let sum = 0;
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++)
+    sum += (points[j][0] - points[i][0]) * (points[j][1] + points[i][1]);
+  return sum / 2;
+}
+
+// GeoJSON ring → open ring of projected points, anticlockwise seen from
+// above (clockwise for holes), or null when nothing of it is left.
+function planarRing(ring, project, clockwise) {
+  const points = [];
+  for (const coord of ring) {
+    const point = project(coord);
+    if (!points.length || !sameMillimetre(points[points.length - 1], point))
+      points.push(point);
+  }
+  if (points.length > 1 && sameMillimetre(points[0], points[points.length - 1]))
+    points.pop();
+  if (points.length < 3) return null;
+  const area = signedArea(points);
+  if (Math.abs(area) < SCALE * SCALE) return null;
+  return area < 0 === clockwise ? points : points.reverse();
+}
+
+// Closed shell of a polygon ([outline, ...holes]) extruded from base to top,
+// every surface facing outwards: floor, roof, then one wall per edge.
+function prismShell(rings, base, top, vertices) {
+  const at = (ring, z) => ring.map(([x, y]) => vertices.add([x, y, z]));
+  const shell = [
+    rings.map((ring) => at(ring.slice().reverse(), base)),
+    rings.map((ring) => at(ring, top)),
+  ];
+  for (const ring of rings)
+    ring.forEach((a, i) => {
+      const b = ring[(i + 1) % ring.length];
+      shell.push([at([a, b], base).concat(at([b, a], top))]);
+    });
+  return shell;
+}
+
+// LOD1 Solid (or MultiSolid for a multi-part polygon) of a GeoJSON polygon
+// between two heights, or null when it has no usable outline.
+function extrude(geometry, base, top, project, vertices) {
+  if (!isPolygonal(geometry) || !(top > base)) return null;
+  const polygons =
+    geometry.type === "Polygon" ? [geometry.coordinates] : geometry.coordinates;
+  const solids = [];
+  for (const [outline, ...holes] of polygons) {
+    const shell = planarRing(outline || [], project, false);
+    if (!shell) continue;
+    const rings = [
+      shell,
+      ...holes.map((hole) => planarRing(hole, project, true)).filter(Boolean),
+    ];
+    solids.push([prismShell(rings, base, top, vertices)]);
+  }
+  if (!solids.length) return null;
+  return solids.length === 1
+    ? { type: "Solid", lod: "1", boundaries: solids[0] }
+    : { type: "MultiSolid", lod: "1", boundaries: solids };
+}
+
+// Attributes without the unset ones; lib/ulpin.js answers "N/A" for a
+// layout without bounds. Object values are left out: the one buildings
+// carry, apartmentCounts, is exported on the storeys instead.
+function attributes(values) {
+  const out = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (value == null || value === "" || (key === "ulpin" && value === "N/A"))
+      continue;
+    if (typeof value === "object" && !Array.isArray(value)) continue;
+    out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * buildings, layouts: FeatureCollections as returned by the store.
+ * floorLayouts: { "<BID>_floor_<n>": { apartments } }, for the rooms listed
+ *           on each BuildingUnit.
+ * parcels, filter, propertyIdOf: as for buildExportLayers in lib/gisExport.js.
+ * villageOf(props): the building's village code.
+ * title:    metadata title.
+ *
+ * Returns the CityJSON object; CityObjects is empty when no building matches.
+ */
+function buildCityModel({
+  buildings,
+  layouts,
+  floorLayouts = {},
+  parcels = [],
+  filter = {},
+  propertyIdOf,
+  villageOf,
+  title,
+}) {
+  const layoutByBid = {};
+  for (const f of (layouts && layouts.features) || []) {
+    if (f.properties && f.properties.bounds)
+      layoutByBid[String(f.properties.BID)] = f.properties;
+  }
+
+  const selected = [];
+  for (const building of (buildings && buildings.features) || []) {
+    const props = building.properties || {};
+    if (!isPolygonal(building.geometry)) continue;
+    if (filter.bid != null && String(props.BID) !== String(filter.bid))
+      continue;
+    if (filter.floor != null && filter.floor > floorHeights(props).floors)
+      continue;
+    const parUlpin = parcelUlpinFor(building, parcels);
+    if (filter.ulpin && parUlpin !== filter.ulpin) continue;
+    selected.push({ building, parUlpin });
+  }
+
+  const { epsg, project } = utmProjection(
+    selected.length
+      ? turf.center({
+          type: "FeatureCollection",
+          features: selected.map((s) => s.building),
+        }).geometry.coordinates
+      : [0, 0]
+  );
+  const vertices = createVertices();
+  const objects = {};
+
+  for (const { building, parUlpin } of selected) {
+    const props = building.properties;
+    const { floors, height, floorHeight } = floorHeights(props);
+    const layout = layoutByBid[String(props.BID)] || null;
+    const centroid = turf.centroid(building).geometry.coordinates;
+    const apartmentCounts = props.apartmentCounts || {};
+    const buildingId = `B${props.BID}`;
+    const storeyIds = [];
+
+    for (let floor = 1; floor <= floors; floor++) {
+      if (filter.floor != null && floor !== filter.floor) continue;
+      const base = floorHeight * (floor - 1);
+      const top = floorHeight * floor;
+      const storeyId = `${buildingId}-F${floor}`;
+      const storeyUlpin = floorUlpin(layout, centroid, floor);
+      const children = [];
+
+      if (layout)
+        layoutForFloor(layout, floor).rooms.forEach((room, idx) => {
+          const geometry = extrude(
+            roomGeometry(room, layout.bounds),
+            base,
+            top,
+            project,
+            vertices
+          );
+          if (!geometry) return;
+          const roomId = `${storeyId}-${room.id || `room-${idx}`}`;
+          objects[roomId] = {
+            type: "BuildingRoom",
+            attributes: attributes({
+              name: room.name || `Room ${idx + 1}`,
+              roomType: room.type || "room",
+              floor,
+              ulpin: ulpin.computeRoomPniuFromLayout(layout, room, floor),
+            }),
+            geometry: [geometry],
+            parents: [storeyId],
+          };
+          children.push(roomId);
+        });
+
+      const node = floorLayouts[`${props.BID}_floor_${floor}`];
+      const apartments = node ? node.apartments || { 1: node } : {};
+      const units = Math.max(1, parseInt(apartmentCounts[floor] || 1, 10));
+      for (let apt = 1; apt <= units; apt++) {
+        const unitId = `${storeyId}-A${apt}`;
+        const aptLayout = apartments[apt];
+        objects[unitId] = {
+          type: "BuildingUnit",
+          attributes: attributes({
+            apartment: apt,
+            floor,
+            ulpin: storeyUlpin,
+            rooms:
+              aptLayout && Array.isArray(aptLayout.rooms)
+                ? aptLayout.rooms.map((r) => r.name || r.type || "Room")
+                : null,
+          }),
+          parents: [storeyId],
+        };
+        children.push(unitId);
+      }
+
+      const storeyGeometry = extrude(
+        building.geometry,
+        base,
+        top,
+        project,
+        vertices
+      );
+      objects[storeyId] = {
+        type: "BuildingStorey",
+        attributes: attributes({
+          storey: floor,
+          ulpin: storeyUlpin,
+          apartments: units,
+          baseHeight: base,
+          topHeight: top,
+        }),
+        ...(storeyGeometry ? { geometry: [storeyGeometry] } : {}),
+        parents: [buildingId],
+        children,
+      };
+      storeyIds.push(storeyId);
+    }
+
+    const buildingGeometry = extrude(
+      building.geometry,
+      0,
+      height,
+      project,
+      vertices
+    );
+    objects[buildingId] = {
+      type: "Building",
+      attributes: attributes({
+        ...props,
+        measuredHeight: height,
+        storeysAboveGround: floors,
+        ulpin: parUlpin,
+        propertyId: propertyIdOf(props),
+        village: villageOf ? villageOf(props) : null,
+      }),
+      ...(buildingGeometry ? { geometry: [buildingGeometry] } : {}),
+      ...(storeyIds.length ? { children: storeyIds } : {}),
+    };
+  }
+
+  // Vertices relative to the smallest corner, which becomes the translation.
+  const min = [0, 0, 0];
+  const max = [0, 0, 0];
+  vertices.list.forEach((v, n) =>
+    v.forEach((c, i) => {
+      min[i] = n ? Math.min(min[i], c) : c;
+      max[i] = n ? Math.max(max[i], c) : c;
+    })
+  );
+  return {
+    type: "CityJSON",
+    version: CITYJSON_VERSION,
+    transform: {
+      scale: [SCALE, SCALE, SCALE],
+      translate: min.map((n) => n * SCALE),
+    },
+    metadata: {
+      title: title || "Buildings",
+      referenceDate: new Date().toISOString().slice(0, 10),
+      referenceSystem: `https://www.opengis.net/def/crs/EPSG/0/${epsg}`,
+      geographicalExtent: [...min, ...max].map((n) => n * SCALE),
+    },
+    CityObjects: objects,
+    vertices: vertices.list.map((v) => v.map((n, i) => n - min[i])),
+  };
+}
+
+module.exports = { CITYJSON_VERSION, buildCityModel };
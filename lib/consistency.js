@@ -0,0 +1,451 @@
+/** -------------- GEOMETRIC CONSISTENCY CHECKS --------------
+ * Cross-checks the village parcels, createBuilding.geojson, the common
+ * layouts (BuildingCommonFloorLayout.json) and the apartment layouts
+ * (floorLayouts.json), for one BID or the whole village. Each issue is
+ *
+ *   { type, severity, BID, message, geometry, ...details }
+ *
+ * with `geometry` (WGS84, may be null) marking what to highlight:
+ *
+ *   out-of-bounds   footprint not inside its parcel (the part outside), or a
+ *                   room not inside its footprint (the part outside)
+ *   overlap         two buildings, or two rooms of one layout (the overlap)
+ *   orphan-layout   a layout or floor override for a BID or floor the
+ *                   building doesn't have
+ *   missing-pniu    a room without a reference point, or with one outside it
+ *   count-mismatch  apartments in floorLayouts.json vs apartmentCounts
+ **/
+const RBush = require("rbush");
+const turf = require("@turf/turf");
+const { roomGeometry } = require("./roomShape");
+const { overrideFloors, layoutForFloor } = require("./floorOverrides");
+
+const ISSUE_TYPES = [
+  "out-of-bounds",
+  "overlap",
+  "orphan-layout",
+  "missing-pniu",
+  "count-mismatch",
+];
+const SEVERITY = {
+  "out-of-bounds": "error",
+  overlap: "error",
+  "orphan-layout": "warning",
+  "missing-pniu": "warning",
+  "count-mismatch": "warning",
+};
+// Slivers below these areas (m²) are rounding at shared edges, not issues.
+// Rooms get more slack: they are stored normalised to the footprint's bbox.
+const BUILDING_TOLERANCE_M2 = 0.5;
+const ROOM_TOLERANCE_M2 = 0.1;
+
+function issue(type, BID, message, geometry, details) {
+  return {
+    type,
+    severity: SEVERITY[type],
+    BID: BID == null ? null : Number(BID),
+    message,
+    geometry: geometry || null,
+    ...details,
+  };
+}
+
+function floorCount(props) {
+  return Math.max(1, parseInt(props.floors || 1, 10));
+}
+
+function asFeature(geometry) {
+  return { type: "Feature", geometry, properties: {} };
+}
+
+// Layout features are often saved with an empty placeholder polygon.
+function usableGeometry(geometry) {
+  try {
+    return geometry && turf.coordAll(asFeature(geometry)).length
+      ? geometry
+      : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The part of `a` outside `b`, or null when it is below `tolerance` m².
+function outsidePart(a, b, tolerance) {
+  try {
+    const rest = turf.difference(turf.featureCollection([a, b]));
+    return rest && turf.area(rest) >= tolerance ? rest : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// The overlap of `a` and `b`, or null when it is below `tolerance` m².
+function sharedPart(a, b, tolerance) {
+  try {
+    const shared = turf.intersect(turf.featureCollection([a, b]));
+    return shared && turf.area(shared) >= tolerance ? shared : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function area(feature) {
+  return Math.round(turf.area(feature) * 100) / 100;
+}
+
+function parcelFor(building, parcels) {
+  const point = turf.pointOnFeature(building);
+  return (
+    parcels.find((p) => {
+      try {
+        return turf.booleanPointInPolygon(point, p);
+      } catch (e) {
+        return false;
+      }
+    }) || null
+  );
+}
+
+function checkFootprint(building, parcels) {
+  const BID = building.properties.BID;
+  const parcel = parcelFor(building, parcels);
+  if (!parcel)
+    return [
+      issue(
+        "out-of-bounds",
+        BID,
+        "Building footprint is outside every village parcel",
+        building.geometry
+      ),
+    ];
+  const outside = outsidePart(building, parcel, BUILDING_TOLERANCE_M2);
+  if (!outside) return [];
+  return [
+    issue(
+      "out-of-bounds",
+      BID,
+      `Building footprint extends ${area(outside)} m² beyond parcel ${
+        parcel.properties?.IDS || "?"
+      }`,
+      outside.geometry,
+      { parcel: parcel.properties?.IDS || null, area: area(outside) }
+    ),
+  ];
+}
+
+// Overlaps between `subjects` and every building in `tree`, each pair once.
+function checkBuildingOverlaps(subjects, tree) {
+  const issues = [];
+  const seen = new Set();
+  for (const building of subjects) {
+    const [minX, minY, maxX, maxY] = turf.bbox(building);
+    for (const { feature: other } of tree.search({ minX, minY, maxX, maxY })) {
+      const a = building.properties.BID;
+      const b = other.properties.BID;
+      if (String(a) === String(b)) continue;
+      const pair = [a, b].map(String).sort().join("|");
+      if (seen.has(pair)) continue;
+      seen.add(pair);
+      const shared = sharedPart(building, other, BUILDING_TOLERANCE_M2);
+      if (!shared) continue;
+      issues.push(
+        issue(
+          "overlap",
+          a,
+          `Buildings ${a} and ${b} overlap by ${area(shared)} m²`,
+          shared.geometry,
+          { otherBID: Number(b), area: area(shared) }
+        )
+      );
+    }
+  }
+  return issues;
+}
+
+function roomLabel(room, idx) {
+  return room.name || room.id || `Room ${idx + 1}`;
+}
+
+// floor: set when `layout` is that floor's override (lib/floorOverrides.js).
+function checkRooms(building, layout, floor = null) {
+  const BID = building.properties.BID;
+  const where = floor == null ? "" : `Floor ${floor} override: `;
+  const onFloor = floor == null ? {} : { floor };
+  const issues = [];
+  const rooms = [];
+  layout.rooms.forEach((room, idx) => {
+    const geometry = roomGeometry(room, layout.bounds);
+    if (!geometry) return;
+    const feature = asFeature(geometry);
+    const details = { roomId: room.id || `room-${idx}`, ...onFloor };
+    rooms.push({ room, idx, feature, details });
+
+    const outside = outsidePart(feature, building, ROOM_TOLERANCE_M2);
+    if (outside)
+      issues.push(
+        issue(
+          "out-of-bounds",
+          BID,
+          `${where}${roomLabel(room, idx)} extends ${area(
+            outside
+          )} m² outside the building footprint`,
+          outside.geometry,
+          { ...details, area: area(outside) }
+        )
+      );
+
+    const refPoint = [room.ulpin, room.pniu].find(
+      (pt) => pt && typeof pt === "object"
+    );
+    if (!refPoint) {
+      issues.push(
+        issue(
+          "missing-pniu",
+          BID,
+          `${where}${roomLabel(room, idx)} has no PNIU; its ULPIN falls back to the bounds centre`,
+          geometry,
+          details
+        )
+      );
+      return;
+    }
+    const { minLon, minLat, maxLon, maxLat } = layout.bounds;
+    const point = turf.point([
+      minLon + refPoint.x * (maxLon - minLon),
+      minLat + refPoint.y * (maxLat - minLat),
+    ]);
+    if (!turf.booleanPointInPolygon(point, feature))
+      issues.push(
+        issue(
+          "missing-pniu",
+          BID,
+          `${where}${roomLabel(room, idx)} has its PNIU outside the room`,
+          geometry,
+          { ...details, pniu: point.geometry.coordinates }
+        )
+      );
+  });
+
+  for (let i = 0; i < rooms.length; i++)
+    for (let j = i + 1; j < rooms.length; j++) {
+      const shared = sharedPart(
+        rooms[i].feature,
+        rooms[j].feature,
+        ROOM_TOLERANCE_M2
+      );
+      if (!shared) continue;
+      issues.push(
+        issue(
+          "overlap",
+          BID,
+          `${where}${roomLabel(rooms[i].room, rooms[i].idx)} and ${roomLabel(
+            rooms[j].room,
+            rooms[j].idx
+          )} overlap by ${area(shared)} m²`,
+          shared.geometry,
+          {
+            roomId: rooms[i].details.roomId,
+            otherRoomId: rooms[j].details.roomId,
+            area: area(shared),
+            ...onFloor,
+          }
+        )
+      );
+    }
+  return issues;
+}
+
+function checkApartmentCounts(building, floorLayouts) {
+  const props = building.properties;
+  const BID = props.BID;
+  const floors = floorCount(props);
+  const counts = props.apartmentCounts || {};
+  const issues = [];
+
+  for (const floor of Object.keys(counts))
+    if (Number(floor) > floors)
+      issues.push(
+        issue(
+          "count-mismatch",
+          BID,
+          `apartmentCounts lists floor ${floor} but the building has ${floors} floor(s)`,
+          building.geometry,
+          { floor: Number(floor) }
+        )
+      );
+
+  for (let floor = 1; floor <= floors; floor++) {
+    const node = floorLayouts[`${BID}_floor_${floor}`];
+    if (!node || !node.apartments) continue;
+    const expected = Math.max(1, parseInt(counts[floor] || 1, 10));
+    const extra = Object.keys(node.apartments)
+      .filter((apt) => !(Number(apt) >= 1 && Number(apt) <= expected))
+      .sort((a, b) => Number(a) - Number(b));
+    if (extra.length)
+      issues.push(
+        issue(
+          "count-mismatch",
+          BID,
+          `Floor ${floor} has layouts for apartment(s) ${extra.join(
+            ", "
+          )} but apartmentCounts allows ${expected}`,
+          building.geometry,
+          { floor, expected, apartments: extra }
+        )
+      );
+  }
+  return issues;
+}
+
+function checkOrphanLayouts(buildingsByBid, commonLayouts, floorLayouts, bid) {
+  const issues = [];
+  for (const layout of commonLayouts) {
+    const BID = layout.properties && layout.properties.BID;
+    if (bid != null && String(BID) !== String(bid)) continue;
+    if (!buildingsByBid.has(String(BID)))
+      issues.push(
+        issue(
+          "orphan-layout",
+          BID,
+          `Common layout for building ${BID}, which does not exist`,
+          usableGeometry(layout.geometry),
+          { layout: "common" }
+        )
+      );
+    else if (!layout.properties.bounds)
+      issues.push(
+        issue(
+          "orphan-layout",
+          BID,
+          `Common layout for building ${BID} has no bounds, so its rooms cannot be placed`,
+          buildingsByBid.get(String(BID)).geometry,
+          { layout: "common" }
+        )
+      );
+    else {
+      const building = buildingsByBid.get(String(BID));
+      const floors = floorCount(building.properties);
+      for (const floor of overrideFloors(layout.properties))
+        if (floor > floors)
+          issues.push(
+            issue(
+              "orphan-layout",
+              BID,
+              `Floor ${floor} override, but building ${BID} has ${floors} floor(s)`,
+              building.geometry,
+              { layout: "override", floor }
+            )
+          );
+    }
+  }
+
+  for (const key of Object.keys(floorLayouts)) {
+    const match = /^(.+)_floor_(\d+)$/.exec(key);
+    if (!match) continue;
+    const [, BID, floor] = match;
+    if (bid != null && BID !== String(bid)) continue;
+    const building = buildingsByBid.get(BID);
+    if (!building)
+      issues.push(
+        issue(
+          "orphan-layout",
+          BID,
+          `Floor ${floor} layout for building ${BID}, which does not exist`,
+          null,
+          { layout: "floor", floor: Number(floor) }
+        )
+      );
+    else if (Number(floor) > floorCount(building.properties))
+      issues.push(
+        issue(
+          "orphan-layout",
+          BID,
+          `Floor ${floor} layout, but building ${BID} has ${floorCount(
+            building.properties
+          )} floor(s)`,
+          building.geometry,
+          { layout: "floor", floor: Number(floor) }
+        )
+      );
+  }
+  return issues;
+}
+
+/**
+ * parcels:       village parcel features
+ * buildings, commonLayouts: FeatureCollections as returned by the store
+ * floorLayouts:  { "<BID>_floor_<n>": { apartments } } as returned by the store
+ * bid:           only check this building (its overlaps are still checked
+ *                against every other building)
+ *
+ * Returns { summary: { total, <type>: count }, issues }.
+ */
+function checkConsistency({
+  parcels = [],
+  buildings,
+  commonLayouts,
+  floorLayouts = {},
+  bid = null,
+}) {
+  const all = ((buildings && buildings.features) || []).filter(
+    (f) =>
+      f &&
+      f.properties &&
+      f.geometry &&
+      (f.geometry.type === "Polygon" || f.geometry.type === "MultiPolygon")
+  );
+  const buildingsByBid = new Map(all.map((f) => [String(f.properties.BID), f]));
+  const subjects =
+    bid == null
+      ? all
+      : all.filter((f) => String(f.properties.BID) === String(bid));
+  const layouts = (commonLayouts && commonLayouts.features) || [];
+  const layoutByBid = new Map(
+    layouts
+      .filter((f) => f.properties && f.properties.bounds)
+      .map((f) => [
+        String(f.properties.BID),
+        {
+          bounds: f.properties.bounds,
+          rooms: Array.isArray(f.properties.rooms) ? f.properties.rooms : [],
+          floorOverrides: f.properties.floorOverrides || {},
+        },
+      ])
+  );
+
+  const tree = new RBush();
+  tree.load(
+    all.map((feature) => {
+      const [minX, minY, maxX, maxY] = turf.bbox(feature);
+      return { minX, minY, maxX, maxY, feature };
+    })
+  );
+
+  const issues = [];
+  for (const building of subjects) {
+    issues.push(...checkFootprint(building, parcels));
+    const layout = layoutByBid.get(String(building.properties.BID));
+    if (layout) {
+      issues.push(...checkRooms(building, layout));
+      for (const floor of overrideFloors(layout))
+        issues.push(
+          ...checkRooms(building, layoutForFloor(layout, floor), floor)
+        );
+    }
+    issues.push(...checkApartmentCounts(building, floorLayouts));
+  }
+  issues.push(...checkBuildingOverlaps(subjects, tree));
+  issues.push(
+    ...checkOrphanLayouts(buildingsByBid, layouts, floorLayouts, bid)
+  );
+
+  const summary = { total: issues.length };
+  for (const type of ISSUE_TYPES)
+    summary[type] = issues.filter((i) => i.type === type).length;
+  return { summary, issues };
+}
+
+module.exports = {
+  ISSUE_TYPES,
+  checkConsistency,
+};
@@ -0,0 +1,128 @@
+/** -------------- OWNER ENTRY HISTORY --------------
+ * Owner entries are stored append-only: every save, and every review step
+ * (see entryWorkflow.js), becomes a numbered version of its
+ * `${propertyId}__F${floor}` key carrying the author, the save time and a
+ * field-level diff against the version before it.
+ **/
+const { isPiiField, comparableValue } = require("./pii");
+
+// Embedded images (signature pads, captured maps) are summarised in diffs.
+function summariseValue(value) {
+  if (typeof value === "string" && value.startsWith("data:")) {
+    const mime = value.slice(5, value.indexOf(";")) || "data";
+    return `[${mime}, ${value.length} chars]`;
+  }
+  return value;
+}
+
+function flatten(value, prefix, out) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value))
+      flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// Returns [{ field, from, to }] for every leaf that differs. PII fields (see
+// pii.js) are compared by fingerprint and never copied into the diff.
+function diffEntries(previous, next) {
+  const before = flatten(previous || {}, "", {});
+  const after = flatten(next || {}, "", {});
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  for (const field of fields) {
+    const from = before[field] ?? null;
+    const to = after[field] ?? null;
+    if (
+      JSON.stringify(comparableValue(from)) ===
+      JSON.stringify(comparableValue(to))
+    )
+      continue;
+    const shown = isPiiField(field)
+      ? (v) => (v ? "[protected]" : v)
+      : summariseValue;
+    changes.push({ field, from: shown(from), to: shown(to) });
+  }
+  return changes.sort((a, b) => a.field.localeCompare(b.field));
+}
+
+// Review state (see entryWorkflow.js); versions saved before the workflow
+// existed start out as drafts.
+function withWorkflow(record) {
+  return {
+    ...record,
+    status: record.status || "draft",
+    transitions: record.transitions || [],
+  };
+}
+
+function isVersionRecord(item) {
+  return Boolean(
+    item && typeof item === "object" && item.entry && item.version != null
+  );
+}
+
+// Entries saved before versioning are bare entry objects; wrap them so every
+// caller sees the same shape.
+function normalizeVersions(list) {
+  const versions = [];
+  (Array.isArray(list) ? list : []).forEach((item, idx) => {
+    if (isVersionRecord(item)) {
+      versions.push(withWorkflow(item));
+      return;
+    }
+    const previous = versions[versions.length - 1];
+    versions.push({
+      version: idx + 1,
+      author: null,
+      savedAt: item?.meta?.date || null,
+      restoredFrom: null,
+      diff: diffEntries(previous ? previous.entry : null, item),
+      status: "draft",
+      transitions: [],
+      entry: item,
+    });
+  });
+  return versions;
+}
+
+function createVersion(previous, entry, { author, restoredFrom } = {}) {
+  return {
+    version: previous ? previous.version + 1 : 1,
+    author: author || "anonymous",
+    savedAt: new Date().toISOString(),
+    restoredFrom: restoredFrom ?? null,
+    diff: diffEntries(previous ? previous.entry : null, entry),
+    status: "draft",
+    transitions: [],
+    entry,
+  };
+}
+
+// Hides PII in diffs recorded before pii.js existed.
+function redactDiff(diff) {
+  return (diff || []).map((c) =>
+    isPiiField(c.field)
+      ? {
+          ...c,
+          from: c.from ? "[protected]" : c.from,
+          to: c.to ? "[protected]" : c.to,
+        }
+      : c
+  );
+}
+
+// Version listing without the (large) entry bodies.
+function versionSummary({ entry, ...rest }) {
+  return { ...rest, diff: redactDiff(rest.diff) };
+}
+
+module.exports = {
+  diffEntries,
+  redactDiff,
+  normalizeVersions,
+  createVersion,
+  versionSummary,
+};
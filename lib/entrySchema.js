@@ -0,0 +1,276 @@
+/** -------------- OWNER ENTRY VALIDATION --------------
+ * Declared schema for the entry object built by saveOwnerEntry() in
+ * index.html. validateEntry() returns [{ field, message }], empty when the
+ * entry is valid; `field` is the dotted path the form maps back to an input.
+ *
+ * Sections marked with a mode only apply to entries saved in that mode; the
+ * other mode's sections are sent blank.
+ **/
+
+// Verhoeff dihedral-group tables used by the Aadhaar checksum.
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+function verhoeffValid(digits) {
+  let c = 0;
+  const reversed = String(digits).split("").reverse();
+  for (let i = 0; i < reversed.length; i++)
+    c = VERHOEFF_D[c][VERHOEFF_P[i % 8][Number(reversed[i])]];
+  return c === 0;
+}
+
+function isBlank(value) {
+  return value == null || String(value).trim() === "";
+}
+
+// Parses "50", "50%", "1/2" into a percentage, or NaN.
+function parseShare(part) {
+  const text = part.trim().replace(/%$/, "").trim();
+  const fraction = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(text);
+  if (fraction) return (Number(fraction[1]) / Number(fraction[2])) * 100;
+  return /^\d+(?:\.\d+)?$/.test(text) ? Number(text) : NaN;
+}
+
+function isIsoDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date) && date.toISOString().slice(0, 10) === value;
+}
+
+// Each check returns an error message, or null when the value is fine.
+// Blank values only fail `required`.
+const TYPES = {
+  string: (v, rule) =>
+    String(v).length > (rule.maxLength || 500)
+      ? `Must be at most ${rule.maxLength || 500} characters`
+      : null,
+  number: (v, rule) => {
+    const n = Number(v);
+    if (!isFinite(n)) return "Must be a number";
+    if (rule.min != null && n < rule.min) return `Must be at least ${rule.min}`;
+    return null;
+  },
+  integer: (v, rule) => {
+    const n = Number(v);
+    if (!Number.isInteger(n)) return "Must be a whole number";
+    if (rule.min != null && n < rule.min) return `Must be at least ${rule.min}`;
+    return null;
+  },
+  date: (v) => {
+    if (!isIsoDate(String(v))) return "Must be a valid date (YYYY-MM-DD)";
+    if (String(v) > new Date().toISOString().slice(0, 10))
+      return "Cannot be in the future";
+    return null;
+  },
+  year: (v) => {
+    const n = Number(v);
+    if (!Number.isInteger(n) || n < 1800 || n > new Date().getFullYear())
+      return `Must be a year between 1800 and ${new Date().getFullYear()}`;
+    return null;
+  },
+  aadhaar: (v) => {
+    const digits = String(v).replace(/[\s-]/g, "");
+    if (!/^[2-9]\d{11}$/.test(digits))
+      return "Aadhaar must be 12 digits and cannot start with 0 or 1";
+    if (!verhoeffValid(digits))
+      return "Aadhaar number fails the Verhoeff checksum";
+    return null;
+  },
+  mobile: (v) =>
+    /^(?:\+91|0)?[6-9]\d{9}$/.test(String(v).replace(/[\s-]/g, ""))
+      ? null
+      : "Mobile must be a 10-digit Indian number starting with 6-9",
+  share: (v) => {
+    const shares = String(v).split(/[,;+]/).map(parseShare);
+    if (shares.some((s) => !isFinite(s) || s <= 0))
+      return 'Shares must be percentages or fractions, e.g. "50, 50" or "1/2, 1/2"';
+    const total = shares.reduce((a, b) => a + b, 0);
+    if (Math.abs(total - 100) > 0.01)
+      return `Shares must add up to 100% (got ${Math.round(total * 100) / 100}%)`;
+    return null;
+  },
+};
+
+const text = { type: "string" };
+const area = { type: "number", min: 0 };
+
+const ENTRY_SCHEMA = {
+  meta: {
+    fields: {
+      formNo: { type: "string", required: true, maxLength: 64 },
+      date: { type: "date", required: true },
+      propertyId: { type: "string", required: true, maxLength: 128 },
+      ownerFloorNo: { type: "integer", required: true, min: 1 },
+    },
+  },
+  section1: {
+    fields: {
+      state: text,
+      district: text,
+      townCity: text,
+      surveyNo: text,
+      ward: text,
+      yearOfOwnership: { type: "year" },
+      propertyType: text,
+      govCategory: text,
+      ulpin: text,
+      plotId: text,
+      plotArea: area,
+      plotAddress: text,
+      plotOwnerName: text,
+      plotOwnerAadhaar: { type: "aadhaar" },
+      plotOwnerMobile: { type: "mobile" },
+      rights: text,
+    },
+  },
+  section2a: {
+    mode: "2a",
+    fields: {
+      municipalId: text,
+      propertyType: text,
+      usage: text,
+      buildingName: text,
+      totalFloors: { type: "integer", min: 1 },
+      ownersFloorNo: { type: "integer", min: 0 },
+      ownerName: { type: "string", required: true },
+      carpetArea: area,
+      superBuiltUp: area,
+      parkingArea: area,
+      garageArea: area,
+      address: text,
+    },
+  },
+  section2b: {
+    mode: "2b",
+    fields: {
+      municipalId: text,
+      propertyType: text,
+      usage: text,
+      apartmentName: text,
+      floorNo: { type: "integer", min: 0 },
+      flatNo: text,
+      ownerName: { type: "string", required: true },
+      carpetArea: area,
+      superBuiltUp: area,
+      parkingArea: area,
+      garageArea: area,
+      address: text,
+    },
+  },
+  section3a: {
+    mode: "2a",
+    fields: {
+      titleDocNo: text,
+      ownerName: text,
+      guardianSpouse: text,
+      ownershipShare: { type: "share" },
+      idDocument: text,
+      commAddress: text,
+    },
+  },
+  section3b: {
+    mode: "2b",
+    fields: {
+      titleDocNo: text,
+      ownerName: text,
+      guardianSpouse: text,
+      ownershipShare: { type: "share" },
+      idDocument: text,
+      commAddress: text,
+    },
+  },
+  section4: {
+    fields: {
+      mutationNo: text,
+      mutationDate: { type: "date" },
+    },
+  },
+};
+
+// context.maxFloor: highest floor of the building(s) the entry belongs to.
+function validateEntry(entry, context = {}) {
+  const errors = [];
+  const fail = (field, message) => errors.push({ field, message });
+
+  if (!entry || typeof entry !== "object" || Array.isArray(entry)) {
+    fail("entry", "Entry must be an object");
+    return errors;
+  }
+  const mode = entry.mode == null ? "2a" : entry.mode;
+  if (mode !== "2a" && mode !== "2b") fail("mode", 'Must be "2a" or "2b"');
+
+  for (const [name, section] of Object.entries(ENTRY_SCHEMA)) {
+    if (section.mode && section.mode !== mode) continue;
+    const values = entry[name] == null ? {} : entry[name];
+    if (typeof values !== "object" || Array.isArray(values)) {
+      fail(name, "Must be an object");
+      continue;
+    }
+    for (const [key, rule] of Object.entries(section.fields)) {
+      const field = `${name}.${key}`;
+      const value = values[key];
+      if (isBlank(value)) {
+        if (rule.required) fail(field, "Required");
+        continue;
+      }
+      if (typeof value === "object") {
+        fail(field, "Must be a single value");
+        continue;
+      }
+      const message = TYPES[rule.type](value, rule);
+      if (message) fail(field, message);
+    }
+  }
+
+  const failed = new Set(errors.map((e) => e.field));
+
+  const ownerFloor = entry.meta && entry.meta.ownerFloorNo;
+  if (
+    context.maxFloor != null &&
+    !failed.has("meta.ownerFloorNo") &&
+    Number(ownerFloor) > context.maxFloor
+  )
+    fail("meta.ownerFloorNo", `Building has only ${context.maxFloor} floor(s)`);
+
+  const year = entry.section1 && entry.section1.yearOfOwnership;
+  const mutationDate = entry.section4 && entry.section4.mutationDate;
+  if (
+    !isBlank(year) &&
+    !isBlank(mutationDate) &&
+    !failed.has("section1.yearOfOwnership") &&
+    !failed.has("section4.mutationDate") &&
+    Number(String(mutationDate).slice(0, 4)) < Number(year)
+  )
+    fail(
+      "section4.mutationDate",
+      "Mutation date is before the year ownership commenced"
+    );
+
+  return errors;
+}
+
+module.exports = {
+  ENTRY_SCHEMA,
+  verhoeffValid,
+  validateEntry,
+};
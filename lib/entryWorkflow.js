@@ -0,0 +1,86 @@
+/** -------------- OWNER ENTRY REVIEW WORKFLOW --------------
+ * The latest version of an owner entry moves through
+ *   draft -> submitted -> verified -> approved
+ * and may be rejected while submitted or verified. Saving the entry again
+ * starts a new draft.
+ *
+ * Each transition is appended as a version of its own (see entryHistory.js):
+ * the same entry, authored by the reviewer at the time of the step, with the
+ * status change as its diff and every transition since the draft, with
+ * remarks, in `transitions`. Nobody verifies an entry they submitted, or
+ * approves one they submitted or verified.
+ **/
+
+const STATUSES = ["draft", "submitted", "verified", "approved", "rejected"];
+
+const TRANSITIONS = {
+  submit: { from: ["draft"], to: "submitted" },
+  verify: { from: ["submitted"], to: "verified" },
+  approve: { from: ["verified"], to: "approved" },
+  reject: { from: ["submitted", "verified"], to: "rejected" },
+};
+
+function entryStatus(record) {
+  return (record && record.status) || "draft";
+}
+
+// Earlier steps of the current review whose maker may not take this one.
+const SEPARATED_FROM = {
+  verify: ["submit"],
+  approve: ["submit", "verify"],
+};
+
+/**
+ * Applies action to the latest version record. Returns { record }, the new
+ * version to append, or { status, error }: 409 when the action does not
+ * apply to the entry's status, 403 when `by` took an earlier step of it.
+ */
+function applyTransition(record, action, { by, remarks } = {}) {
+  const rule = TRANSITIONS[action];
+  if (!rule) return { status: 409, error: `Unknown action "${action}"` };
+
+  const from = entryStatus(record);
+  if (!rule.from.includes(from))
+    return { status: 409, error: `Cannot ${action} an entry that is ${from}` };
+
+  const actor = by || "anonymous";
+  const transitions = record.transitions || [];
+  const earlier = transitions.find(
+    (t) => (SEPARATED_FROM[action] || []).includes(t.action) && t.by === actor
+  );
+  if (earlier)
+    return {
+      status: 403,
+      error: `${actor} may not ${action} an entry they ${
+        earlier.action === "submit" ? "submitted" : "verified"
+      }`,
+    };
+
+  const transition = {
+    action,
+    from,
+    to: rule.to,
+    by: actor,
+    at: new Date().toISOString(),
+    remarks,
+  };
+  return {
+    record: {
+      version: record.version + 1,
+      author: actor,
+      savedAt: transition.at,
+      restoredFrom: null,
+      diff: [{ field: "status", from, to: rule.to }],
+      status: rule.to,
+      transitions: [...transitions, transition],
+      entry: record.entry,
+    },
+  };
+}
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  entryStatus,
+  applyTransition,
+};
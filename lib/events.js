@@ -0,0 +1,210 @@
+/** -------------- CHANGE EVENTS --------------
+ * server.js emits one typed event per change to land records:
+ *
+ *   building.created, building.updated, building.deleted   { bid, village }
+ *   layout.saved       { bid, scope, floors?, apartment? }
+ *                      scope: "apartment" (a floor's apartment grid),
+ *                      "common" (the template) or "floor" (floor overrides)
+ *   entry.saved        { key, propertyId, floor, version }
+ *   entry.reviewed     { key, propertyId, floor, version, action, status }
+ *                      for submit, verify and reject
+ *   mutation.approved  { key, propertyId, floor, version }
+ *
+ * as { id, type, at, actor, data }. Events name what changed and never carry
+ * owner details; receivers read those through the API.
+ *
+ * They reach
+ *   - open map clients over GET /api/events (Server-Sent Events). The last
+ *     500 are kept so a reconnecting client (Last-Event-ID) gets what it
+ *     missed, or a "resync" event when it was away longer.
+ *   - the webhooks listed in data/webhooks.json (or WEBHOOKS_FILE):
+ *       [{ "url": "http://...", "secret": "...", "events": ["building.*"] }]
+ *     events defaults to all. Each is POSTed as JSON with the headers
+ *       X-Event-Id, X-Event-Type, X-Webhook-Timestamp
+ *       X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ *     and retried after 1 s, 10 s, 1 min, 5 min and 30 min until a 2xx
+ *     answer. Pending retries are held in memory and lost on restart.
+ *
+ * scripts/webhook-receiver.js is a local receiver that checks signatures.
+ **/
+const crypto = require("crypto");
+const fs = require("fs");
+
+const EVENT_TYPES = [
+  "building.created",
+  "building.updated",
+  "building.deleted",
+  "layout.saved",
+  "entry.saved",
+  "entry.reviewed",
+  "mutation.approved",
+];
+
+const REPLAY_SIZE = 500;
+const DELIVERY_LOG_SIZE = 200;
+const RETRY_DELAYS = [1000, 10000, 60000, 300000, 1800000];
+const DELIVERY_TIMEOUT = 10000;
+
+function signPayload(secret, timestamp, body) {
+  return (
+    "sha256=" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(`${timestamp}.${body}`)
+      .digest("hex")
+  );
+}
+
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const given = Buffer.from(String(signature || ""));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+}
+
+// "building.*" matches every building event, "*" everything.
+function matchesType(patterns, type) {
+  return (patterns || ["*"]).some(
+    (p) =>
+      p === "*" ||
+      p === type ||
+      (p.endsWith(".*") && type.startsWith(p.slice(0, -1)))
+  );
+}
+
+// Reads the webhook list, dropping (with a warning) entries without a url
+// and secret. A missing file means no webhooks.
+function loadWebhooks(file) {
+  let list;
+  try {
+    list = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") console.warn(`Ignoring ${file}: ${err.message}`);
+    return [];
+  }
+  if (!Array.isArray(list)) {
+    console.warn(`Ignoring ${file}: expected an array of webhooks`);
+    return [];
+  }
+  return list.filter((hook, i) => {
+    const ok =
+      hook && typeof hook.url === "string" && typeof hook.secret === "string";
+    if (!ok) console.warn(`Ignoring webhook ${i + 1}: url and secret required`);
+    return ok;
+  });
+}
+
+function createEventBus({ webhooks = [] } = {}) {
+  const listeners = new Set();
+  const recent = [];
+  const deliveries = [];
+  // Ids keep increasing across restarts, so a stale Last-Event-ID is
+  // recognised as older than the replay window.
+  let lastId = Date.now();
+
+  function logDelivery(record) {
+    deliveries.push(record);
+    if (deliveries.length > DELIVERY_LOG_SIZE) deliveries.shift();
+  }
+
+  async function deliver(hook, event, attempt) {
+    const body = JSON.stringify(event);
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let status = null;
+    let error = null;
+    try {
+      const response = await fetch(hook.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Event-Id": String(event.id),
+          "X-Event-Type": event.type,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signPayload(hook.secret, timestamp, body),
+        },
+        body,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      });
+      status = response.status;
+      if (!response.ok) error = `HTTP ${response.status}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const retryIn = error ? RETRY_DELAYS[attempt - 1] : undefined;
+    logDelivery({
+      eventId: event.id,
+      type: event.type,
+      url: hook.url,
+      attempt,
+      at: new Date().toISOString(),
+      status,
+      error,
+      nextRetryAt:
+        retryIn != null ? new Date(Date.now() + retryIn).toISOString() : null,
+    });
+    if (retryIn != null)
+      setTimeout(() => deliver(hook, event, attempt + 1), retryIn).unref();
+  }
+
+  // Records and publishes an event; actor is the username behind the
+  // change. Returns the event. Webhook failures are logged and retried.
+  function emit(type, data, { actor } = {}) {
+    if (!EVENT_TYPES.includes(type))
+      throw new Error(`Unknown event type "${type}"`);
+    const event = {
+      id: ++lastId,
+      type,
+      at: new Date().toISOString(),
+      actor: actor || null,
+      data,
+    };
+    recent.push(event);
+    if (recent.length > REPLAY_SIZE) recent.shift();
+
+    for (const listener of listeners) {
+      try {
+        listener(event);
+      } catch (err) {
+        console.warn("Event listener failed:", err.message);
+      }
+    }
+    for (const hook of webhooks)
+      if (matchesType(hook.events, type)) deliver(hook, event, 1);
+    return event;
+  }
+
+  // Returns the unsubscribe function.
+  function subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  }
+
+  // Events after id, or null when some of them are no longer kept.
+  function since(id) {
+    const after = Number(id);
+    if (!Number.isFinite(after)) return null;
+    if (after >= lastId) return [];
+    if (!recent.length || recent[0].id > after + 1) return null;
+    return recent.filter((e) => e.id > after);
+  }
+
+  return {
+    emit,
+    subscribe,
+    since,
+    webhooks: () =>
+      webhooks.map(({ url, events }) => ({ url, events: events || ["*"] })),
+    deliveries: () => deliveries.slice().reverse(),
+  };
+}
+
+module.exports = {
+  EVENT_TYPES,
+  signPayload,
+  verifySignature,
+  matchesType,
+  loadWebhooks,
+  createEventBus,
+};
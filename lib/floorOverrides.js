@@ -0,0 +1,196 @@
+/** -------------- FLOOR OVERRIDES --------------
+ * Shared by server.js and index.html (served as /lib/floorOverrides.js,
+ * exposed as window.FloorOverrides).
+ *
+ * A common layout holds one room set, the template, used on every floor. A
+ * floor that differs (ground-floor shops, a smaller top floor) gets its own
+ * room set in the same normalised space and bounds:
+ *
+ *   properties.floorOverrides["<floor>"] = { rooms, updatedAt, updatedBy }
+ *
+ * Anything that places common rooms on a floor goes through layoutForFloor().
+ * The per-apartment grids in floorLayouts.json stay separate; diffFloors()
+ * compares both.
+ **/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.FloorOverrides = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  // layout: a common layout's properties (or the client's copy of them).
+  function overrideFloors(layout) {
+    return Object.keys((layout && layout.floorOverrides) || {})
+      .map(Number)
+      .filter((n) => Number.isInteger(n) && n >= 1)
+      .sort((a, b) => a - b);
+  }
+
+  // { bounds, rooms, override } for one floor, or null without a layout.
+  function layoutForFloor(layout, floor) {
+    if (!layout) return null;
+    const entry = layout.floorOverrides && layout.floorOverrides[String(floor)];
+    const override = Boolean(entry && Array.isArray(entry.rooms));
+    return {
+      bounds: layout.bounds || null,
+      rooms: override
+        ? entry.rooms
+        : Array.isArray(layout.rooms)
+          ? layout.rooms
+          : [],
+      override,
+    };
+  }
+
+  // "2-5,8" / [2, 3] / 4 → sorted unique floor numbers, or null when any
+  // part is malformed or outside 1..maxFloor.
+  function parseFloorList(value, maxFloor) {
+    const parts = Array.isArray(value) ? value : String(value ?? "").split(",");
+    const floors = new Set();
+    for (const part of parts) {
+      const text = String(part).trim();
+      const range = /^(\d+)\s*-\s*(\d+)$/.exec(text);
+      const [from, to] = range
+        ? [Number(range[1]), Number(range[2])]
+        : /^\d+$/.test(text)
+          ? [Number(text), Number(text)]
+          : [NaN, NaN];
+      if (!(from >= 1 && to >= from && to <= maxFloor)) return null;
+      for (let f = from; f <= to; f++) floors.add(f);
+    }
+    return floors.size ? [...floors].sort((a, b) => a - b) : null;
+  }
+
+  /* ---------- diff ---------- */
+
+  const COMPARED_FIELDS = [
+    "name",
+    "type",
+    "bounds",
+    "polygon",
+    "polygons",
+    "pniu",
+    "ulpin",
+    "x",
+    "y",
+    "width",
+    "height",
+  ];
+
+  // JSON with numbers rounded, so float noise from the designers does not
+  // count as a change.
+  function canonical(value) {
+    return JSON.stringify(value ?? null, (key, v) =>
+      typeof v === "number" ? Math.round(v * 1e6) / 1e6 : v
+    );
+  }
+
+  function summary(room, idx) {
+    return {
+      id: room.id || null,
+      name: room.name || `Room ${idx + 1}`,
+      type: room.type || "room",
+    };
+  }
+
+  // Rooms are paired by id, then by type + name in order (grid rooms have no
+  // ids, and "Elevator" may appear twice).
+  function diffRooms(before = [], after = []) {
+    const unmatched = after.map((room, idx) => ({ room, idx }));
+    const take = (test) => {
+      const i = unmatched.findIndex(test);
+      return i === -1 ? null : unmatched.splice(i, 1)[0];
+    };
+    const result = { added: [], removed: [], changed: [], unchanged: 0 };
+
+    before.forEach((room, idx) => {
+      const match =
+        (room.id && take(({ room: r }) => r.id === room.id)) ||
+        take(
+          ({ room: r }) =>
+            !(room.id && r.id) &&
+            (r.type || "") === (room.type || "") &&
+            (r.name || "") === (room.name || "")
+        );
+      if (!match) {
+        result.removed.push(summary(room, idx));
+        return;
+      }
+      const fields = COMPARED_FIELDS.filter(
+        (f) => canonical(room[f]) !== canonical(match.room[f])
+      );
+      if (fields.length)
+        result.changed.push({ ...summary(match.room, match.idx), fields });
+      else result.unchanged++;
+    });
+    for (const { room, idx } of unmatched)
+      result.added.push(summary(room, idx));
+    return result;
+  }
+
+  function isSame(diff) {
+    return !diff.added.length && !diff.removed.length && !diff.changed.length;
+  }
+
+  /**
+   * a, b: { floor, common: layoutForFloor() result or null,
+   *         apartments: { "<apt>": { grid, rooms } } }
+   * Returns { floors, same, common, apartments } where common and each
+   * apartment are diffRooms() results with a `status`.
+   */
+  function diffFloors(a, b) {
+    const commonA = (a.common && a.common.rooms) || [];
+    const commonB = (b.common && b.common.rooms) || [];
+    const common = {
+      from: a.common ? (a.common.override ? "override" : "template") : null,
+      to: b.common ? (b.common.override ? "override" : "template") : null,
+      ...diffRooms(commonA, commonB),
+    };
+    common.status = isSame(common) ? "same" : "changed";
+
+    const apartments = {};
+    const keys = new Set([
+      ...Object.keys(a.apartments || {}),
+      ...Object.keys(b.apartments || {}),
+    ]);
+    for (const key of [...keys].sort((x, y) =>
+      x.localeCompare(y, undefined, { numeric: true })
+    )) {
+      const left = a.apartments && a.apartments[key];
+      const right = b.apartments && b.apartments[key];
+      const diff = diffRooms(
+        (left && left.rooms) || [],
+        (right && right.rooms) || []
+      );
+      const gridChanged =
+        Boolean(left && right) &&
+        canonical(left.grid) !== canonical(right.grid);
+      apartments[key] = {
+        status: !left
+          ? "added"
+          : !right
+            ? "removed"
+            : isSame(diff) && !gridChanged
+              ? "same"
+              : "changed",
+        gridChanged,
+        ...diff,
+      };
+    }
+
+    return {
+      floors: [a.floor, b.floor],
+      same:
+        common.status === "same" &&
+        Object.values(apartments).every((x) => x.status === "same"),
+      common,
+      apartments,
+    };
+  }
+
+  return {
+    overrideFloors,
+    layoutForFloor,
+    parseFloorList,
+    diffRooms,
+    diffFloors,
+  };
+});
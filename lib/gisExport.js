@@ -0,0 +1,228 @@
+/** -------------- GIS EXPORT --------------
+ * Builds the layers served by GET /api/export:
+ *   buildings  footprints from createBuilding.geojson
+ *   floors     the footprint once per floor, with base/top heights in metres
+ *              for QGIS 2.5D or extrusion renderers
+ *   rooms      common-layout rooms, georeferenced from the layout bounds,
+ *              on every floor (a floor's override replaces the template, see
+ *              lib/floorOverrides.js)
+ * and packs them as a zipped shapefile set or a zip of GeoJSON files.
+ *
+ * Attribute names are at most 8 characters (the DBF limit) so both formats
+ * carry the same columns.
+ **/
+const JSZip = require("jszip");
+const shpwrite = require("shp-write");
+const turf = require("@turf/turf");
+const ulpin = require("./ulpin");
+const { roomGeometry } = require("./roomShape");
+const { layoutForFloor } = require("./floorOverrides");
+
+const LAYERS = ["buildings", "floors", "rooms"];
+
+function collection(features) {
+  return { type: "FeatureCollection", features };
+}
+
+function isPolygonal(geometry) {
+  return (
+    Boolean(geometry) &&
+    (geometry.type === "Polygon" || geometry.type === "MultiPolygon")
+  );
+}
+
+// Plots are encoded at floor index 0, from the parcel centroid, as in the map
+// click handler in index.html.
+function parcelUlpin(parcel) {
+  const [lon, lat] = turf.centroid(parcel).geometry.coordinates;
+  return ulpin.ulpinGenerator(lon, lat, 0) || null;
+}
+
+function parcelUlpinFor(building, parcels) {
+  const point = turf.centroid(building);
+  const parcel = parcels.find((p) => {
+    try {
+      return turf.booleanPointInPolygon(point, p);
+    } catch (e) {
+      return false;
+    }
+  });
+  return parcel ? parcelUlpin(parcel) : null;
+}
+
+function floorHeights(props) {
+  const floors = Math.max(1, parseInt(props.floors || 1, 10));
+  const height = parseFloat(props.height || floors * 3);
+  return { floors, height, floorHeight: height / floors };
+}
+
+// From the layout bounds when the building has a layout, else from the
+// footprint centroid ([lon, lat]).
+function floorUlpin(layout, centroid, floor) {
+  return layout
+    ? ulpin.computeFloorPniuFromLayout(layout, floor)
+    : ulpin.ulpinGenerator(
+        centroid[0],
+        centroid[1],
+        ulpin.ulpinFloorIndex(floor)
+      ) || "";
+}
+
+/**
+ * buildings, layouts: FeatureCollections as returned by the store.
+ * parcels:  village parcel features, used for the parcel ULPIN.
+ * filter:   { bid, floor, ulpin } — floor is 1-based, ulpin a parcel ULPIN.
+ * propertyIdOf(props): the id owner entries are keyed by.
+ * ownerName(propertyId, floor): owner to attach; omit it to leave the OWNER
+ *           column out entirely.
+ */
+function buildExportLayers({
+  buildings,
+  layouts,
+  parcels = [],
+  filter = {},
+  propertyIdOf,
+  ownerName,
+}) {
+  const layoutByBid = {};
+  for (const f of (layouts && layouts.features) || []) {
+    if (f.properties && f.properties.bounds)
+      layoutByBid[String(f.properties.BID)] = f.properties;
+  }
+
+  const out = { buildings: [], floors: [], rooms: [] };
+  for (const building of (buildings && buildings.features) || []) {
+    const props = building.properties || {};
+    if (!isPolygonal(building.geometry)) continue;
+    if (filter.bid != null && String(props.BID) !== String(filter.bid))
+      continue;
+
+    const { floors, height, floorHeight } = floorHeights(props);
+    if (filter.floor != null && filter.floor > floors) continue;
+
+    const parUlpin = parcelUlpinFor(building, parcels);
+    if (filter.ulpin && parUlpin !== filter.ulpin) continue;
+
+    const propertyId = propertyIdOf(props);
+    const layout = layoutByBid[String(props.BID)] || null;
+    const centroid = turf.centroid(building).geometry.coordinates;
+    const withOwner = (attrs, floor) => {
+      if (!ownerName) return attrs;
+      return { ...attrs, OWNER: ownerName(propertyId, floor) || "" };
+    };
+
+    out.buildings.push({
+      type: "Feature",
+      geometry: building.geometry,
+      properties: {
+        BID: Number(props.BID),
+        NAME: String(props.NAME || props.name || ""),
+        PROP_ID: propertyId,
+        PAR_ULPN: parUlpin || "",
+        FLOORS: floors,
+        HEIGHT_M: height,
+        BLD_TYPE: String(props.building_type || ""),
+      },
+    });
+
+    for (let floor = 1; floor <= floors; floor++) {
+      if (filter.floor != null && floor !== filter.floor) continue;
+      const base = floorHeight * (floor - 1);
+      const top = floorHeight * floor;
+
+      out.floors.push({
+        type: "Feature",
+        geometry: building.geometry,
+        properties: withOwner(
+          {
+            BID: Number(props.BID),
+            FLOOR: floor,
+            ULPIN: floorUlpin(layout, centroid, floor),
+            PROP_ID: propertyId,
+            PAR_ULPN: parUlpin || "",
+            BASE_M: base,
+            TOP_M: top,
+          },
+          floor
+        ),
+      });
+
+      if (!layout) continue;
+      layoutForFloor(layout, floor).rooms.forEach((room, idx) => {
+        const geometry = roomGeometry(room, layout.bounds);
+        if (!geometry) return;
+        out.rooms.push({
+          type: "Feature",
+          geometry,
+          properties: withOwner(
+            {
+              BID: Number(props.BID),
+              FLOOR: floor,
+              ROOM_ID: String(room.id || `room-${idx}`),
+              ROOM_NM: String(room.name || `Room ${idx + 1}`),
+              ROOM_TYP: String(room.type || "room"),
+              ULPIN: ulpin.computeRoomPniuFromLayout(layout, room, floor),
+              BASE_M: base,
+              TOP_M: top,
+            },
+            floor
+          ),
+        });
+      });
+    }
+  }
+
+  return {
+    buildings: collection(out.buildings),
+    floors: collection(out.floors),
+    rooms: collection(out.rooms),
+  };
+}
+
+function writeShapefile(features) {
+  return new Promise((resolve, reject) =>
+    shpwrite.write(
+      features.map((f) => f.properties),
+      "POLYGON",
+      features.map((f) => f.geometry.coordinates),
+      (err, files) => (err ? reject(err) : resolve(files))
+    )
+  );
+}
+
+// Resolves to a zip Buffer holding <layer>.shp/.shx/.dbf/.prj per non-empty
+// layer.
+async function shapefileZip(layers) {
+  const zip = new JSZip();
+  for (const name of LAYERS) {
+    const { features } = layers[name];
+    if (!features.length) continue;
+    const files = await writeShapefile(features);
+    zip.file(`${name}.shp`, files.shp.buffer);
+    zip.file(`${name}.shx`, files.shx.buffer);
+    zip.file(`${name}.dbf`, files.dbf.buffer);
+    zip.file(`${name}.prj`, files.prj);
+  }
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+// Resolves to a zip Buffer holding <layer>.geojson per non-empty layer.
+async function geojsonZip(layers) {
+  const zip = new JSZip();
+  for (const name of LAYERS) {
+    if (!layers[name].features.length) continue;
+    zip.file(`${name}.geojson`, JSON.stringify(layers[name]));
+  }
+  return zip.generateAsync({ type: "nodebuffer", compression: "DEFLATE" });
+}
+
+module.exports = {
+  LAYERS,
+  parcelUlpin,
+  parcelUlpinFor,
+  floorHeights,
+  floorUlpin,
+  buildExportLayers,
+  shapefileZip,
+  geojsonZip,
+};
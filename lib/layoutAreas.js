@@ -0,0 +1,347 @@
+/** -------------- LAYOUT AREAS --------------
+ * Shared by server.js (GET /api/area-statement) and index.html (served as
+ * /lib/layoutAreas.js, exposed as window.LayoutAreas).
+ *
+ * Layouts are drawn without units; their metric scale comes from the
+ * building:
+ *   common layouts  rooms in normalised (0-1) space inside the lon/lat
+ *                   `bounds` (see lib/roomShape.js); x spans the east-west
+ *                   extent of the bounds, y the north-south extent.
+ *   grid layouts    `grid.cols` × `grid.rows` cells covering an equal share
+ *                   of the footprint area (the whole footprint when the floor
+ *                   has one apartment), in the footprint's east-west :
+ *                   north-south proportions — unless the surveyor entered a
+ *                   measured `grid.cellMetres`.
+ *
+ * Built-up area is every room drawn; carpet area leaves out NON_CARPET_TYPES
+ * (lift and stair shafts, open terraces). Super built-up area adds a share of
+ * the floor plate not covered by any apartment.
+ **/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports)
+    module.exports = factory(require("./roomShape"));
+  else root.LayoutAreas = factory(root.RoomShape);
+})(typeof self !== "undefined" ? self : this, function (RoomShape) {
+  const M_PER_DEG_LAT = 110540;
+  const M_PER_DEG_LON = 111320;
+  const SQFT_PER_M2 = 10.7639104;
+  const FT_PER_M = 3.2808399;
+  const NON_CARPET_TYPES = ["elevator", "stairs", "terrace"];
+
+  function round2(value) {
+    return value == null ? null : Math.round(value * 100) / 100;
+  }
+
+  // { minLon, minLat, maxLon, maxLat } of a Polygon/MultiPolygon, or null.
+  function boundsOf(geometry) {
+    const polys =
+      geometry && geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry && geometry.type === "MultiPolygon"
+          ? geometry.coordinates
+          : [];
+    const b = {
+      minLon: Infinity,
+      minLat: Infinity,
+      maxLon: -Infinity,
+      maxLat: -Infinity,
+    };
+    for (const rings of polys)
+      for (const [lon, lat] of (rings && rings[0]) || []) {
+        b.minLon = Math.min(b.minLon, lon);
+        b.minLat = Math.min(b.minLat, lat);
+        b.maxLon = Math.max(b.maxLon, lon);
+        b.maxLat = Math.max(b.maxLat, lat);
+      }
+    return Number.isFinite(b.minLon) ? b : null;
+  }
+
+  // East-west (width) and north-south (depth) extent of lon/lat bounds, in
+  // metres.
+  function extentMetres(bounds) {
+    const midLat = (bounds.minLat + bounds.maxLat) / 2;
+    return {
+      width:
+        (bounds.maxLon - bounds.minLon) *
+        M_PER_DEG_LON *
+        Math.cos((midLat * Math.PI) / 180),
+      depth: (bounds.maxLat - bounds.minLat) * M_PER_DEG_LAT,
+    };
+  }
+
+  // Size of one grid cell in metres: { cellWidth, cellDepth, source }, or
+  // null when neither a measured size nor a footprint is available.
+  // plate: { bounds, areaM2, apartments } of the floor the grid is on.
+  function gridScale(grid, plate) {
+    const measured = parseFloat(grid && grid.cellMetres);
+    if (measured > 0)
+      return { cellWidth: measured, cellDepth: measured, source: "measured" };
+    if (!grid || !plate || !plate.bounds) return null;
+    const cols = parseInt(grid.cols, 10) || 10;
+    const rows = parseInt(grid.rows, 10) || 10;
+    const { width, depth } = extentMetres(plate.bounds);
+    if (!(width > 0 && depth > 0)) return null;
+    // Shrink the bounding box to the apartment's share of the real area, so
+    // rotated or irregular footprints are not overstated.
+    const share =
+      (plate.areaM2 > 0 ? plate.areaM2 : width * depth) /
+      Math.max(1, parseInt(plate.apartments, 10) || 1);
+    const k = Math.sqrt(share / (width * depth));
+    return {
+      cellWidth: (width * k) / cols,
+      cellDepth: (depth * k) / rows,
+      source: "footprint",
+    };
+  }
+
+  // parts → rings → {x, y} in metres → { width, depth, area, perimeter }.
+  function measureParts(parts) {
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    let area = 0;
+    let perimeter = 0;
+    for (const part of parts) {
+      area += RoomShape.partArea(part);
+      for (const ring of part)
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+          perimeter += Math.hypot(ring[i].x - ring[j].x, ring[i].y - ring[j].y);
+          minX = Math.min(minX, ring[i].x);
+          minY = Math.min(minY, ring[i].y);
+          maxX = Math.max(maxX, ring[i].x);
+          maxY = Math.max(maxY, ring[i].y);
+        }
+    }
+    if (!Number.isFinite(minX)) return null;
+    return { width: maxX - minX, depth: maxY - minY, area, perimeter };
+  }
+
+  function scaleParts(parts, kx, ky) {
+    return parts.map((part) =>
+      part.map((ring) => ring.map((p) => ({ x: p.x * kx, y: p.y * ky })))
+    );
+  }
+
+  // Grid rooms are { x, y, width, height } in cells.
+  function gridRoomMeasures(room, scale) {
+    if (!room || !scale) return null;
+    const width = (Number(room.width) || 0) * scale.cellWidth;
+    const depth = (Number(room.height) || 0) * scale.cellDepth;
+    return {
+      width,
+      depth,
+      area: width * depth,
+      perimeter: 2 * (width + depth),
+    };
+  }
+
+  function commonRoomMeasures(room, bounds) {
+    if (!room || !bounds) return null;
+    const { width, depth } = extentMetres(bounds);
+    return measureParts(scaleParts(RoomShape.roomParts(room), width, depth));
+  }
+
+  // Metric measures → the rounded, dual-unit shape the API returns.
+  function withUnits(m) {
+    if (!m) return null;
+    return {
+      widthM: round2(m.width),
+      depthM: round2(m.depth),
+      areaM2: round2(m.area),
+      areaSqFt: round2(m.area * SQFT_PER_M2),
+      perimeterM: round2(m.perimeter),
+      perimeterFt: round2(m.perimeter * FT_PER_M),
+    };
+  }
+
+  function isCarpet(room) {
+    return !NON_CARPET_TYPES.includes(String(room.type || "").toLowerCase());
+  }
+
+  // rooms: [{ room, measures }] → { rooms, carpet, builtUp } in m².
+  function summariseRooms(measured) {
+    let carpet = 0;
+    let builtUp = 0;
+    const rooms = measured.map(({ room, measures }, idx) => {
+      const carpetRoom = isCarpet(room);
+      if (measures) {
+        builtUp += measures.area;
+        if (carpetRoom) carpet += measures.area;
+      }
+      return {
+        name: String(room.name || `Room ${idx + 1}`),
+        type: room.type || "room",
+        carpet: carpetRoom,
+        ...withUnits(measures),
+      };
+    });
+    return { rooms, carpet, builtUp };
+  }
+
+  function areaPair(m2) {
+    return {
+      m2: round2(m2),
+      sqft: m2 == null ? null : round2(m2 * SQFT_PER_M2),
+    };
+  }
+
+  /**
+   * Area statement for one floor:
+   *   floor            floor number
+   *   footprint        building Feature (its bounds scale the grid layouts)
+   *   footprintM2      footprint area, measured by the caller
+   *   apartmentCount   apartments on the floor (apartmentCounts[floor])
+   *   floorLayout      getFloorLayouts() node for the floor, or null
+   *   commonLayout     { bounds, rooms } shared by every floor, or null
+   *
+   * Returns { floor, floorPlate, apartments, commonLayout, totals }; areas are
+   * { m2, sqft } pairs, both null where there is nothing to measure.
+   */
+  function floorStatement({
+    floor,
+    footprint,
+    footprintM2,
+    apartmentCount,
+    floorLayout,
+    commonLayout,
+  }) {
+    const footprintBounds = boundsOf(footprint && footprint.geometry);
+    const layouts =
+      floorLayout && floorLayout.apartments
+        ? floorLayout.apartments
+        : floorLayout && floorLayout.rooms
+          ? { 1: floorLayout }
+          : {};
+    const keys = new Set(Object.keys(layouts));
+    for (let i = 1; i <= (parseInt(apartmentCount, 10) || 1); i++)
+      keys.add(String(i));
+
+    const apartments = [...keys]
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+      .map((apartment) => {
+        const layout = layouts[apartment];
+        if (!layout || !Array.isArray(layout.rooms) || !layout.rooms.length)
+          return {
+            apartment,
+            scale: null,
+            rooms: [],
+            carpet: null,
+            builtUp: null,
+          };
+        const scale = gridScale(layout.grid || {}, {
+          bounds: footprintBounds,
+          areaM2: footprintM2,
+          apartments: keys.size,
+        });
+        const summary = summariseRooms(
+          layout.rooms.map((room) => ({
+            room,
+            measures: gridRoomMeasures(room, scale),
+          }))
+        );
+        return {
+          apartment,
+          scale: scale && {
+            cellWidthM: round2(scale.cellWidth),
+            cellDepthM: round2(scale.cellDepth),
+            source: scale.source,
+          },
+          rooms: summary.rooms,
+          carpet: scale ? summary.carpet : null,
+          builtUp: scale ? summary.builtUp : null,
+        };
+      });
+
+    // Floor plate not covered by apartments is shared out as loading: pro
+    // rata by built-up area when every apartment is drawn, otherwise split
+    // evenly between the undrawn ones as their (estimated) super built-up.
+    const drawn = apartments.filter((a) => a.builtUp != null);
+    const drawnSum = drawn.reduce((sum, a) => sum + a.builtUp, 0);
+    const spare = footprintM2 > 0 ? Math.max(0, footprintM2 - drawnSum) : null;
+    const undrawn = apartments.length - drawn.length;
+    for (const a of apartments) {
+      if (a.builtUp == null) {
+        a.superBuiltUp = spare == null ? null : spare / undrawn;
+        a.estimated = true;
+      } else {
+        a.superBuiltUp =
+          undrawn || spare == null || !drawnSum
+            ? a.builtUp
+            : a.builtUp + (spare * a.builtUp) / drawnSum;
+        a.estimated = false;
+      }
+    }
+
+    let common = null;
+    if (commonLayout && commonLayout.bounds && commonLayout.rooms.length) {
+      const summary = summariseRooms(
+        commonLayout.rooms.map((room) => ({
+          room,
+          measures: commonRoomMeasures(room, commonLayout.bounds),
+        }))
+      );
+      common = {
+        rooms: summary.rooms,
+        carpet: areaPair(summary.carpet),
+        builtUp: areaPair(summary.builtUp),
+      };
+    }
+
+    // Floor totals come from the apartment layouts, or from the common
+    // layout when no apartment is drawn.
+    const carpet = drawn.length
+      ? drawn.reduce((sum, a) => sum + a.carpet, 0)
+      : common
+        ? common.carpet.m2
+        : null;
+    const builtUp = drawn.length ? drawnSum : common ? common.builtUp.m2 : null;
+
+    return {
+      floor,
+      floorPlate: {
+        ...areaPair(footprintM2 > 0 ? footprintM2 : null),
+        ...(footprintBounds
+          ? (({ width, depth }) => ({
+              widthM: round2(width),
+              depthM: round2(depth),
+            }))(extentMetres(footprintBounds))
+          : {}),
+      },
+      apartments: apartments.map((a) => ({
+        apartment: a.apartment,
+        scale: a.scale,
+        rooms: a.rooms,
+        carpet: areaPair(a.carpet),
+        builtUp: areaPair(a.builtUp),
+        superBuiltUp: areaPair(a.superBuiltUp),
+        estimated: a.estimated,
+      })),
+      commonLayout: common,
+      totals: {
+        carpet: areaPair(carpet),
+        builtUp: areaPair(builtUp),
+        superBuiltUp: areaPair(footprintM2 > 0 ? footprintM2 : builtUp),
+      },
+    };
+  }
+
+  // "12.5 m² (134.55 ft²)" for labels.
+  function formatArea(m2) {
+    if (m2 == null || !Number.isFinite(m2)) return "N/A";
+    return `${round2(m2)} m² (${round2(m2 * SQFT_PER_M2)} ft²)`;
+  }
+
+  return {
+    SQFT_PER_M2,
+    FT_PER_M,
+    NON_CARPET_TYPES,
+    boundsOf,
+    extentMetres,
+    gridScale,
+    gridRoomMeasures,
+    commonRoomMeasures,
+    floorStatement,
+    formatArea,
+  };
+});
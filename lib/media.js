@@ -0,0 +1,338 @@
+/** -------------- MEDIA STORE --------------
+ * Every image written to upload/ comes through here: /api/upload-image,
+ * /api/upload-data-url and the data URLs inside saved owner entries.
+ *
+ *   - the bytes must decode as PNG, JPEG or WebP (the filename and declared
+ *     type are ignored) and be at most MEDIA_MAX_BYTES, 8 MB by default
+ *   - files are named by their SHA-256, so a picture uploaded twice is
+ *     stored once:
+ *       upload/<hash>.<ext>        the original
+ *       upload/<hash>.web.jpg      at most 1600 px, for display and cards
+ *       upload/<hash>.thumb.jpg    at most 256 px
+ *   - the store keeps one media record per hash, with the entry versions
+ *     that use it:
+ *       { hash, mime, bytes, width, height, files: { original, web, thumb },
+ *         uploadedBy, createdAt,
+ *         refs: [{ key, propertyId, floor, version, field }] }
+ *
+ * Anything in upload/ no entry version points at can be removed with
+ * scripts/cleanup-media.js.
+ *
+ * The digital signature is PII (see lib/pii.js) and stays inline in the
+ * encrypted entry: it is checked like any upload but never written out.
+ **/
+const crypto = require("crypto");
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const sharp = require("sharp");
+const { isPiiField } = require("./pii");
+
+const MAX_BYTES = Number(process.env.MEDIA_MAX_BYTES) || 8 * 1024 * 1024;
+
+const FORMATS = {
+  png: { mime: "image/png", ext: "png" },
+  jpeg: { mime: "image/jpeg", ext: "jpg" },
+  webp: { mime: "image/webp", ext: "webp" },
+};
+
+// Longest side in pixels of each JPEG derivative.
+const DERIVATIVES = { web: 1600, thumb: 256 };
+
+// Owner entry fields that hold an image, as a data URL or /upload/ path.
+const IMAGE_FIELDS = [
+  "section3a.ownerPhoto",
+  "section7.locationMap",
+  "section8.overviewMap",
+  "section9.buildingPhoto",
+  "section10.digitalSignature",
+];
+
+const IMAGE_FILE = /\.(png|jpe?g|webp|gif)$/i;
+
+function getField(entry, field) {
+  const [section, name] = field.split(".");
+  return entry && entry[section] ? entry[section][name] : undefined;
+}
+
+function setField(entry, field, value) {
+  const [section, name] = field.split(".");
+  entry[section] = { ...(entry[section] || {}), [name]: value };
+}
+
+// Format from the leading bytes, before handing anything to the decoder.
+function sniffFormat(buffer) {
+  if (buffer.length < 12) return null;
+  if (buffer.readUInt32BE(0) === 0x89504e47) return "png";
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff)
+    return "jpeg";
+  if (
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  )
+    return "webp";
+  return null;
+}
+
+function parseDataUrl(dataUrl) {
+  const match = /^data:image\/[a-zA-Z0-9+.-]+;base64,(.+)$/.exec(
+    String(dataUrl || "")
+  );
+  return match ? Buffer.from(match[1], "base64") : null;
+}
+
+// "/upload/<name>" → "<name>", or null for anything else.
+function uploadName(ref) {
+  const match = /^\/upload\/([^/?#]+)$/.exec(String(ref || ""));
+  return match ? match[1] : null;
+}
+
+// Hash from a media file name; null for uploads made before this module.
+function hashOf(name) {
+  const match = /^([0-9a-f]{64})\./.exec(name);
+  return match ? match[1] : null;
+}
+
+/**
+ * Resolves to { format, width, height } or { status, error } with the HTTP
+ * status to answer: 413 when too large, 415 when not a supported image.
+ */
+async function inspectImage(buffer) {
+  if (!buffer || !buffer.length) return { status: 400, error: "Empty file" };
+  if (buffer.length > MAX_BYTES)
+    return {
+      status: 413,
+      error: `Image is larger than ${Math.round(MAX_BYTES / 1048576)} MB`,
+    };
+  const format = sniffFormat(buffer);
+  if (!format)
+    return {
+      status: 415,
+      error: "Only PNG, JPEG and WebP images are accepted",
+    };
+  try {
+    const meta = await sharp(buffer).metadata();
+    if (meta.format !== format || !meta.width || !meta.height)
+      throw new Error("format mismatch");
+    return { format, width: meta.width, height: meta.height };
+  } catch (e) {
+    return { status: 415, error: "File is not a readable image" };
+  }
+}
+
+function derivative(buffer, size) {
+  return sharp(buffer)
+    .rotate()
+    .resize({
+      width: size,
+      height: size,
+      fit: "inside",
+      withoutEnlargement: true,
+    })
+    .jpeg({ quality: 80, mozjpeg: true })
+    .toBuffer();
+}
+
+function createMediaStore({ store, uploadDir }) {
+  const urlOf = (name) => `/upload/${name}`;
+
+  async function exists(name) {
+    try {
+      await fsPromises.access(path.join(uploadDir, name));
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  function present(record) {
+    return {
+      ...record,
+      url: urlOf(record.files.original),
+      webUrl: urlOf(record.files.web),
+      thumbUrl: urlOf(record.files.thumb),
+    };
+  }
+
+  /**
+   * Stores an image buffer, or finds the identical one already stored.
+   * Resolves to { media } (the record plus url, webUrl and thumbUrl) or
+   * { status, error } as inspectImage.
+   */
+  async function ingest(buffer, { uploadedBy } = {}) {
+    const info = await inspectImage(buffer);
+    if (info.error) return info;
+
+    const hash = crypto.createHash("sha256").update(buffer).digest("hex");
+    const files = {
+      original: `${hash}.${FORMATS[info.format].ext}`,
+      web: `${hash}.web.jpg`,
+      thumb: `${hash}.thumb.jpg`,
+    };
+    const existing = await store.getMedia(hash);
+    const missing = [];
+    for (const name of Object.values(files))
+      if (!(await exists(name))) missing.push(name);
+    if (existing && !missing.length) return { media: present(existing) };
+
+    try {
+      const derived = {
+        [files.web]: await derivative(buffer, DERIVATIVES.web),
+        [files.thumb]: await derivative(buffer, DERIVATIVES.thumb),
+        [files.original]: buffer,
+      };
+      for (const name of missing)
+        await fsPromises.writeFile(path.join(uploadDir, name), derived[name]);
+    } catch (e) {
+      // The header parsed but the pixel data did not.
+      return { status: 415, error: "File is not a readable image" };
+    }
+
+    const record = existing || {
+      hash,
+      mime: FORMATS[info.format].mime,
+      bytes: buffer.length,
+      width: info.width,
+      height: info.height,
+      files,
+      uploadedBy: uploadedBy || null,
+      createdAt: new Date().toISOString(),
+      refs: [],
+    };
+    await store.saveMedia(record);
+    return { media: present(record) };
+  }
+
+  function ingestDataUrl(dataUrl, options) {
+    const buffer = parseDataUrl(dataUrl);
+    if (!buffer) return { status: 400, error: "Invalid dataUrl" };
+    return ingest(buffer, options);
+  }
+
+  /**
+   * Moves the data URLs in an owner entry's image fields into the media
+   * store, replacing them with /upload/ paths (PII fields are only checked).
+   * Resolves to { entry, errors } with errors shaped like validateEntry's.
+   */
+  async function ingestEntryImages(entry, options) {
+    const out = { ...entry };
+    const errors = [];
+    for (const field of IMAGE_FIELDS) {
+      const value = getField(entry, field);
+      if (typeof value !== "string" || !value.startsWith("data:")) continue;
+      const buffer = parseDataUrl(value);
+      if (!buffer) {
+        errors.push({ field, message: "Not a valid image" });
+        continue;
+      }
+      if (isPiiField(field)) {
+        const info = await inspectImage(buffer);
+        if (info.error) errors.push({ field, message: info.error });
+        continue;
+      }
+      const result = await ingest(buffer, options);
+      if (result.error) errors.push({ field, message: result.error });
+      else setField(out, field, result.media.url);
+    }
+    return { entry: out, errors };
+  }
+
+  // Records that version `version` of entry `key` uses its media files.
+  // `entry` is the plain entry as saved.
+  async function linkEntry(key, version, entry) {
+    const meta = entry.meta || {};
+    for (const field of IMAGE_FIELDS) {
+      const name = uploadName(getField(entry, field));
+      const hash = name && hashOf(name);
+      if (!hash) continue;
+      await store.addMediaRef(hash, {
+        key,
+        propertyId: meta.propertyId || null,
+        floor: Number(meta.ownerFloorNo) || null,
+        version,
+        field,
+      });
+    }
+  }
+
+  // The web-sized copy of an /upload/ reference when there is one, so
+  // renderers do not load multi-megabyte originals.
+  function displayRef(ref) {
+    const name = uploadName(ref);
+    const hash = name && hashOf(name);
+    if (!hash) return ref;
+    const web = `${hash}.web.jpg`;
+    return fs.existsSync(path.join(uploadDir, web)) ? urlOf(web) : ref;
+  }
+
+  /**
+   * Image files in upload/ that no stored entry version refers to and that
+   * are older than graceMs (uploads happen before the entry is saved).
+   * entries: { key: [version records] } with plain (decrypted) entries.
+   * Resolves to [{ name, bytes, hash, modifiedAt }].
+   */
+  async function findOrphans(entries, { graceMs = 24 * 3600 * 1000 } = {}) {
+    const used = new Set();
+    for (const versions of Object.values(entries))
+      for (const record of versions)
+        for (const field of IMAGE_FIELDS) {
+          const name = uploadName(getField(record.entry, field));
+          if (name) used.add(hashOf(name) || name);
+        }
+
+    const cutoff = Date.now() - graceMs;
+    const orphans = [];
+    for (const name of await fsPromises.readdir(uploadDir)) {
+      if (!IMAGE_FILE.test(name)) continue;
+      const hash = hashOf(name);
+      if (used.has(hash || name)) continue;
+      const stat = await fsPromises.stat(path.join(uploadDir, name));
+      if (!stat.isFile() || stat.mtimeMs > cutoff) continue;
+      orphans.push({
+        name,
+        bytes: stat.size,
+        hash,
+        modifiedAt: stat.mtime.toISOString(),
+      });
+    }
+    return orphans;
+  }
+
+  // Deletes the files from findOrphans() and the media records left with
+  // no original. Resolves to the number of files removed.
+  async function removeOrphans(orphans) {
+    let removed = 0;
+    for (const { name } of orphans) {
+      try {
+        await fsPromises.unlink(path.join(uploadDir, name));
+        removed++;
+      } catch (e) {
+        if (e.code !== "ENOENT") throw e;
+      }
+    }
+    for (const hash of new Set(orphans.map((o) => o.hash).filter(Boolean))) {
+      const record = await store.getMedia(hash);
+      if (record && !(await exists(record.files.original)))
+        await store.deleteMedia(hash);
+    }
+    return removed;
+  }
+
+  return {
+    ingest,
+    ingestDataUrl,
+    ingestEntryImages,
+    linkEntry,
+    displayRef,
+    findOrphans,
+    removeOrphans,
+    present,
+  };
+}
+
+module.exports = {
+  MAX_BYTES,
+  IMAGE_FIELDS,
+  inspectImage,
+  createMediaStore,
+};
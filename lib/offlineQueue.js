@@ -0,0 +1,118 @@
+/** -------------- OFFLINE QUEUE --------------
+ * Browser only (served as /lib/offlineQueue.js, exposed as
+ * window.OfflineQueue). An IndexedDB outbox for saves made without a
+ * network; index.html replays it when the connection returns.
+ *
+ *   { id, kind, label, target, url, body, queuedAt, state, conflict, error }
+ *
+ * kind is "entry", "floorLayout" or "commonLayout"; target names what is
+ * being saved (the entry key, "<bid>/<floor>/<apartment>" or
+ * "common/<bid>"), and a newer save to the same target replaces the queued
+ * one. state is "pending", "conflict" (the server answered 409; conflict
+ * holds its body) or "rejected" (any other 4xx; error holds the message).
+ **/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.OfflineQueue = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const DB_NAME = "bhuadhaar-offline";
+  const STORE = "outbox";
+  let dbPromise = null;
+
+  function open() {
+    if (!dbPromise)
+      dbPromise = new Promise((resolve, reject) => {
+        const req = indexedDB.open(DB_NAME, 1);
+        req.onupgradeneeded = () =>
+          req.result.createObjectStore(STORE, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    return dbPromise;
+  }
+
+  // Runs fn(objectStore) in one transaction; resolves to the result of the
+  // IDBRequest fn returns, once the transaction has committed.
+  async function transaction(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Oldest first.
+  function list() {
+    return transaction("readonly", (s) => s.getAll());
+  }
+
+  function get(id) {
+    return transaction("readonly", (s) => s.get(id));
+  }
+
+  function put(item) {
+    return transaction("readwrite", (s) => s.put(item));
+  }
+
+  function remove(id) {
+    return transaction("readwrite", (s) => s.delete(id));
+  }
+
+  // Resolves to the new item's id.
+  async function add(item) {
+    const queued = (await list()).filter((q) => q.target === item.target);
+    for (const q of queued) await remove(q.id);
+    return transaction("readwrite", (s) =>
+      s.add({
+        state: "pending",
+        queuedAt: new Date().toISOString(),
+        ...item,
+      })
+    );
+  }
+
+  // fetch() rejects with a TypeError when the request never reached the
+  // server; HTTP errors resolve normally.
+  function isNetworkError(err) {
+    return err instanceof TypeError;
+  }
+
+  /**
+   * Replays pending items oldest first. send(item) resolves to one of
+   *   { ok: true }                 synced; the item is dropped
+   *   { conflict } / { error }     kept for the user to resolve
+   *   { retry: true }              still offline or signed out
+   * and the first retry stops the run, so saves reach the server in order.
+   * Resolves to { synced, conflicts, remaining }.
+   */
+  async function flush(send) {
+    let synced = 0;
+    for (const item of await list()) {
+      if (item.state !== "pending") continue;
+      const result = await send(item);
+      if (result.retry) break;
+      if (result.ok) {
+        await remove(item.id);
+        synced++;
+      } else if (result.conflict) {
+        await put({ ...item, state: "conflict", conflict: result.conflict });
+      } else {
+        await put({ ...item, state: "rejected", error: result.error });
+      }
+    }
+    const remaining = await list();
+    return {
+      synced,
+      conflicts: remaining.filter((q) => q.state !== "pending").length,
+      remaining: remaining.length,
+    };
+  }
+
+  return { list, get, put, remove, add, isNetworkError, flush };
+});
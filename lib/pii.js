@@ -0,0 +1,197 @@
+/** -------------- OWNER PII PROTECTION --------------
+ * Aadhaar and mobile numbers, ID documents and the signature image are
+ * encrypted field by field (AES-256-GCM) before an entry is stored, and are
+ * masked in API responses unless a user with `piiAccess` asks for them.
+ *
+ * The key comes from PII_KEY (any string; hashed to 256 bits), which is
+ * required when NODE_ENV is production. Elsewhere it falls back to the key
+ * file at PII_KEY_FILE (default ~/.bhuadhaar/pii.key), generated on first
+ * start with owner-only permissions. The file is kept outside the app
+ * directory so that no static route or copy of the tree includes it; a
+ * data/pii.key left by older versions is moved there. Losing the key makes
+ * the stored values unreadable.
+ *
+ * Encrypted values are strings of the form
+ *   enc:v1:<fingerprint>:<iv>:<tag>:<ciphertext>
+ * where the fingerprint is a keyed hash of the plaintext, so version diffs
+ * can tell whether a value changed without decrypting it.
+ **/
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const PREFIX = "enc:v1:";
+
+function lastDigits(value, count) {
+  return String(value).replace(/\D/g, "").slice(-count);
+}
+
+// Field path → how its value is shown when masked.
+const PII_FIELDS = {
+  "section1.plotOwnerAadhaar": (v) => `XXXX XXXX ${lastDigits(v, 4)}`,
+  "section1.plotOwnerMobile": (v) => `XXXXXX${lastDigits(v, 4)}`,
+  "section3a.idDocument": maskAllButLast4,
+  "section3b.idDocument": maskAllButLast4,
+  "section10.digitalSignature": () => "",
+};
+
+function maskAllButLast4(value) {
+  return String(value).replace(
+    /[A-Za-z0-9](?=(?:[^A-Za-z0-9]*[A-Za-z0-9]){4})/g,
+    "X"
+  );
+}
+
+function isPiiField(field) {
+  return Object.prototype.hasOwnProperty.call(PII_FIELDS, field);
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+// Value to compare when diffing: the fingerprint for encrypted values.
+function comparableValue(value) {
+  return isEncrypted(value) ? value.split(":")[2] : value;
+}
+
+function getPath(obj, field) {
+  return field
+    .split(".")
+    .reduce((node, k) => (node ? node[k] : undefined), obj);
+}
+
+function setPath(obj, field, value) {
+  const keys = field.split(".");
+  const last = keys.pop();
+  const node = keys.reduce(
+    (n, k) => (n && typeof n === "object" ? n[k] : null),
+    obj
+  );
+  if (node && typeof node === "object") node[last] = value;
+}
+
+function defaultKeyFile() {
+  return (
+    process.env.PII_KEY_FILE || path.join(os.homedir(), ".bhuadhaar", "pii.key")
+  );
+}
+
+// Moves data/pii.key from older versions to keyFile, so entries encrypted
+// with it stay readable.
+function moveLegacyKey(legacyFile, keyFile) {
+  if (fs.existsSync(keyFile) || !fs.existsSync(legacyFile)) return;
+  console.warn(`Moving ${legacyFile} to ${keyFile}. Back it up.`);
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  fs.copyFileSync(legacyFile, keyFile, fs.constants.COPYFILE_EXCL);
+  fs.chmodSync(keyFile, 0o600);
+  fs.unlinkSync(legacyFile);
+}
+
+function loadPiiKey({ dataDir, keyFile = defaultKeyFile() }) {
+  if (process.env.PII_KEY) return process.env.PII_KEY;
+  if (process.env.NODE_ENV === "production")
+    throw new Error("PII_KEY must be set when NODE_ENV is production");
+  moveLegacyKey(path.join(dataDir, "pii.key"), keyFile);
+  if (fs.existsSync(keyFile)) {
+    fs.chmodSync(keyFile, 0o600);
+    return fs.readFileSync(keyFile, "utf8").trim();
+  }
+  console.warn(`PII_KEY is not set; generating ${keyFile}. Back it up.`);
+  const key = crypto.randomBytes(32).toString("hex");
+  fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(keyFile, key, { mode: 0o600, flag: "wx" });
+  return key;
+}
+
+function createPiiCodec(secret) {
+  const key = crypto.createHash("sha256").update(String(secret)).digest();
+
+  function fingerprint(plain) {
+    return crypto
+      .createHmac("sha256", key)
+      .update(plain)
+      .digest("base64url")
+      .slice(0, 16);
+  }
+
+  function encryptValue(plain) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+    const data = Buffer.concat([cipher.update(plain, "utf8"), cipher.final()]);
+    return [
+      PREFIX + fingerprint(plain),
+      iv.toString("base64url"),
+      cipher.getAuthTag().toString("base64url"),
+      data.toString("base64url"),
+    ].join(":");
+  }
+
+  // Returns the plaintext, or null when the value was encrypted with a
+  // different key or has been tampered with.
+  function decryptValue(value) {
+    if (!isEncrypted(value)) return value;
+    try {
+      const [, , , iv, tag, data] = value.split(":");
+      const decipher = crypto.createDecipheriv(
+        "aes-256-gcm",
+        key,
+        Buffer.from(iv, "base64url")
+      );
+      decipher.setAuthTag(Buffer.from(tag, "base64url"));
+      return Buffer.concat([
+        decipher.update(Buffer.from(data, "base64url")),
+        decipher.final(),
+      ]).toString("utf8");
+    } catch (err) {
+      console.warn("Failed to decrypt an owner entry field:", err.message);
+      return null;
+    }
+  }
+
+  function mapPiiFields(entry, fn) {
+    if (!entry || typeof entry !== "object") return entry;
+    const copy = JSON.parse(JSON.stringify(entry));
+    for (const field of Object.keys(PII_FIELDS)) {
+      const value = getPath(copy, field);
+      if (typeof value === "string" && value !== "")
+        setPath(copy, field, fn(value, field));
+    }
+    return copy;
+  }
+
+  return {
+    encryptEntry(entry) {
+      return mapPiiFields(entry, (v) => (isEncrypted(v) ? v : encryptValue(v)));
+    },
+
+    decryptEntry(entry) {
+      return mapPiiFields(entry, decryptValue);
+    },
+
+    maskEntry(entry) {
+      return mapPiiFields(entry, (v, field) => {
+        const plain = decryptValue(v);
+        return plain == null ? "" : PII_FIELDS[field](plain);
+      });
+    },
+
+    // Fields of an entry that hold a PII value, for the access log.
+    presentFields(entry) {
+      return Object.keys(PII_FIELDS).filter((field) => {
+        const value = getPath(entry, field);
+        return typeof value === "string" && value !== "";
+      });
+    },
+  };
+}
+
+module.exports = {
+  PII_FIELDS,
+  isPiiField,
+  isEncrypted,
+  comparableValue,
+  loadPiiKey,
+  createPiiCodec,
+};
@@ -0,0 +1,269 @@
+/** -------------- ROOM SHAPES --------------
+ * Shared by server.js and index.html (served as /lib/roomShape.js, exposed as
+ * window.RoomShape).
+ *
+ * Rooms live in normalised (0-1) space inside their layout bounds, y up, and
+ * are drawn from the first of these they have:
+ *   polygons  parts → rings → {x, y}. Ring 0 of a part is its outline, any
+ *             further rings are holes. Set by the shapefile layout import.
+ *   polygon   one outline, as drawn in the floor designer. Imported rooms
+ *             also carry it: the outline of their largest part.
+ *   bounds    an axis-aligned { x, y, width, height } box.
+ * Rings are stored open (the first point is not repeated at the end).
+ **/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.RoomShape = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  function isRing(ring) {
+    return Array.isArray(ring) && ring.length >= 3;
+  }
+
+  // Parts of a room as [[outline, ...holes], ...], largest part first for
+  // imported rooms; [] when the room has no usable shape.
+  function roomParts(room) {
+    if (!room) return [];
+    if (Array.isArray(room.polygons)) {
+      const parts = room.polygons
+        .filter((part) => Array.isArray(part) && isRing(part[0]))
+        .map((part) => part.filter(isRing));
+      if (parts.length) return parts;
+    }
+    if (isRing(room.polygon)) return [[room.polygon]];
+    if (room.bounds) {
+      const { x, y, width, height } = room.bounds;
+      return [
+        [
+          [
+            { x, y },
+            { x: x + width, y },
+            { x: x + width, y: y + height },
+            { x, y: y + height },
+          ],
+        ],
+      ];
+    }
+    return [];
+  }
+
+  function ringArea(ring) {
+    let sum = 0;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++)
+      sum += (ring[j].x - ring[i].x) * (ring[j].y + ring[i].y);
+    return Math.abs(sum / 2);
+  }
+
+  function partArea(part) {
+    return part.reduce(
+      (area, ring, i) => area + (i === 0 ? 1 : -1) * ringArea(ring),
+      0
+    );
+  }
+
+  /* ---------- pole of inaccessibility ---------- */
+  // The interior point farthest from any edge, found by quadtree search
+  // (the "polylabel" algorithm). Unlike a centroid it is always inside the
+  // polygon, even for L-shaped rooms or rooms with holes.
+
+  function segmentDistanceSq(px, py, a, b) {
+    let x = a[0];
+    let y = a[1];
+    let dx = b[0] - x;
+    let dy = b[1] - y;
+    if (dx !== 0 || dy !== 0) {
+      const t = ((px - x) * dx + (py - y) * dy) / (dx * dx + dy * dy);
+      if (t > 1) {
+        x = b[0];
+        y = b[1];
+      } else if (t > 0) {
+        x += dx * t;
+        y += dy * t;
+      }
+    }
+    dx = px - x;
+    dy = py - y;
+    return dx * dx + dy * dy;
+  }
+
+  // Distance to the nearest edge; negative outside the polygon.
+  function signedDistance(x, y, rings) {
+    let inside = false;
+    let minSq = Infinity;
+    for (const ring of rings) {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        if (
+          a[1] > y !== b[1] > y &&
+          x < ((b[0] - a[0]) * (y - a[1])) / (b[1] - a[1]) + a[0]
+        )
+          inside = !inside;
+        minSq = Math.min(minSq, segmentDistanceSq(x, y, a, b));
+      }
+    }
+    return (inside ? 1 : -1) * Math.sqrt(minSq);
+  }
+
+  function makeCell(x, y, h, rings) {
+    const d = signedDistance(x, y, rings);
+    return { x, y, h, d, max: d + h * Math.SQRT2 };
+  }
+
+  // rings: [outline, ...holes] as [x, y] arrays. Stops once no cell can beat
+  // the best found by more than `precision` (default: 1/1000 of the extent).
+  function poleOfInaccessibility(rings, precision) {
+    const outline = rings[0];
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const [x, y] of outline) {
+      minX = Math.min(minX, x);
+      minY = Math.min(minY, y);
+      maxX = Math.max(maxX, x);
+      maxY = Math.max(maxY, y);
+    }
+    const width = maxX - minX;
+    const height = maxY - minY;
+    const cellSize = Math.min(width, height);
+    if (cellSize === 0) return [minX, minY];
+    const eps = precision || Math.max(width, height) / 1000;
+
+    const queue = [];
+    let h = cellSize / 2;
+    for (let x = minX; x < maxX; x += cellSize)
+      for (let y = minY; y < maxY; y += cellSize)
+        queue.push(makeCell(x + h, y + h, h, rings));
+
+    // Seed with the outline's centroid, then the bbox centre.
+    let cx = 0;
+    let cy = 0;
+    let area = 0;
+    for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+      const f = outline[i][0] * outline[j][1] - outline[j][0] * outline[i][1];
+      cx += (outline[i][0] + outline[j][0]) * f;
+      cy += (outline[i][1] + outline[j][1]) * f;
+      area += f * 3;
+    }
+    let best = area
+      ? makeCell(cx / area, cy / area, 0, rings)
+      : makeCell(outline[0][0], outline[0][1], 0, rings);
+    const centre = makeCell(minX + width / 2, minY + height / 2, 0, rings);
+    if (centre.d > best.d) best = centre;
+
+    while (queue.length) {
+      let idx = 0;
+      for (let i = 1; i < queue.length; i++)
+        if (queue[i].max > queue[idx].max) idx = i;
+      const cell = queue.splice(idx, 1)[0];
+      if (cell.d > best.d) best = cell;
+      if (cell.max - best.d <= eps) continue;
+      h = cell.h / 2;
+      queue.push(
+        makeCell(cell.x - h, cell.y - h, h, rings),
+        makeCell(cell.x + h, cell.y - h, h, rings),
+        makeCell(cell.x - h, cell.y + h, h, rings),
+        makeCell(cell.x + h, cell.y + h, h, rings)
+      );
+    }
+    return [best.x, best.y];
+  }
+
+  /* ---------- import ---------- */
+
+  function openRing(ring) {
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    return ring.length > 1 && first[0] === last[0] && first[1] === last[1]
+      ? ring.slice(0, -1)
+      : ring;
+  }
+
+  // WGS84 Polygon/MultiPolygon → { polygons, polygon, bounds, pniu } in the
+  // normalised space of `layoutBounds` ({ minLon, minLat, maxLon, maxLat }),
+  // or null when it has no usable ring. The PNIU is the pole of
+  // inaccessibility of the largest part, found with metres-proportional axes
+  // so it is not skewed by the layout's aspect ratio.
+  function normaliseRoomGeometry(geometry, layoutBounds) {
+    const polys =
+      geometry && geometry.type === "Polygon"
+        ? [geometry.coordinates]
+        : geometry && geometry.type === "MultiPolygon"
+          ? geometry.coordinates
+          : [];
+    const { minLon, minLat, maxLon, maxLat } = layoutBounds;
+    const spanLon = maxLon - minLon || Number.EPSILON;
+    const spanLat = maxLat - minLat || Number.EPSILON;
+    const toNorm = ([lon, lat]) => ({
+      x: (lon - minLon) / spanLon,
+      y: (lat - minLat) / spanLat,
+    });
+
+    const parts = polys
+      .map((rings) => (rings || []).map((ring) => openRing(ring).map(toNorm)))
+      .filter((rings) => isRing(rings[0]))
+      .map((rings) => rings.filter(isRing))
+      .sort((a, b) => partArea(b) - partArea(a));
+    if (!parts.length) return null;
+
+    let minX = Infinity;
+    let minY = Infinity;
+    let maxX = -Infinity;
+    let maxY = -Infinity;
+    for (const part of parts)
+      for (const { x, y } of part[0]) {
+        minX = Math.min(minX, x);
+        minY = Math.min(minY, y);
+        maxX = Math.max(maxX, x);
+        maxY = Math.max(maxY, y);
+      }
+
+    const kx = spanLon * Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+    const ky = spanLat;
+    const [px, py] = poleOfInaccessibility(
+      parts[0].map((ring) => ring.map((p) => [p.x * kx, p.y * ky]))
+    );
+
+    return {
+      polygons: parts,
+      polygon: parts[0][0],
+      bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY },
+      pniu: { x: px / kx, y: py / ky },
+    };
+  }
+
+  // The inverse: a Polygon or MultiPolygon in WGS84 for a room in the
+  // normalised space of `layoutBounds`, or null when it has no usable shape.
+  function roomGeometry(room, layoutBounds) {
+    const { minLon, minLat, maxLon, maxLat } = layoutBounds;
+    const spanLon = maxLon - minLon || Number.EPSILON;
+    const spanLat = maxLat - minLat || Number.EPSILON;
+    const toRing = (ring) => {
+      const points = ring.map((pt) => [
+        minLon + pt.x * spanLon,
+        minLat + pt.y * spanLat,
+      ]);
+      return [...points, points[0]];
+    };
+
+    const polygons = roomParts(room).map((part) => part.map(toRing));
+    if (
+      !polygons.length ||
+      polygons.some((rings) =>
+        rings.some((ring) => ring.some((p) => !p.every(Number.isFinite)))
+      )
+    )
+      return null;
+    return polygons.length === 1
+      ? { type: "Polygon", coordinates: polygons[0] }
+      : { type: "MultiPolygon", coordinates: polygons };
+  }
+
+  return {
+    roomParts,
+    partArea,
+    poleOfInaccessibility,
+    normaliseRoomGeometry,
+    roomGeometry,
+  };
+});
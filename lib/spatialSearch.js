@@ -0,0 +1,405 @@
+/** -------------- SPATIAL SEARCH --------------
+ * An in-memory R-tree (rbush) over the village parcels, the buildings and the
+ * common-layout rooms, answering GET /api/search. Every item carries:
+ *
+ *   kind        "parcel" | "building" | "room"
+ *   id          parcel property id (its IDS or khasra, see lib/villages.js),
+ *               building BID, or "<BID>/<room id>" ("<BID>/F<floor>/<room id>"
+ *               for a floor override's rooms)
+ *   propertyId  what owner entries are keyed by (parcels and buildings)
+ *   village     code of the village the item lies in
+ *   ulpins      [{ ulpin, floor }] — the plot ULPIN for parcels, one per floor
+ *               for buildings and rooms
+ *
+ * Rooms are georeferenced from their layout bounds (see lib/gisExport.js);
+ * floor overrides are indexed on their own floor (see lib/floorOverrides.js).
+ * The index is rebuilt from scratch by createSpatialIndex(); server.js drops
+ * its copy whenever buildings or layouts change.
+ **/
+const RBush = require("rbush");
+const turf = require("@turf/turf");
+const ulpin = require("./ulpin");
+const { parcelUlpin } = require("./gisExport");
+const { roomGeometry } = require("./roomShape");
+const { layoutForFloor } = require("./floorOverrides");
+
+const KINDS = ["parcel", "building", "room"];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+function normaliseText(value) {
+  return String(value == null ? "" : value)
+    .trim()
+    .toLowerCase();
+}
+
+function toItem(kind, id, feature, extra) {
+  const [minX, minY, maxX, maxY] = turf.bbox(feature);
+  return { minX, minY, maxX, maxY, kind, id: String(id), feature, ...extra };
+}
+
+function floorCount(props) {
+  return Math.max(1, parseInt(props.floors || 1, 10));
+}
+
+function parcelItem(parcel, propertyIdOf, village) {
+  const p = parcel.properties || {};
+  const code = parcelUlpin(parcel);
+  return toItem("parcel", propertyIdOf(p) || p.IDS, parcel, {
+    label: `Khasra ${p.IDS || "N/A"}`,
+    propertyId: propertyIdOf(p),
+    village,
+    ulpins: code ? [{ ulpin: code, floor: null }] : [],
+    khasra: [p.IDS, p.M_KHASRA_N, p.PAT_PAR].filter(Boolean).map(String),
+    names: [],
+    properties: {
+      IDS: p.IDS || null,
+      M_KHASRA_R: p.M_KHASRA_R ?? null,
+      M_KHASRA_N: p.M_KHASRA_N ?? null,
+      TYPE: p.TYPE || null,
+      SUB_TYPE: p.SUB_TYPE || null,
+      VILL_NM: p.VILL_NM || null,
+      village_code: p.village_code || null,
+      ULPIN: code || null,
+      area: p.Shape_Area ?? null,
+    },
+  });
+}
+
+function buildingItem(building, layout, propertyIdOf, village) {
+  const p = building.properties || {};
+  const floors = floorCount(p);
+  const [lon, lat] = turf.centroid(building).geometry.coordinates;
+  const ulpins = [];
+  for (let floor = 1; floor <= floors; floor++)
+    ulpins.push({
+      ulpin: layout
+        ? ulpin.computeFloorPniuFromLayout(layout, floor)
+        : ulpin.ulpinGenerator(lon, lat, ulpin.ulpinFloorIndex(floor)),
+      floor,
+    });
+  return toItem("building", p.BID, building, {
+    label: String(p.NAME || `Building ${p.BID}`),
+    propertyId: propertyIdOf(p),
+    village,
+    ulpins: ulpins.filter((u) => u.ulpin && u.ulpin !== "N/A"),
+    khasra:
+      p.original_id && p.original_id !== "N/A" ? [String(p.original_id)] : [],
+    names: [p.NAME].filter(Boolean).map(String),
+    properties: {
+      BID: p.BID,
+      NAME: p.NAME || null,
+      building_type: p.building_type || null,
+      floors,
+      height: p.height ?? null,
+      original_id: p.original_id || null,
+      parcel_type: p.parcel_type || null,
+    },
+  });
+}
+
+// Template rooms cover every floor without an override; each override's
+// rooms cover just their floor.
+function roomItems(building, layout, village) {
+  const p = building.properties || {};
+  const groups = new Map();
+  for (let floor = 1; floor <= floorCount(p); floor++) {
+    const { rooms, override } = layoutForFloor(layout, floor);
+    const key = override ? floor : "template";
+    if (!groups.has(key)) groups.set(key, { rooms, override, floors: [] });
+    groups.get(key).floors.push(floor);
+  }
+  return [...groups.values()].flatMap((group) =>
+    groupRoomItems(building, layout, group, village)
+  );
+}
+
+function groupRoomItems(
+  building,
+  layout,
+  { rooms, override, floors },
+  village
+) {
+  const p = building.properties || {};
+  return rooms
+    .map((room, idx) => {
+      const geometry = roomGeometry(room, layout.bounds);
+      if (!geometry) return null;
+      const roomId = String(room.id || `room-${idx}`);
+      const name = String(room.name || `Room ${idx + 1}`);
+      const ulpins = floors.map((floor) => ({
+        ulpin: ulpin.computeRoomPniuFromLayout(layout, room, floor),
+        floor,
+      }));
+      return toItem(
+        "room",
+        override ? `${p.BID}/F${floors[0]}/${roomId}` : `${p.BID}/${roomId}`,
+        { type: "Feature", geometry, properties: {} },
+        {
+          label: `${name} (${p.NAME || `Building ${p.BID}`})`,
+          propertyId: null,
+          village,
+          ulpins: ulpins.filter((u) => u.ulpin && u.ulpin !== "N/A"),
+          khasra: [],
+          names: [name],
+          properties: {
+            BID: p.BID,
+            ROOM_ID: roomId,
+            name,
+            type: room.type || "room",
+            building_type: p.building_type || null,
+            FLOOR: override ? floors[0] : null,
+          },
+        }
+      );
+    })
+    .filter(Boolean);
+}
+
+// "minLon,minLat,maxLon,maxLat" → [4 numbers], or null.
+function parseBbox(value) {
+  const parts = String(value || "")
+    .split(",")
+    .map(Number);
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) return null;
+  if (parts[0] > parts[2] || parts[1] > parts[3]) return null;
+  return parts;
+}
+
+function containsPoint(item, point) {
+  try {
+    return turf.booleanPointInPolygon(point, item.feature);
+  } catch (e) {
+    return false;
+  }
+}
+
+function intersectsBbox(item, bbox) {
+  try {
+    return turf.booleanIntersects(turf.bboxPolygon(bbox), item.feature);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * parcels:   village parcel features
+ * buildings, layouts: FeatureCollections as returned by the store
+ * propertyIdOf(props): the id owner entries are keyed by
+ * parcelPropertyIdOf(props): the same for a bare plot; its IDS by default
+ * villageOf(props): village code of a parcel or building
+ */
+function createSpatialIndex({
+  parcels = [],
+  buildings,
+  layouts,
+  propertyIdOf,
+  parcelPropertyIdOf = (p) => p.IDS || null,
+  villageOf = () => null,
+}) {
+  const layoutByBid = {};
+  for (const f of (layouts && layouts.features) || []) {
+    if (f.properties && f.properties.bounds)
+      layoutByBid[String(f.properties.BID)] = f.properties;
+  }
+
+  const items = [];
+  for (const parcel of parcels) {
+    if (parcel && parcel.geometry)
+      items.push(
+        parcelItem(
+          parcel,
+          parcelPropertyIdOf,
+          villageOf(parcel.properties || {})
+        )
+      );
+  }
+  for (const building of (buildings && buildings.features) || []) {
+    if (!building || !building.geometry) continue;
+    const layout =
+      layoutByBid[String(building.properties && building.properties.BID)] ||
+      null;
+    try {
+      const village = villageOf(building.properties || {});
+      items.push(buildingItem(building, layout, propertyIdOf, village));
+      if (layout) items.push(...roomItems(building, layout, village));
+    } catch (e) {
+      console.warn(
+        `Search index skipped building ${building.properties?.BID}:`,
+        e.message
+      );
+    }
+  }
+
+  const tree = new RBush();
+  tree.load(items);
+  const byUlpin = new Map();
+  const byPropertyId = new Map();
+  for (const item of items) {
+    for (const { ulpin: code, floor } of item.ulpins) {
+      if (!byUlpin.has(code)) byUlpin.set(code, []);
+      byUlpin.get(code).push({ item, floor });
+    }
+    if (item.propertyId) {
+      if (!byPropertyId.has(item.propertyId))
+        byPropertyId.set(item.propertyId, []);
+      byPropertyId.get(item.propertyId).push(item);
+    }
+  }
+
+  function itemsAtPoint(lon, lat) {
+    const point = turf.point([lon, lat]);
+    return tree
+      .search({ minX: lon, minY: lat, maxX: lon, maxY: lat })
+      .filter((item) => containsPoint(item, point));
+  }
+
+  /**
+   * query: {
+   *   q         free text: ULPIN, khasra, name, or owner (via `owners`)
+   *   ulpin, khasra, name
+   *   owners    [{ propertyId, floor, ownerName }] matched by the caller
+   *   lon, lat  point-in-polygon
+   *   bbox      [minLon, minLat, maxLon, maxLat]
+   *   kinds     subset of KINDS
+   *   village   village code
+   *   type      parcel TYPE
+   *   buildingType
+   *   limit
+   * }
+   * Returns { total, results: [{ kind, id, propertyId, label, bbox, center,
+   * properties, match }] }; `match` says which criterion found the item.
+   */
+  function search(query = {}) {
+    // id → { item, match }; insertion order is result order.
+    let hits = null;
+    const narrow = (found) => {
+      const next = new Map();
+      for (const hit of found) {
+        const key = `${hit.item.kind}:${hit.item.id}`;
+        if (hits && !hits.has(key)) continue;
+        if (!next.has(key))
+          next.set(key, {
+            item: hit.item,
+            match: { ...(hits && hits.get(key).match), ...hit.match },
+          });
+      }
+      hits = next;
+    };
+
+    const ulpinHits = (code) => {
+      const exact = byUlpin.get(code);
+      if (exact)
+        return exact.map(({ item, floor }) => ({
+          item,
+          match: { ulpin: code, floor },
+        }));
+      // Not a stored ULPIN: whatever lies at the point it encodes.
+      const decoded = ulpin.decodeUlpin(code);
+      if (!decoded) return [];
+      return itemsAtPoint(decoded.longitude, decoded.latitude).map((item) => ({
+        item,
+        match: { ulpin: code, floor: decoded.floor },
+      }));
+    };
+    const khasraHits = (text) =>
+      items
+        .filter((item) =>
+          item.khasra.some((k) => normaliseText(k) === normaliseText(text))
+        )
+        .map((item) => ({ item, match: { khasra: text } }));
+    const nameHits = (text) => {
+      const needle = normaliseText(text);
+      return items
+        .filter((item) =>
+          item.names.some((n) => normaliseText(n).includes(needle))
+        )
+        .map((item) => ({ item, match: { name: text } }));
+    };
+    const ownerHits = (owners) =>
+      owners.flatMap(({ propertyId, floor, ownerName }) =>
+        (byPropertyId.get(propertyId) || []).map((item) => ({
+          item,
+          match: { owner: ownerName, floor },
+        }))
+      );
+
+    if (query.q) {
+      const text = String(query.q).trim();
+      const code = text.toUpperCase();
+      narrow([
+        ...(ulpin.decodeUlpin(code) ? ulpinHits(code) : []),
+        ...khasraHits(text),
+        ...nameHits(text),
+        ...ownerHits(query.owners || []),
+      ]);
+    } else if (query.owners) {
+      narrow(ownerHits(query.owners));
+    }
+    if (query.ulpin) narrow(ulpinHits(String(query.ulpin).toUpperCase()));
+    if (query.khasra) narrow(khasraHits(query.khasra));
+    if (query.name) narrow(nameHits(query.name));
+    if (query.lon != null && query.lat != null)
+      narrow(
+        itemsAtPoint(query.lon, query.lat).map((item) => ({
+          item,
+          match: { point: [query.lon, query.lat] },
+        }))
+      );
+    if (query.bbox) {
+      const [minX, minY, maxX, maxY] = query.bbox;
+      narrow(
+        tree
+          .search({ minX, minY, maxX, maxY })
+          .filter((item) => intersectsBbox(item, query.bbox))
+          .map((item) => ({ item, match: { bbox: query.bbox } }))
+      );
+    }
+    // No search criteria: the filters below apply to everything.
+    if (!hits) narrow(items.map((item) => ({ item, match: {} })));
+
+    const kinds = query.kinds && query.kinds.length ? query.kinds : KINDS;
+    const type = query.type && normaliseText(query.type);
+    const buildingType =
+      query.buildingType && normaliseText(query.buildingType);
+    const matched = [...hits.values()].filter(({ item }) => {
+      if (!kinds.includes(item.kind)) return false;
+      if (query.village && item.village !== query.village) return false;
+      if (type && normaliseText(item.properties.TYPE) !== type) return false;
+      if (
+        buildingType &&
+        normaliseText(item.properties.building_type) !== buildingType
+      )
+        return false;
+      return true;
+    });
+
+    const limit = Math.min(
+      MAX_LIMIT,
+      Math.max(1, parseInt(query.limit, 10) || DEFAULT_LIMIT)
+    );
+    return {
+      total: matched.length,
+      results: matched.slice(0, limit).map(({ item, match }) => ({
+        kind: item.kind,
+        id: item.id,
+        propertyId: item.propertyId,
+        village: item.village,
+        label: item.label,
+        bbox: [item.minX, item.minY, item.maxX, item.maxY],
+        center: turf.centroid(item.feature).geometry.coordinates,
+        properties: item.properties,
+        match,
+        ...(query.geometry ? { geometry: item.feature.geometry } : {}),
+      })),
+    };
+  }
+
+  return { size: items.length, search };
+}
+
+module.exports = {
+  KINDS,
+  parseBbox,
+  createSpatialIndex,
+};
@@ -0,0 +1,27 @@
+/** -------------- STORAGE SELECTION --------------
+ * STORAGE_BACKEND=json      (default) data/*.json files, as before
+ * STORAGE_BACKEND=postgres  PostgreSQL + PostGIS; connection from
+ *                           DATABASE_URL or the standard PG* variables
+ *
+ * To run against a local database:
+ *   createdb ulpin
+ *   DATABASE_URL=postgres://localhost/ulpin npm run migrate
+ *   STORAGE_BACKEND=postgres DATABASE_URL=postgres://localhost/ulpin npm start
+ *
+ * test/storeContract.test.js checks both backends against the same
+ * contract; `DATABASE_URL=... npm test` includes the Postgres run.
+ **/
+const createJsonStore = require("./jsonStore");
+const createPgStore = require("./pgStore");
+
+function createStorage({ dataDir, backend } = {}) {
+  const selected = String(
+    backend || process.env.STORAGE_BACKEND || "json"
+  ).toLowerCase();
+  if (selected === "postgres" || selected === "pg")
+    return createPgStore({ connectionString: process.env.DATABASE_URL });
+  if (selected === "json") return createJsonStore({ dataDir });
+  throw new Error(`Unknown STORAGE_BACKEND "${selected}"`);
+}
+
+module.exports = { createStorage, createJsonStore, createPgStore };
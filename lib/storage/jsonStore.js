@@ -0,0 +1,456 @@
+/** -------------- JSON FILE STORAGE BACKEND --------------
+ * Keeps the original data/*.json layout. Writes go through a single queue so
+ * read-modify-write cycles never interleave, and files are replaced with an
+ * atomic rename so readers never see a half-written file.
+ **/
+const fs = require("fs");
+const fsPromises = fs.promises;
+const path = require("path");
+const { normalizeVersions, createVersion } = require("../entryHistory");
+const { applyTransition } = require("../entryWorkflow");
+
+function emptyCollection() {
+  return { type: "FeatureCollection", features: [] };
+}
+
+function sameBid(feature, bid) {
+  return String(feature?.properties?.BID) === String(bid);
+}
+
+function createJsonStore({ dataDir }) {
+  const files = {
+    entries: path.join(dataDir, "ownerEntries.json"),
+    buildings: path.join(dataDir, "createBuilding.geojson"),
+    floorLayouts: path.join(dataDir, "floorLayouts.json"),
+    commonLayouts: path.join(dataDir, "BuildingCommonFloorLayout.json"),
+    users: path.join(dataDir, "users.json"),
+    piiAccessLog: path.join(dataDir, "piiAccessLog.json"),
+    media: path.join(dataDir, "media.json"),
+    villages: path.join(dataDir, "villages.json"),
+    villageParcels: path.join(dataDir, "villages"),
+  };
+  const parcelsFile = (code) =>
+    path.join(files.villageParcels, `${code}.geojson`);
+
+  let queue = Promise.resolve();
+
+  // Runs fn after every previously queued write has settled.
+  function transaction(fn) {
+    const run = queue.then(() => fn());
+    queue = run.catch(() => {});
+    return run;
+  }
+
+  async function readJson(file, fallback) {
+    try {
+      const raw = await fsPromises.readFile(file, "utf8");
+      return JSON.parse(raw || "null") ?? fallback();
+    } catch (err) {
+      if (err.code !== "ENOENT")
+        console.warn(`Failed to read ${path.basename(file)}:`, err.message);
+      return fallback();
+    }
+  }
+
+  async function writeJson(file, data) {
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsPromises.writeFile(tmp, JSON.stringify(data, null, 2), "utf8");
+    await fsPromises.rename(tmp, file);
+  }
+
+  async function readCollection(file) {
+    const parsed = await readJson(file, emptyCollection);
+    if (parsed?.type === "FeatureCollection" && Array.isArray(parsed.features))
+      return parsed;
+    return emptyCollection();
+  }
+
+  async function readObject(file) {
+    const parsed = await readJson(file, () => ({}));
+    return parsed && typeof parsed === "object" ? parsed : {};
+  }
+
+  async function readVersions(key) {
+    const data = await readObject(files.entries);
+    return normalizeVersions(data[key]);
+  }
+
+  return {
+    backend: "json",
+
+    async init() {
+      await fsPromises.mkdir(dataDir, { recursive: true });
+      if (!fs.existsSync(files.entries)) await writeJson(files.entries, {});
+      if (!fs.existsSync(files.buildings))
+        await writeJson(files.buildings, emptyCollection());
+    },
+
+    async close() {
+      await queue;
+    },
+
+    /* ---------- owner entries (append-only, see entryHistory.js) ---------- */
+    getEntryVersions: readVersions,
+
+    async getEntryVersion(key, version) {
+      const versions = await readVersions(key);
+      return versions.find((v) => v.version === Number(version)) || null;
+    },
+
+    async getEntries(key) {
+      return (await readVersions(key)).map((v) => v.entry);
+    },
+
+    async getAllEntries() {
+      const data = await readObject(files.entries);
+      const all = {};
+      for (const key of Object.keys(data))
+        all[key] = normalizeVersions(data[key]);
+      return all;
+    },
+
+    // Resolves to the new version record.
+    appendEntry(key, entry, meta) {
+      return transaction(async () => {
+        const data = await readObject(files.entries);
+        const versions = normalizeVersions(data[key]);
+        const record = createVersion(
+          versions[versions.length - 1],
+          entry,
+          meta
+        );
+        versions.push(record);
+        data[key] = versions;
+        await writeJson(files.entries, data);
+        return record;
+      });
+    },
+
+    // Moves the entry through the review workflow by appending the version
+    // applyTransition() makes of the latest one. Resolves to { record } or
+    // { status, error }, or null when the key has no versions.
+    transitionEntry(key, action, meta) {
+      return transaction(async () => {
+        const data = await readObject(files.entries);
+        const versions = normalizeVersions(data[key]);
+        if (!versions.length) return null;
+        const result = applyTransition(
+          versions[versions.length - 1],
+          action,
+          meta
+        );
+        if (result.error) return result;
+        versions.push(result.record);
+        data[key] = versions;
+        await writeJson(files.entries, data);
+        return result;
+      });
+    },
+
+    // Replaces every stored version with fn(record, key); for one-off data
+    // migrations such as scripts/encrypt-pii.js. Resolves to the count.
+    rewriteEntryVersions(fn) {
+      return transaction(async () => {
+        const data = await readObject(files.entries);
+        let count = 0;
+        for (const key of Object.keys(data)) {
+          data[key] = normalizeVersions(data[key]).map((record) => {
+            count++;
+            return fn(record, key);
+          });
+        }
+        await writeJson(files.entries, data);
+        return count;
+      });
+    },
+
+    /* ---------- PII access log (see lib/pii.js) ---------- */
+    appendPiiAccess(record) {
+      return transaction(async () => {
+        const log = await readJson(files.piiAccessLog, () => []);
+        const list = Array.isArray(log) ? log : [];
+        list.push(record);
+        await writeJson(files.piiAccessLog, list);
+        return record;
+      });
+    },
+
+    // Newest first.
+    async getPiiAccessLog({ limit = 100 } = {}) {
+      const log = await readJson(files.piiAccessLog, () => []);
+      return (Array.isArray(log) ? log : []).slice(-limit).reverse();
+    },
+
+    /* ---------- uploaded images (see lib/media.js) ---------- */
+    async getMedia(hash) {
+      const media = await readObject(files.media);
+      return Object.prototype.hasOwnProperty.call(media, hash)
+        ? media[hash]
+        : null;
+    },
+
+    async listMedia() {
+      return Object.values(await readObject(files.media));
+    },
+
+    // Creates or replaces the record with the same hash.
+    saveMedia(record) {
+      return transaction(async () => {
+        const media = await readObject(files.media);
+        media[record.hash] = record;
+        await writeJson(files.media, media);
+        return record;
+      });
+    },
+
+    // Adds { key, propertyId, floor, version, field } unless already there.
+    // Resolves to false when the hash has no record.
+    addMediaRef(hash, ref) {
+      return transaction(async () => {
+        const media = await readObject(files.media);
+        const record = media[hash];
+        if (!record) return false;
+        const refs = record.refs || [];
+        if (
+          !refs.some(
+            (r) =>
+              r.key === ref.key &&
+              r.version === ref.version &&
+              r.field === ref.field
+          )
+        )
+          record.refs = [...refs, ref];
+        await writeJson(files.media, media);
+        return true;
+      });
+    },
+
+    deleteMedia(hash) {
+      return transaction(async () => {
+        const media = await readObject(files.media);
+        delete media[hash];
+        await writeJson(files.media, media);
+      });
+    },
+
+    /* ---------- villages (see lib/villages.js) ---------- */
+    async listVillages() {
+      return Object.values(await readObject(files.villages));
+    },
+
+    // Resolves to the parcel FeatureCollection's features, or null.
+    async getVillageParcels(code) {
+      const parcels = await readJson(parcelsFile(code), () => null);
+      return parcels && Array.isArray(parcels.features)
+        ? parcels.features
+        : null;
+    },
+
+    // Creates or replaces the village with the same code and its parcels.
+    saveVillage(village, parcels) {
+      return transaction(async () => {
+        await fsPromises.mkdir(files.villageParcels, { recursive: true });
+        await writeJson(parcelsFile(village.code), parcels);
+        const villages = await readObject(files.villages);
+        villages[village.code] = village;
+        await writeJson(files.villages, villages);
+        return village;
+      });
+    },
+
+    /* ---------- users (see lib/auth.js) ---------- */
+    async getUser(username) {
+      const users = await readObject(files.users);
+      return Object.prototype.hasOwnProperty.call(users, username)
+        ? users[username]
+        : null;
+    },
+
+    async listUsers() {
+      return Object.values(await readObject(files.users));
+    },
+
+    // Creates or replaces the user with the same username.
+    saveUser(user) {
+      return transaction(async () => {
+        const users = await readObject(files.users);
+        users[user.username] = user;
+        await writeJson(files.users, users);
+        return user;
+      });
+    },
+
+    /* ---------- buildings ---------- */
+    listBuildings() {
+      return readCollection(files.buildings);
+    },
+
+    async getBuilding(bid) {
+      const fc = await readCollection(files.buildings);
+      return fc.features.find((f) => sameBid(f, bid)) || null;
+    },
+
+    // Resolves to the stored feature, or null when the BID is taken.
+    createBuilding(feature) {
+      return transaction(async () => {
+        const fc = await readCollection(files.buildings);
+        if (fc.features.some((f) => sameBid(f, feature.properties.BID)))
+          return null;
+        fc.features.push(feature);
+        await writeJson(files.buildings, fc);
+        return feature;
+      });
+    },
+
+    // Gives each feature the next free BID (from 1000, as the drawing tool
+    // does) and stores them together. Resolves to the stored features.
+    importBuildings(features) {
+      return transaction(async () => {
+        const fc = await readCollection(files.buildings);
+        let next =
+          Math.max(
+            999,
+            ...fc.features.map((f) => Number(f.properties.BID) || 0)
+          ) + 1;
+        const stored = features.map((f) => ({
+          ...f,
+          properties: { ...f.properties, BID: next++ },
+        }));
+        fc.features.push(...stored);
+        await writeJson(files.buildings, fc);
+        return stored;
+      });
+    },
+
+    // mutate(current) returns the replacement feature; it may throw to abort.
+    // Resolves to the new feature, or null when the building does not exist.
+    updateBuilding(bid, mutate) {
+      return transaction(async () => {
+        const fc = await readCollection(files.buildings);
+        const idx = fc.features.findIndex((f) => sameBid(f, bid));
+        if (idx === -1) return null;
+        const next = await mutate(fc.features[idx]);
+        fc.features[idx] = next;
+        await writeJson(files.buildings, fc);
+        return next;
+      });
+    },
+
+    // Removes the building with its layouts and, unless another building
+    // maps to the same property id, its owner entries.
+    deleteBuilding(bid, propertyIdOf) {
+      return transaction(async () => {
+        const fc = await readCollection(files.buildings);
+        const target = fc.features.find((f) => sameBid(f, bid));
+        if (!target) return null;
+        fc.features = fc.features.filter((f) => f !== target);
+
+        const removed = { floorLayouts: 0, commonLayouts: 0, entries: 0 };
+
+        const layouts = await readObject(files.floorLayouts);
+        const prefix = `${bid}_floor_`;
+        for (const key of Object.keys(layouts)) {
+          if (key.startsWith(prefix)) {
+            delete layouts[key];
+            removed.floorLayouts++;
+          }
+        }
+
+        const common = await readCollection(files.commonLayouts);
+        const kept = common.features.filter((f) => !sameBid(f, bid));
+        removed.commonLayouts = common.features.length - kept.length;
+        common.features = kept;
+
+        const propertyId = propertyIdOf(target.properties || {});
+        const shared = fc.features.some(
+          (f) => propertyIdOf(f.properties || {}) === propertyId
+        );
+        const entries = await readObject(files.entries);
+        if (!shared) {
+          for (const key of Object.keys(entries)) {
+            if (key.startsWith(`${propertyId}__F`)) {
+              delete entries[key];
+              removed.entries++;
+            }
+          }
+        }
+
+        await writeJson(files.buildings, fc);
+        if (removed.floorLayouts) await writeJson(files.floorLayouts, layouts);
+        if (removed.commonLayouts) await writeJson(files.commonLayouts, common);
+        if (removed.entries) await writeJson(files.entries, entries);
+        return removed;
+      });
+    },
+
+    /* ---------- per-floor apartment layouts ---------- */
+    getFloorLayouts() {
+      return readObject(files.floorLayouts);
+    },
+
+    async getFloorLayout(bid, floor, apartment) {
+      const layouts = await readObject(files.floorLayouts);
+      const node = layouts[`${bid}_floor_${floor}`] || null;
+      if (!node) return null;
+      if (node.apartments) return node.apartments[String(apartment)] || null;
+      return node;
+    },
+
+    saveFloorLayout(bid, floor, apartment, layout) {
+      return transaction(async () => {
+        const layouts = await readObject(files.floorLayouts);
+        const key = `${bid}_floor_${floor}`;
+        if (!layouts[key] || typeof layouts[key] !== "object")
+          layouts[key] = { apartments: {} };
+        if (!layouts[key].apartments) layouts[key].apartments = {};
+        layouts[key].apartments[String(apartment)] = layout;
+        await writeJson(files.floorLayouts, layouts);
+        return key;
+      });
+    },
+
+    // byFloor: { <floor>: { <apartment>: layout } }. Each listed floor's
+    // apartments are replaced wholesale; an empty object removes the floor.
+    replaceFloorLayouts(bid, byFloor) {
+      return transaction(async () => {
+        const layouts = await readObject(files.floorLayouts);
+        for (const [floor, apartments] of Object.entries(byFloor)) {
+          const key = `${bid}_floor_${floor}`;
+          if (apartments && Object.keys(apartments).length)
+            layouts[key] = { apartments };
+          else delete layouts[key];
+        }
+        await writeJson(files.floorLayouts, layouts);
+      });
+    },
+
+    /* ---------- common (all-floor) layouts ---------- */
+    getCommonLayouts() {
+      return readCollection(files.commonLayouts);
+    },
+
+    async getCommonLayout(bid) {
+      const fc = await readCollection(files.commonLayouts);
+      return fc.features.find((f) => sameBid(f, bid)) || null;
+    },
+
+    saveCommonLayouts(fc) {
+      return transaction(() => writeJson(files.commonLayouts, fc));
+    },
+
+    upsertCommonLayout(feature) {
+      return transaction(async () => {
+        const fc = await readCollection(files.commonLayouts);
+        const idx = fc.features.findIndex((f) =>
+          sameBid(f, feature.properties.BID)
+        );
+        if (idx >= 0) fc.features[idx] = feature;
+        else fc.features.push(feature);
+        await writeJson(files.commonLayouts, fc);
+        return feature;
+      });
+    },
+  };
+}
+
+module.exports = createJsonStore;
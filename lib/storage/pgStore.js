@@ -0,0 +1,865 @@
+/** -------------- POSTGRES / POSTGIS STORAGE BACKEND --------------
+ * Same interface as jsonStore.js. Every write runs in its own transaction;
+ * read-modify-write operations lock the affected building row first.
+ **/
+const fs = require("fs");
+const path = require("path");
+const { Pool } = require("pg");
+const { createVersion } = require("../entryHistory");
+const { applyTransition } = require("../entryWorkflow");
+const schemaFile = path.join(__dirname, "schema.sql");
+
+// Building columns lifted out of the properties JSON.
+const BUILDING_COLUMNS = {
+  NAME: "name",
+  building_type: "building_type",
+  height: "height",
+  floors: "floors",
+};
+
+function parseEntryKey(key) {
+  const match = /^(.*)__F(\d+)$/.exec(key);
+  return match
+    ? { propertyId: match[1], floorNo: Number(match[2]) }
+    : { propertyId: null, floorNo: null };
+}
+
+function splitBuildingProperties(props = {}) {
+  const { apartmentCounts, BID, ...rest } = props;
+  const columns = {};
+  for (const [prop, column] of Object.entries(BUILDING_COLUMNS)) {
+    columns[column] = rest[prop] ?? null;
+    delete rest[prop];
+  }
+  return { columns, rest, apartmentCounts };
+}
+
+function rowToBuilding(row, floorRows) {
+  const properties = { BID: row.bid };
+  if (row.name != null) properties.NAME = row.name;
+  if (row.height != null) properties.height = row.height;
+  if (row.floors != null) properties.floors = row.floors;
+  if (row.building_type != null) properties.building_type = row.building_type;
+  Object.assign(properties, row.properties || {});
+  if (floorRows && floorRows.length) {
+    properties.apartmentCounts = {};
+    for (const f of floorRows)
+      properties.apartmentCounts[f.floor_no] = f.apartment_count;
+  }
+  return { type: "Feature", geometry: row.geometry, properties };
+}
+
+function rowToVersion(row) {
+  return {
+    version: row.version,
+    author: row.author,
+    savedAt: row.created_at ? row.created_at.toISOString() : null,
+    restoredFrom: row.restored_from,
+    diff: row.diff || [],
+    status: row.status || "draft",
+    transitions: row.transitions || [],
+    entry: row.entry,
+  };
+}
+
+function rowToUser(row) {
+  return {
+    username: row.username,
+    role: row.role,
+    passwordHash: row.password_hash,
+    piiAccess: row.pii_access,
+    createdAt: row.created_at ? row.created_at.toISOString() : null,
+  };
+}
+
+function createPgStore({ connectionString } = {}) {
+  const pool = new Pool(connectionString ? { connectionString } : undefined);
+
+  async function transaction(fn) {
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const result = await fn(client);
+      await client.query("COMMIT");
+      return result;
+    } catch (err) {
+      await client.query("ROLLBACK").catch(() => {});
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function selectBuildings(db, { bid, lock } = {}) {
+    const { rows } = await db.query(
+      `SELECT bid, name, building_type, height, floors, properties,
+              ST_AsGeoJSON(footprint, 15)::json AS geometry
+         FROM buildings
+        ${bid != null ? "WHERE bid = $1" : ""}
+        ORDER BY bid ${lock ? "FOR UPDATE" : ""}`,
+      bid != null ? [Number(bid)] : []
+    );
+    if (!rows.length) return [];
+    const { rows: floorRows } = await db.query(
+      `SELECT bid, floor_no, apartment_count FROM floors
+        WHERE bid = ANY($1::int[]) ORDER BY bid, floor_no`,
+      [rows.map((r) => r.bid)]
+    );
+    return rows.map((row) =>
+      rowToBuilding(
+        row,
+        floorRows.filter((f) => f.bid === row.bid)
+      )
+    );
+  }
+
+  async function writeBuilding(db, feature, { insert }) {
+    const bid = Number(feature.properties.BID);
+    const { columns, rest, apartmentCounts } = splitBuildingProperties(
+      feature.properties
+    );
+    const params = [
+      bid,
+      columns.name,
+      columns.building_type,
+      columns.height,
+      columns.floors,
+      rest,
+      JSON.stringify(feature.geometry),
+    ];
+    if (insert) {
+      await db.query(
+        `INSERT INTO buildings
+           (bid, name, building_type, height, floors, properties, footprint)
+         VALUES ($1, $2, $3, $4, $5, $6,
+                 ST_SetSRID(ST_GeomFromGeoJSON($7), 4326))`,
+        params
+      );
+    } else {
+      await db.query(
+        `UPDATE buildings
+            SET name = $2, building_type = $3, height = $4, floors = $5,
+                properties = $6,
+                footprint = ST_SetSRID(ST_GeomFromGeoJSON($7), 4326),
+                updated_at = now()
+          WHERE bid = $1`,
+        params
+      );
+      await db.query("DELETE FROM floors WHERE bid = $1", [bid]);
+    }
+    for (const [floorNo, count] of Object.entries(apartmentCounts || {})) {
+      await db.query(
+        `INSERT INTO floors (bid, floor_no, apartment_count)
+         VALUES ($1, $2, $3)`,
+        [bid, Number(floorNo), Math.max(1, parseInt(count || 1, 10))]
+      );
+    }
+  }
+
+  async function insertRooms(db, rooms, owner) {
+    const list = Array.isArray(rooms) ? rooms : [];
+    for (let i = 0; i < list.length; i++) {
+      const room = list[i] || {};
+      await db.query(
+        `INSERT INTO rooms
+           (apartment_id, common_bid, ordinal, room_id, name, room_type, data)
+         VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+        [
+          owner.apartmentId ?? null,
+          owner.commonBid ?? null,
+          i,
+          room.id ?? null,
+          room.name ?? null,
+          room.type ?? null,
+          room,
+        ]
+      );
+    }
+  }
+
+  async function roomsByOwner(db, column, ids) {
+    const { rows } = await db.query(
+      `SELECT ${column} AS owner, data FROM rooms
+        WHERE ${column} = ANY($1::int[]) ORDER BY ${column}, ordinal`,
+      [ids]
+    );
+    const grouped = {};
+    for (const row of rows) (grouped[row.owner] ||= []).push(row.data);
+    return grouped;
+  }
+
+  async function writeFloorLayout(db, bid, floor, apartment, layout) {
+    const { grid, rooms, ...extra } = layout || {};
+    const { rows } = await db.query(
+      `INSERT INTO apartments (bid, floor_no, apartment_key, grid, extra)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (bid, floor_no, apartment_key)
+       DO UPDATE SET grid = EXCLUDED.grid, extra = EXCLUDED.extra
+       RETURNING id`,
+      [Number(bid), Number(floor), String(apartment), grid ?? null, extra]
+    );
+    const apartmentId = rows[0].id;
+    await db.query("DELETE FROM rooms WHERE apartment_id = $1", [apartmentId]);
+    await insertRooms(db, rooms, { apartmentId });
+  }
+
+  async function writeCommonLayout(db, feature) {
+    const props = feature.properties || {};
+    const { BID, bounds, rooms, buildingDetails, ...extra } = props;
+    const bid = Number(BID);
+    await db.query(
+      `INSERT INTO common_layouts (bid, bounds, building_details, extra, geometry)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (bid) DO UPDATE
+         SET bounds = EXCLUDED.bounds,
+             building_details = EXCLUDED.building_details,
+             extra = EXCLUDED.extra,
+             geometry = EXCLUDED.geometry`,
+      [
+        bid,
+        bounds ?? null,
+        buildingDetails ?? null,
+        extra,
+        feature.geometry ? JSON.stringify(feature.geometry) : null,
+      ]
+    );
+    await db.query("DELETE FROM rooms WHERE common_bid = $1", [bid]);
+    await insertRooms(db, rooms, { commonBid: bid });
+  }
+
+  async function selectCommonLayouts(db, where = "", params = []) {
+    const { rows } = await db.query(
+      `SELECT bid, bounds, building_details, extra, geometry
+         FROM common_layouts ${where} ORDER BY bid`,
+      params
+    );
+    if (!rows.length) return [];
+    const rooms = await roomsByOwner(
+      db,
+      "common_bid",
+      rows.map((r) => r.bid)
+    );
+    return rows.map((row) => {
+      const properties = {
+        BID: row.bid,
+        bounds: row.bounds,
+        rooms: rooms[row.bid] || [],
+      };
+      if (row.building_details != null)
+        properties.buildingDetails = row.building_details;
+      Object.assign(properties, row.extra || {});
+      return { type: "Feature", properties, geometry: row.geometry };
+    });
+  }
+
+  async function insertVersionRow(db, key, record) {
+    const { propertyId, floorNo } = parseEntryKey(key);
+    await db.query(
+      `INSERT INTO owner_entries
+         (entry_key, property_id, floor_no, version, author, restored_from,
+          diff, status, transitions, entry, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, now()))`,
+      [
+        key,
+        propertyId,
+        floorNo,
+        record.version,
+        record.author,
+        record.restoredFrom,
+        JSON.stringify(record.diff || []),
+        record.status || "draft",
+        JSON.stringify(record.transitions || []),
+        record.entry,
+        record.savedAt,
+      ]
+    );
+  }
+
+  async function writeUser(db, user) {
+    await db.query(
+      `INSERT INTO users (username, role, password_hash, pii_access,
+                          created_at)
+       VALUES ($1, $2, $3, $4, COALESCE($5, now()))
+       ON CONFLICT (username) DO UPDATE
+         SET role = EXCLUDED.role, password_hash = EXCLUDED.password_hash,
+             pii_access = EXCLUDED.pii_access`,
+      [
+        user.username,
+        user.role,
+        user.passwordHash,
+        Boolean(user.piiAccess),
+        user.createdAt || null,
+      ]
+    );
+  }
+
+  async function writePiiAccess(db, record) {
+    await db.query(
+      `INSERT INTO pii_access_log (username, entry_key, versions, fields, at)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [
+        record.user,
+        record.key,
+        JSON.stringify(record.versions),
+        JSON.stringify(record.fields),
+        record.at,
+      ]
+    );
+  }
+
+  async function writeMedia(db, record) {
+    await db.query(
+      `INSERT INTO media (hash, mime, bytes, width, height, files,
+                          uploaded_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, COALESCE($8, now()))
+       ON CONFLICT (hash) DO UPDATE
+         SET mime = EXCLUDED.mime, bytes = EXCLUDED.bytes,
+             width = EXCLUDED.width, height = EXCLUDED.height,
+             files = EXCLUDED.files, uploaded_by = EXCLUDED.uploaded_by`,
+      [
+        record.hash,
+        record.mime,
+        record.bytes,
+        record.width ?? null,
+        record.height ?? null,
+        record.files,
+        record.uploadedBy || null,
+        record.createdAt || null,
+      ]
+    );
+    for (const ref of record.refs || [])
+      await writeMediaRef(db, record.hash, ref);
+  }
+
+  async function writeMediaRef(db, hash, ref) {
+    await db.query(
+      `INSERT INTO media_refs (hash, entry_key, property_id, floor_no,
+                               version, field)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT DO NOTHING`,
+      [
+        hash,
+        ref.key,
+        ref.propertyId ?? null,
+        ref.floor ?? null,
+        ref.version,
+        ref.field,
+      ]
+    );
+  }
+
+  async function selectMedia(db, hash) {
+    const { rows } = await db.query(
+      `SELECT m.*, COALESCE(
+                json_agg(json_build_object(
+                  'key', r.entry_key, 'propertyId', r.property_id,
+                  'floor', r.floor_no, 'version', r.version, 'field', r.field)
+                ORDER BY r.entry_key, r.version, r.field)
+                FILTER (WHERE r.hash IS NOT NULL), '[]') AS refs
+         FROM media m LEFT JOIN media_refs r ON r.hash = m.hash
+        ${hash ? "WHERE m.hash = $1" : ""}
+        GROUP BY m.hash ORDER BY m.created_at`,
+      hash ? [hash] : []
+    );
+    return rows.map((row) => ({
+      hash: row.hash,
+      mime: row.mime,
+      bytes: row.bytes,
+      width: row.width,
+      height: row.height,
+      files: row.files,
+      uploadedBy: row.uploaded_by,
+      createdAt: row.created_at.toISOString(),
+      refs: row.refs,
+    }));
+  }
+
+  async function writeVillage(db, village, parcels) {
+    await db.query(
+      `INSERT INTO villages (code, name, subdivision, district, bbox,
+                            parcel_count, parcels, created_by, created_at,
+                            updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, now()), $10)
+       ON CONFLICT (code) DO UPDATE
+         SET name = EXCLUDED.name, subdivision = EXCLUDED.subdivision,
+             district = EXCLUDED.district, bbox = EXCLUDED.bbox,
+             parcel_count = EXCLUDED.parcel_count, parcels = EXCLUDED.parcels,
+             updated_at = EXCLUDED.updated_at`,
+      [
+        village.code,
+        village.name,
+        village.subdivision || null,
+        village.district || null,
+        JSON.stringify(village.bbox),
+        village.parcelCount,
+        JSON.stringify(parcels),
+        village.createdBy || null,
+        village.createdAt || null,
+        village.updatedAt || null,
+      ]
+    );
+  }
+
+  async function selectVersions(db, key, version) {
+    const { rows } = await db.query(
+      `SELECT version, author, restored_from, diff, status, transitions,
+              entry, created_at
+         FROM owner_entries
+        WHERE entry_key = $1 ${version != null ? "AND version = $2" : ""}
+        ORDER BY version`,
+      version != null ? [key, Number(version)] : [key]
+    );
+    return rows.map(rowToVersion);
+  }
+
+  return {
+    backend: "postgres",
+    pool,
+
+    async init() {
+      await pool.query(fs.readFileSync(schemaFile, "utf8"));
+    },
+
+    close() {
+      return pool.end();
+    },
+
+    /* ---------- owner entries (append-only, see entryHistory.js) ---------- */
+    getEntryVersions(key) {
+      return selectVersions(pool, key);
+    },
+
+    async getEntryVersion(key, version) {
+      const [record] = await selectVersions(pool, key, version);
+      return record || null;
+    },
+
+    async getEntries(key) {
+      return (await selectVersions(pool, key)).map((v) => v.entry);
+    },
+
+    async getAllEntries() {
+      const { rows } = await pool.query(
+        `SELECT entry_key, version, author, restored_from, diff, status,
+                transitions, entry, created_at
+           FROM owner_entries ORDER BY entry_key, version`
+      );
+      const data = {};
+      for (const row of rows)
+        (data[row.entry_key] ||= []).push(rowToVersion(row));
+      return data;
+    },
+
+    appendEntry(key, entry, meta) {
+      return transaction(async (db) => {
+        await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [key]);
+        const versions = await selectVersions(db, key);
+        const record = createVersion(
+          versions[versions.length - 1],
+          entry,
+          meta
+        );
+        await insertVersionRow(db, key, record);
+        return record;
+      });
+    },
+
+    transitionEntry(key, action, meta) {
+      return transaction(async (db) => {
+        await db.query("SELECT pg_advisory_xact_lock(hashtext($1))", [key]);
+        const versions = await selectVersions(db, key);
+        if (!versions.length) return null;
+        const result = applyTransition(
+          versions[versions.length - 1],
+          action,
+          meta
+        );
+        if (result.error) return result;
+        await insertVersionRow(db, key, result.record);
+        return result;
+      });
+    },
+
+    rewriteEntryVersions(fn) {
+      return transaction(async (db) => {
+        const { rows } = await db.query(
+          `SELECT id, entry_key, version, author, restored_from, diff, status,
+                  transitions, entry, created_at
+             FROM owner_entries ORDER BY entry_key, version FOR UPDATE`
+        );
+        for (const row of rows) {
+          const record = fn(rowToVersion(row), row.entry_key);
+          await db.query(
+            "UPDATE owner_entries SET entry = $2, diff = $3 WHERE id = $1",
+            [row.id, record.entry, JSON.stringify(record.diff || [])]
+          );
+        }
+        return rows.length;
+      });
+    },
+
+    /* ---------- PII access log (see lib/pii.js) ---------- */
+    async appendPiiAccess(record) {
+      await writePiiAccess(pool, record);
+      return record;
+    },
+
+    async getPiiAccessLog({ limit = 100 } = {}) {
+      const { rows } = await pool.query(
+        `SELECT username, entry_key, versions, fields, at
+           FROM pii_access_log ORDER BY id DESC LIMIT $1`,
+        [limit]
+      );
+      return rows.map((row) => ({
+        at: row.at.toISOString(),
+        user: row.username,
+        key: row.entry_key,
+        versions: row.versions,
+        fields: row.fields,
+      }));
+    },
+
+    /* ---------- uploaded images (see lib/media.js) ---------- */
+    async getMedia(hash) {
+      const [record] = await selectMedia(pool, hash);
+      return record || null;
+    },
+
+    listMedia() {
+      return selectMedia(pool);
+    },
+
+    saveMedia(record) {
+      return transaction(async (db) => {
+        await writeMedia(db, record);
+        return record;
+      });
+    },
+
+    async addMediaRef(hash, ref) {
+      const { rows } = await pool.query("SELECT 1 FROM media WHERE hash = $1", [
+        hash,
+      ]);
+      if (!rows.length) return false;
+      await writeMediaRef(pool, hash, ref);
+      return true;
+    },
+
+    async deleteMedia(hash) {
+      await pool.query("DELETE FROM media WHERE hash = $1", [hash]);
+    },
+
+    /* ---------- villages (see lib/villages.js) ---------- */
+    async listVillages() {
+      const { rows } = await pool.query(
+        `SELECT code, name, subdivision, district, bbox, parcel_count,
+                created_by, created_at, updated_at
+           FROM villages ORDER BY name`
+      );
+      return rows.map((row) => ({
+        code: row.code,
+        name: row.name,
+        subdivision: row.subdivision || "",
+        district: row.district || "",
+        bbox: row.bbox,
+        parcelCount: row.parcel_count,
+        createdAt: row.created_at.toISOString(),
+        createdBy: row.created_by,
+        ...(row.updated_at ? { updatedAt: row.updated_at.toISOString() } : {}),
+      }));
+    },
+
+    async getVillageParcels(code) {
+      const { rows } = await pool.query(
+        "SELECT parcels FROM villages WHERE code = $1",
+        [code]
+      );
+      return rows.length ? rows[0].parcels.features || [] : null;
+    },
+
+    saveVillage(village, parcels) {
+      return transaction(async (db) => {
+        await writeVillage(db, village, parcels);
+        return village;
+      });
+    },
+
+    /* ---------- users (see lib/auth.js) ---------- */
+    async getUser(username) {
+      const { rows } = await pool.query(
+        "SELECT * FROM users WHERE username = $1",
+        [username]
+      );
+      return rows.length ? rowToUser(rows[0]) : null;
+    },
+
+    async listUsers() {
+      const { rows } = await pool.query(
+        "SELECT * FROM users ORDER BY username"
+      );
+      return rows.map(rowToUser);
+    },
+
+    async saveUser(user) {
+      await writeUser(pool, user);
+      return user;
+    },
+
+    /* ---------- buildings ---------- */
+    async listBuildings() {
+      return {
+        type: "FeatureCollection",
+        features: await selectBuildings(pool),
+      };
+    },
+
+    async getBuilding(bid) {
+      const [feature] = await selectBuildings(pool, { bid });
+      return feature || null;
+    },
+
+    createBuilding(feature) {
+      return transaction(async (db) => {
+        const { rowCount } = await db.query(
+          "SELECT 1 FROM buildings WHERE bid = $1",
+          [Number(feature.properties.BID)]
+        );
+        if (rowCount) return null;
+        await writeBuilding(db, feature, { insert: true });
+        return feature;
+      });
+    },
+
+    importBuildings(features) {
+      return transaction(async (db) => {
+        // Serialises concurrent imports so they cannot pick the same BIDs.
+        await db.query("LOCK TABLE buildings IN SHARE ROW EXCLUSIVE MODE");
+        const { rows } = await db.query(
+          "SELECT GREATEST(999, COALESCE(MAX(bid), 0)) + 1 AS next FROM buildings"
+        );
+        let next = Number(rows[0].next);
+        const stored = [];
+        for (const f of features) {
+          const feature = {
+            ...f,
+            properties: { ...f.properties, BID: next++ },
+          };
+          await writeBuilding(db, feature, { insert: true });
+          stored.push(feature);
+        }
+        return stored;
+      });
+    },
+
+    updateBuilding(bid, mutate) {
+      return transaction(async (db) => {
+        const [current] = await selectBuildings(db, { bid, lock: true });
+        if (!current) return null;
+        const next = await mutate(current);
+        await writeBuilding(db, next, { insert: false });
+        return next;
+      });
+    },
+
+    deleteBuilding(bid, propertyIdOf) {
+      return transaction(async (db) => {
+        const [target] = await selectBuildings(db, { bid, lock: true });
+        if (!target) return null;
+        await db.query("DELETE FROM buildings WHERE bid = $1", [Number(bid)]);
+
+        const removed = { floorLayouts: 0, commonLayouts: 0, entries: 0 };
+        const apartments = await db.query(
+          "DELETE FROM apartments WHERE bid = $1 RETURNING floor_no",
+          [Number(bid)]
+        );
+        removed.floorLayouts = new Set(
+          apartments.rows.map((r) => r.floor_no)
+        ).size;
+        const common = await db.query(
+          "DELETE FROM common_layouts WHERE bid = $1",
+          [Number(bid)]
+        );
+        removed.commonLayouts = common.rowCount;
+
+        const propertyId = propertyIdOf(target.properties || {});
+        const others = await selectBuildings(db);
+        const shared = others.some(
+          (f) => propertyIdOf(f.properties || {}) === propertyId
+        );
+        if (!shared) {
+          const entries = await db.query(
+            `DELETE FROM owner_entries WHERE property_id = $1
+             RETURNING entry_key`,
+            [propertyId]
+          );
+          removed.entries = new Set(entries.rows.map((r) => r.entry_key)).size;
+        }
+        return removed;
+      });
+    },
+
+    /* ---------- per-floor apartment layouts ---------- */
+    async getFloorLayouts() {
+      const { rows } = await pool.query(
+        `SELECT id, bid, floor_no, apartment_key, grid, extra
+           FROM apartments ORDER BY bid, floor_no, apartment_key`
+      );
+      const rooms = await roomsByOwner(
+        pool,
+        "apartment_id",
+        rows.map((r) => r.id)
+      );
+      const layouts = {};
+      for (const row of rows) {
+        const key = `${row.bid}_floor_${row.floor_no}`;
+        if (!layouts[key]) layouts[key] = { apartments: {} };
+        layouts[key].apartments[row.apartment_key] = {
+          ...(row.extra || {}),
+          grid: row.grid,
+          rooms: rooms[row.id] || [],
+        };
+      }
+      return layouts;
+    },
+
+    async getFloorLayout(bid, floor, apartment) {
+      const { rows } = await pool.query(
+        `SELECT id, grid, extra FROM apartments
+          WHERE bid = $1 AND floor_no = $2 AND apartment_key = $3`,
+        [Number(bid), Number(floor), String(apartment)]
+      );
+      if (!rows.length) return null;
+      const rooms = await roomsByOwner(pool, "apartment_id", [rows[0].id]);
+      return {
+        ...(rows[0].extra || {}),
+        grid: rows[0].grid,
+        rooms: rooms[rows[0].id] || [],
+      };
+    },
+
+    saveFloorLayout(bid, floor, apartment, layout) {
+      return transaction(async (db) => {
+        await writeFloorLayout(db, bid, floor, apartment, layout);
+        return `${bid}_floor_${floor}`;
+      });
+    },
+
+    // byFloor: { <floor>: { <apartment>: layout } }. Each listed floor's
+    // apartments are replaced wholesale; an empty object removes the floor.
+    replaceFloorLayouts(bid, byFloor) {
+      return transaction(async (db) => {
+        for (const [floor, apartments] of Object.entries(byFloor)) {
+          await db.query(
+            "DELETE FROM apartments WHERE bid = $1 AND floor_no = $2",
+            [Number(bid), Number(floor)]
+          );
+          for (const [apartment, layout] of Object.entries(apartments || {}))
+            await writeFloorLayout(db, bid, floor, apartment, layout);
+        }
+      });
+    },
+
+    /* ---------- common (all-floor) layouts ---------- */
+    async getCommonLayouts() {
+      return {
+        type: "FeatureCollection",
+        features: await selectCommonLayouts(pool),
+      };
+    },
+
+    async getCommonLayout(bid) {
+      const [feature] = await selectCommonLayouts(pool, "WHERE bid = $1", [
+        Number(bid),
+      ]);
+      return feature || null;
+    },
+
+    saveCommonLayouts(fc) {
+      return transaction(async (db) => {
+        await db.query("DELETE FROM common_layouts");
+        for (const feature of fc.features) await writeCommonLayout(db, feature);
+      });
+    },
+
+    upsertCommonLayout(feature) {
+      return transaction(async (db) => {
+        await writeCommonLayout(db, feature);
+        return feature;
+      });
+    },
+
+    /* ---------- migration ---------- */
+    // Replaces everything with the given JSON-backend snapshot in one go.
+    importSnapshot({
+      buildings,
+      floorLayouts,
+      commonLayouts,
+      entries,
+      users = [],
+      piiAccessLog = [],
+      media = [],
+      villages = [],
+    }) {
+      return transaction(async (db) => {
+        await db.query(
+          `TRUNCATE owner_entries, rooms, common_layouts, apartments,
+                    floors, buildings, users, pii_access_log, media_refs,
+                    media, villages RESTART IDENTITY`
+        );
+        const counts = {
+          buildings: 0,
+          apartments: 0,
+          commonLayouts: 0,
+          entries: 0,
+          users: 0,
+          piiAccessLog: 0,
+          media: 0,
+          villages: 0,
+        };
+
+        for (const feature of buildings.features) {
+          await writeBuilding(db, feature, { insert: true });
+          counts.buildings++;
+        }
+        for (const [key, node] of Object.entries(floorLayouts)) {
+          const [bid, floor] = key.split("_floor_");
+          const apartments = node?.apartments || { 1: node };
+          for (const [aptKey, layout] of Object.entries(apartments)) {
+            await writeFloorLayout(db, bid, floor, aptKey, layout);
+            counts.apartments++;
+          }
+        }
+        for (const feature of commonLayouts.features) {
+          await writeCommonLayout(db, feature);
+          counts.commonLayouts++;
+        }
+        for (const [key, versions] of Object.entries(entries)) {
+          for (const record of versions) {
+            await insertVersionRow(db, key, record);
+            counts.entries++;
+          }
+        }
+        for (const user of users) {
+          await writeUser(db, user);
+          counts.users++;
+        }
+        // Stored oldest first, as the JSON backend keeps it.
+        for (const record of piiAccessLog.slice().reverse()) {
+          await writePiiAccess(db, record);
+          counts.piiAccessLog++;
+        }
+        for (const record of media) {
+          await writeMedia(db, record);
+          counts.media++;
+        }
+        for (const { parcels, ...village } of villages) {
+          await writeVillage(db, village, parcels);
+          counts.villages++;
+        }
+        return counts;
+      });
+    },
+  };
+}
+
+module.exports = createPgStore;
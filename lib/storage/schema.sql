@@ -0,0 +1,160 @@
+-- Schema for STORAGE_BACKEND=postgres. Safe to apply repeatedly.
+CREATE EXTENSION IF NOT EXISTS postgis;
+
+CREATE TABLE IF NOT EXISTS buildings (
+  bid           INTEGER PRIMARY KEY,
+  name          TEXT,
+  building_type TEXT,
+  height        DOUBLE PRECISION,
+  floors        INTEGER,
+  -- Remaining createBuilding.geojson properties, minus apartmentCounts.
+  properties    JSONB NOT NULL DEFAULT '{}'::jsonb,
+  footprint     geometry(Geometry, 4326) NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+CREATE INDEX IF NOT EXISTS buildings_footprint_gix
+  ON buildings USING GIST (footprint);
+
+-- One row per storey; apartment_count mirrors properties.apartmentCounts.
+CREATE TABLE IF NOT EXISTS floors (
+  bid             INTEGER NOT NULL REFERENCES buildings (bid) ON DELETE CASCADE,
+  floor_no        INTEGER NOT NULL,
+  apartment_count INTEGER NOT NULL DEFAULT 1,
+  PRIMARY KEY (bid, floor_no)
+);
+
+-- Per-floor apartment grids from floorLayouts.json. Not tied to buildings by
+-- a foreign key: the designer may save a layout before its building is
+-- persisted, exactly as the JSON backend allows.
+CREATE TABLE IF NOT EXISTS apartments (
+  id            SERIAL PRIMARY KEY,
+  bid           INTEGER NOT NULL,
+  floor_no      INTEGER NOT NULL,
+  apartment_key TEXT NOT NULL,
+  grid          JSONB,
+  extra         JSONB NOT NULL DEFAULT '{}'::jsonb,
+  UNIQUE (bid, floor_no, apartment_key)
+);
+
+-- Common (all-floor) layouts from BuildingCommonFloorLayout.json.
+CREATE TABLE IF NOT EXISTS common_layouts (
+  bid              INTEGER PRIMARY KEY,
+  bounds           JSONB,
+  building_details JSONB,
+  extra            JSONB NOT NULL DEFAULT '{}'::jsonb,
+  geometry         JSONB
+);
+
+-- Rooms belong either to an apartment grid or to a common layout.
+CREATE TABLE IF NOT EXISTS rooms (
+  id           SERIAL PRIMARY KEY,
+  apartment_id INTEGER REFERENCES apartments (id) ON DELETE CASCADE,
+  common_bid   INTEGER REFERENCES common_layouts (bid) ON DELETE CASCADE,
+  ordinal      INTEGER NOT NULL,
+  room_id      TEXT,
+  name         TEXT,
+  room_type    TEXT,
+  data         JSONB NOT NULL,
+  CHECK ((apartment_id IS NULL) <> (common_bid IS NULL))
+);
+CREATE INDEX IF NOT EXISTS rooms_apartment_idx ON rooms (apartment_id);
+CREATE INDEX IF NOT EXISTS rooms_common_idx ON rooms (common_bid);
+
+-- Append-only: one row per saved version of a `${propertyId}__F${floor}` key.
+CREATE TABLE IF NOT EXISTS owner_entries (
+  id            BIGSERIAL PRIMARY KEY,
+  entry_key     TEXT NOT NULL,
+  property_id   TEXT,
+  floor_no      INTEGER,
+  version       INTEGER,
+  author        TEXT,
+  restored_from INTEGER,
+  diff          JSONB,
+  -- Review workflow of the version, see lib/entryWorkflow.js.
+  status        TEXT NOT NULL DEFAULT 'draft',
+  transitions   JSONB NOT NULL DEFAULT '[]'::jsonb,
+  entry         JSONB NOT NULL,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+ALTER TABLE owner_entries ADD COLUMN IF NOT EXISTS version INTEGER;
+ALTER TABLE owner_entries ADD COLUMN IF NOT EXISTS author TEXT;
+ALTER TABLE owner_entries ADD COLUMN IF NOT EXISTS restored_from INTEGER;
+ALTER TABLE owner_entries ADD COLUMN IF NOT EXISTS diff JSONB;
+ALTER TABLE owner_entries
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'draft';
+ALTER TABLE owner_entries
+  ADD COLUMN IF NOT EXISTS transitions JSONB NOT NULL DEFAULT '[]'::jsonb;
+-- Rows written before versioning are numbered in save order.
+UPDATE owner_entries o
+   SET version = numbered.rn
+  FROM (SELECT id,
+               row_number() OVER (PARTITION BY entry_key ORDER BY id) AS rn
+          FROM owner_entries) numbered
+ WHERE o.id = numbered.id AND o.version IS NULL;
+CREATE INDEX IF NOT EXISTS owner_entries_key_idx
+  ON owner_entries (entry_key, id);
+CREATE UNIQUE INDEX IF NOT EXISTS owner_entries_version_idx
+  ON owner_entries (entry_key, version);
+
+-- Local accounts for lib/auth.js.
+CREATE TABLE IF NOT EXISTS users (
+  username      TEXT PRIMARY KEY,
+  role          TEXT NOT NULL,
+  password_hash TEXT NOT NULL,
+  -- May request unmasked owner PII (see lib/pii.js).
+  pii_access    BOOLEAN NOT NULL DEFAULT false,
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS pii_access BOOLEAN NOT NULL DEFAULT false;
+
+-- Who was shown unmasked owner PII, and when.
+CREATE TABLE IF NOT EXISTS pii_access_log (
+  id        BIGSERIAL PRIMARY KEY,
+  username  TEXT NOT NULL,
+  entry_key TEXT NOT NULL,
+  versions  JSONB NOT NULL,
+  fields    JSONB NOT NULL,
+  at        TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Uploaded images (see lib/media.js), one row per distinct content hash.
+CREATE TABLE IF NOT EXISTS media (
+  hash        TEXT PRIMARY KEY,
+  mime        TEXT NOT NULL,
+  bytes       INTEGER NOT NULL,
+  width       INTEGER,
+  height      INTEGER,
+  -- { original, web, thumb } file names in upload/.
+  files       JSONB NOT NULL,
+  uploaded_by TEXT,
+  created_at  TIMESTAMPTZ NOT NULL DEFAULT now()
+);
+
+-- Which owner entry versions use which image.
+CREATE TABLE IF NOT EXISTS media_refs (
+  hash        TEXT NOT NULL REFERENCES media (hash) ON DELETE CASCADE,
+  entry_key   TEXT NOT NULL,
+  property_id TEXT,
+  floor_no    INTEGER,
+  version     INTEGER NOT NULL,
+  field       TEXT NOT NULL,
+  PRIMARY KEY (hash, entry_key, version, field)
+);
+
+-- Registered villages (see lib/villages.js) with their parcel map.
+CREATE TABLE IF NOT EXISTS villages (
+  code         TEXT PRIMARY KEY,
+  name         TEXT NOT NULL,
+  subdivision  TEXT,
+  district     TEXT,
+  -- [minLon, minLat, maxLon, maxLat]
+  bbox         JSONB NOT NULL,
+  parcel_count INTEGER NOT NULL,
+  -- FeatureCollection of the village parcels.
+  parcels      JSONB NOT NULL,
+  created_by   TEXT,
+  created_at   TIMESTAMPTZ NOT NULL DEFAULT now(),
+  updated_at   TIMESTAMPTZ
+);
@@ -0,0 +1,238 @@
+/** -------------- SURVEY PROGRESS --------------
+ * How far the survey of each building has got, totalled per village and
+ * per parcel type, for GET /api/progress and the dashboard in index.html.
+ * Every row carries the same counters:
+ *
+ *   buildings, floors
+ *   floorsWithLayout      floors with common-layout rooms or an apartment
+ *                         layout in floorLayouts.json
+ *   apartments            apartments expected from apartmentCounts
+ *   apartmentsWithLayout  of those, the ones with a saved layout
+ *   rooms, roomsWithPniu  common-layout rooms on each floor, and those with
+ *                         a PNIU reference point
+ *   floorsWithEntry       floors with an owner entry (<propertyId>__F<floor>)
+ *   roomsWithEntry        rooms on those floors (owners are recorded per
+ *                         floor, so a floor's rooms share its entry)
+ *   entries               { draft, submitted, ..., rejected } by the status
+ *                         of each floor entry's latest version
+ *
+ * and `percent` of each "with" counter against its total, plus
+ * completeness: the share of the per-floor checklist that is done — layout
+ * drawn, every apartment laid out, owner entry saved, entry approved.
+ **/
+const { STATUSES } = require("./entryWorkflow");
+const { layoutForFloor } = require("./floorOverrides");
+
+const COUNTERS = [
+  "buildings",
+  "floors",
+  "floorsWithLayout",
+  "apartments",
+  "apartmentsWithLayout",
+  "rooms",
+  "roomsWithPniu",
+  "floorsWithEntry",
+  "roomsWithEntry",
+];
+
+// "with" counter → the total it is a share of.
+const SHARES = {
+  floorsWithLayout: "floors",
+  apartmentsWithLayout: "apartments",
+  roomsWithPniu: "rooms",
+  floorsWithEntry: "floors",
+  roomsWithEntry: "rooms",
+};
+
+// Per-floor checklist behind `completeness`.
+const CHECKS_PER_FLOOR = 4;
+
+function emptyCounts() {
+  const counts = { checks: 0, checksDone: 0, entries: {} };
+  for (const key of COUNTERS) counts[key] = 0;
+  for (const status of STATUSES) counts.entries[status] = 0;
+  return counts;
+}
+
+function addCounts(into, from) {
+  for (const key of [...COUNTERS, "checks", "checksDone"])
+    into[key] += from[key];
+  for (const status of STATUSES) into.entries[status] += from.entries[status];
+  return into;
+}
+
+function percentage(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Counts → the row shape described above.
+function present(counts) {
+  const { checks, checksDone, ...row } = counts;
+  row.percent = {};
+  for (const [key, total] of Object.entries(SHARES))
+    row.percent[key] = percentage(counts[key], counts[total]);
+  row.percent.completeness = percentage(checksDone, checks);
+  return row;
+}
+
+function hasPniu(room) {
+  return [room.ulpin, room.pniu].some((pt) => pt && typeof pt === "object");
+}
+
+function buildingCounts(building, layout, floorLayouts, entries, propertyId) {
+  const props = building.properties;
+  const floors = Math.max(1, parseInt(props.floors || 1, 10));
+  const apartmentCounts = props.apartmentCounts || {};
+  const counts = emptyCounts();
+  counts.buildings = 1;
+  counts.floors = floors;
+
+  for (let floor = 1; floor <= floors; floor++) {
+    const node = floorLayouts[`${props.BID}_floor_${floor}`];
+    const apartments = node ? node.apartments || { 1: node } : {};
+    const expected = Math.max(1, parseInt(apartmentCounts[floor] || 1, 10));
+    let laidOut = 0;
+    for (let apt = 1; apt <= expected; apt++) if (apartments[apt]) laidOut++;
+
+    const rooms = layout ? layoutForFloor(layout, floor).rooms : [];
+    const versions = entries[`${propertyId}__F${floor}`] || [];
+    const latest = versions[versions.length - 1];
+    const status = latest ? latest.status || "draft" : null;
+
+    const hasLayout = rooms.length > 0 || Object.keys(apartments).length > 0;
+    counts.floorsWithLayout += hasLayout ? 1 : 0;
+    counts.apartments += expected;
+    counts.apartmentsWithLayout += laidOut;
+    counts.rooms += rooms.length;
+    counts.roomsWithPniu += rooms.filter(hasPniu).length;
+    if (status) {
+      counts.floorsWithEntry++;
+      counts.roomsWithEntry += rooms.length;
+      counts.entries[status]++;
+    }
+    counts.checks += CHECKS_PER_FLOOR;
+    counts.checksDone +=
+      Number(hasLayout) +
+      Number(laidOut === expected) +
+      Number(Boolean(status)) +
+      Number(status === "approved");
+  }
+  return counts;
+}
+
+/**
+ * villages:      [{ code, name }] as listed by lib/villages.js; villages
+ *                without buildings still get a row
+ * buildings, commonLayouts: FeatureCollections as returned by the store
+ * floorLayouts:  { "<BID>_floor_<n>": { apartments } }
+ * entries:       { key: [version records] } (statuses only are read)
+ * propertyIdOf(props), villageOf(props): as in server.js
+ *
+ * Returns { totals, villages, parcelTypes, buildings } with one row per
+ * village, per village and parcel type, and per building.
+ */
+function surveyProgress({
+  villages = [],
+  buildings,
+  commonLayouts,
+  floorLayouts = {},
+  entries = {},
+  propertyIdOf,
+  villageOf,
+}) {
+  const layoutByBid = new Map();
+  for (const f of (commonLayouts && commonLayouts.features) || [])
+    if (f.properties && f.properties.bounds)
+      layoutByBid.set(String(f.properties.BID), f.properties);
+
+  const names = new Map(villages.map((v) => [v.code, v.name]));
+  const byVillage = new Map(villages.map((v) => [v.code, emptyCounts()]));
+  const byParcelType = new Map();
+  const totals = emptyCounts();
+  const rows = [];
+
+  for (const building of (buildings && buildings.features) || []) {
+    if (!building || !building.properties) continue;
+    const props = building.properties;
+    const village = villageOf(props);
+    const parcelType =
+      props.parcel_type && props.parcel_type !== "N/A"
+        ? props.parcel_type
+        : "UNKNOWN";
+    const propertyId = propertyIdOf(props);
+    const counts = buildingCounts(
+      building,
+      layoutByBid.get(String(props.BID)) || null,
+      floorLayouts,
+      entries,
+      propertyId
+    );
+
+    rows.push({
+      BID: Number(props.BID),
+      name: props.NAME || null,
+      village,
+      parcelType,
+      propertyId,
+      ...present(counts),
+    });
+    if (!byVillage.has(village)) byVillage.set(village, emptyCounts());
+    addCounts(byVillage.get(village), counts);
+    const typeKey = `${village}\u0000${parcelType}`;
+    if (!byParcelType.has(typeKey))
+      byParcelType.set(typeKey, { village, parcelType, counts: emptyCounts() });
+    addCounts(byParcelType.get(typeKey).counts, counts);
+    addCounts(totals, counts);
+  }
+
+  return {
+    totals: present(totals),
+    villages: [...byVillage].map(([code, counts]) => ({
+      village: code,
+      name: names.get(code) || null,
+      ...present(counts),
+    })),
+    parcelTypes: [...byParcelType.values()]
+      .sort(
+        (a, b) =>
+          String(a.village).localeCompare(String(b.village)) ||
+          a.parcelType.localeCompare(b.parcelType)
+      )
+      .map(({ village, parcelType, counts }) => ({
+        village,
+        parcelType,
+        ...present(counts),
+      })),
+    buildings: rows.sort((a, b) => a.BID - b.BID),
+  };
+}
+
+/* ---------- CSV ---------- */
+
+function csvCell(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows from surveyProgress() → CSV text, one column per counter, entry
+// status and percentage after the row's own key columns.
+function progressCsv(rows, keyColumns) {
+  const columns = [
+    ...keyColumns,
+    ...COUNTERS,
+    ...STATUSES.map((s) => `entries_${s}`),
+    ...Object.keys(SHARES).map((k) => `pct_${k}`),
+    "pct_completeness",
+  ];
+  const value = (row, column) => {
+    if (column.startsWith("entries_")) return row.entries[column.slice(8)];
+    if (column.startsWith("pct_")) return row.percent[column.slice(4)];
+    return row[column];
+  };
+  return [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => csvCell(value(row, c))).join(",")),
+  ].join("\r\n");
+}
+
+module.exports = { surveyProgress, progressCsv };
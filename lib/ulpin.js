@@ -0,0 +1,233 @@
+/** -------------- ULPIN ENCODER / DECODER --------------
+ * Shared by server.js and index.html (served as /lib/ulpin.js, exposed as
+ * window.Ulpin) so every tool produces the same IDs.
+ *
+ * A ULPIN is 14 characters, two per segment:
+ *   lat integer + 90   base 14
+ *   lat decimals 1-3   base 32
+ *   lat decimals 4-6   base 32
+ *   lon integer + 180  base 19
+ *   lon decimals 1-3   base 32
+ *   lon decimals 4-6   base 32
+ *   floor index + 578  base 34
+ * Letters I and O are written as Y and Z to avoid confusion with 1 and 0.
+ *
+ * The integer part keeps no sign of its own, so coordinates between -1 and 0
+ * would read back as positive; ulpinGenerator returns null for those, and
+ * for floor indexes outside -578..577.
+ **/
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.Ulpin = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  const FLOOR_OFFSET = 578;
+  const SEGMENTS = [
+    { name: "lat1", base: 14 },
+    { name: "lat2", base: 32 },
+    { name: "lat3", base: 32 },
+    { name: "lon1", base: 19 },
+    { name: "lon2", base: 32 },
+    { name: "lon3", base: 32 },
+    { name: "floor", base: 34 },
+  ];
+  const ULPIN_LENGTH = SEGMENTS.length * 2;
+  const MAX_FLOOR_INDEX = 34 * 34 - 1 - FLOOR_OFFSET;
+
+  function toBase(num, base, pad, replace = true) {
+    let str = num.toString(base).toUpperCase().padStart(pad, "0");
+    if (replace) {
+      str = str.replace(/I/g, "Y").replace(/O/g, "Z");
+    }
+    return str;
+  }
+
+  function fromBase(str, base) {
+    const digits = String(str)
+      .toUpperCase()
+      .replace(/Y/g, "I")
+      .replace(/Z/g, "O");
+    let value = 0;
+    for (const ch of digits) {
+      const digit = parseInt(ch, 36);
+      if (!Number.isFinite(digit) || digit >= base) return NaN;
+      value = value * base + digit;
+    }
+    return value;
+  }
+
+  function normalizeFloorNumber(value) {
+    const parsed = parseInt(value, 10);
+    return Number.isFinite(parsed) && parsed > 0 ? parsed : 1;
+  }
+
+  // Floor numbers are 1-based (1 = ground); ULPIN floor indexes are 0-based.
+  function ulpinFloorIndex(value) {
+    const floor = normalizeFloorNumber(value);
+    return floor === 1 ? 0 : floor - 1;
+  }
+
+  // [signed integer part, decimals 1-3, decimals 4-6]; the decimals are
+  // those of the absolute value, truncated.
+  function splitCoordinate(value) {
+    const number = Number(value);
+    // Below 1e-6 toString() switches to exponent notation.
+    const text = String(Math.abs(number));
+    const [, decPart = ""] = (
+      /e/i.test(text) ? Math.abs(number).toFixed(20) : text
+    ).split(".");
+    const decimals = decPart.padEnd(6, "0");
+    return [
+      Math.trunc(number),
+      parseInt(decimals.substring(0, 3), 10),
+      parseInt(decimals.substring(3, 6), 10),
+    ];
+  }
+
+  function encodable(longitude, latitude, floor) {
+    const lon = Number(longitude);
+    const lat = Number(latitude);
+    return (
+      Number.isFinite(lon) &&
+      Number.isFinite(lat) &&
+      Math.abs(lon) <= 180 &&
+      Math.abs(lat) <= 90 &&
+      !(lon < 0 && lon > -1) &&
+      !(lat < 0 && lat > -1) &&
+      Number.isInteger(floor) &&
+      floor >= -FLOOR_OFFSET &&
+      floor <= MAX_FLOOR_INDEX
+    );
+  }
+
+  // ULPIN of a point and 0-based floor index, or null when the scheme cannot
+  // hold them (see above).
+  function ulpinGenerator(longitude, latitude, floor = 0) {
+    if (!encodable(longitude, latitude, floor)) return null;
+    try {
+      const [lat1, lat2, lat3] = splitCoordinate(latitude);
+      const [lon1, lon2, lon3] = splitCoordinate(longitude);
+      return (
+        toBase(lat1 + 90, 14, 2) +
+        toBase(lat2, 32, 2) +
+        toBase(lat3, 32, 2) +
+        toBase(lon1 + 180, 19, 2) +
+        toBase(lon2, 32, 2) +
+        toBase(lon3, 32, 2) +
+        toBase(floor + FLOOR_OFFSET, 34, 2)
+      );
+    } catch (err) {
+      console.error("Error generating ULPIN:", err);
+      return null;
+    }
+  }
+
+  function joinCoordinate(intPart, high, low) {
+    const decimals = String(high * 1000 + low).padStart(6, "0");
+    const sign = intPart < 0 ? "-" : "";
+    return parseFloat(`${sign}${Math.abs(intPart)}.${decimals}`);
+  }
+
+  // Returns the south-west corner of the ~1e-6 degree cell the ULPIN was
+  // truncated into, plus the cell bbox and floor, or null if malformed.
+  function decodeUlpin(ulpin) {
+    const code = String(ulpin || "")
+      .trim()
+      .toUpperCase();
+    if (code.length !== ULPIN_LENGTH || !/^[0-9A-Z]+$/.test(code)) return null;
+
+    const values = {};
+    for (let i = 0; i < SEGMENTS.length; i++) {
+      const { name, base } = SEGMENTS[i];
+      const value = fromBase(code.substr(i * 2, 2), base);
+      if (!Number.isFinite(value)) return null;
+      values[name] = value;
+    }
+    if (values.lat2 > 999 || values.lat3 > 999) return null;
+    if (values.lon2 > 999 || values.lon3 > 999) return null;
+
+    const latitude = joinCoordinate(values.lat1 - 90, values.lat2, values.lat3);
+    const longitude = joinCoordinate(
+      values.lon1 - 180,
+      values.lon2,
+      values.lon3
+    );
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) return null;
+    const latStep = latitude < 0 ? -1e-6 : 1e-6;
+    const lonStep = longitude < 0 ? -1e-6 : 1e-6;
+    const floorIndex = values.floor - FLOOR_OFFSET;
+
+    return {
+      ulpin: code,
+      longitude,
+      latitude,
+      bbox: [
+        Math.min(longitude, longitude + lonStep),
+        Math.min(latitude, latitude + latStep),
+        Math.max(longitude, longitude + lonStep),
+        Math.max(latitude, latitude + latStep),
+      ],
+      floorIndex,
+      floor: floorIndex + 1,
+    };
+  }
+
+  function hasLayoutBounds(layout) {
+    const b = layout && layout.bounds;
+    return Boolean(
+      b &&
+      b.minLat != null &&
+      b.minLon != null &&
+      b.maxLat != null &&
+      b.maxLon != null
+    );
+  }
+
+  function computeFloorPniuFromLayout(layout, floorNumber) {
+    if (!hasLayoutBounds(layout)) return "N/A";
+    const { minLon, minLat, maxLon, maxLat } = layout.bounds;
+    const centerLon = minLon + (maxLon - minLon) / 2;
+    const centerLat = minLat + (maxLat - minLat) / 2;
+    return (
+      ulpinGenerator(centerLon, centerLat, ulpinFloorIndex(floorNumber)) ||
+      "N/A"
+    );
+  }
+
+  // Normalised (0-1) point inside the layout bounds a room's ULPIN is taken at.
+  function roomReferencePoint(room) {
+    const bounds = room.bounds || { x: 0, y: 0, width: 0.1, height: 0.1 };
+    return (
+      room.ulpin ||
+      room.pniu || {
+        x: bounds.x + bounds.width / 2,
+        y: bounds.y + bounds.height / 2,
+      }
+    );
+  }
+
+  function computeRoomPniuFromLayout(layout, room, floorNumber) {
+    if (!layout || !layout.bounds) return "N/A";
+    const { minLon, minLat, maxLon, maxLat } = layout.bounds;
+    const spanLon = maxLon - minLon || Number.EPSILON;
+    const spanLat = maxLat - minLat || Number.EPSILON;
+    const refPoint = roomReferencePoint(room || {});
+    const lon = minLon + refPoint.x * spanLon;
+    const lat = minLat + refPoint.y * spanLat;
+    return ulpinGenerator(lon, lat, ulpinFloorIndex(floorNumber)) || "N/A";
+  }
+
+  return {
+    FLOOR_OFFSET,
+    MAX_FLOOR_INDEX,
+    ULPIN_LENGTH,
+    toBase,
+    fromBase,
+    normalizeFloorNumber,
+    ulpinFloorIndex,
+    ulpinGenerator,
+    decodeUlpin,
+    roomReferencePoint,
+    computeFloorPniuFromLayout,
+    computeRoomPniuFromLayout,
+  };
+});
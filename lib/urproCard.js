@@ -0,0 +1,642 @@
+/** -------------- URBAN PROPERTY (UrPro) CARD --------------
+ * PDF version of the card printUrbanPropertyForm() in index.html opens in a
+ * print window, served by GET /api/urpro/:propertyId/:floor.
+ *
+ * A card is issued for one stored entry version. Its QR code points to
+ * GET /api/urpro/verify, which recomputes cardHash() from the stored version
+ * and reports whether it still matches the hash on the card. Issued PDFs are
+ * kept under data/cards, named by version and hash, so a reprint returns the
+ * same bytes.
+ *
+ * Text is set in the standard PDF Times fonts, which only cover Latin
+ * script.
+ **/
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const QRCode = require("qrcode");
+const turf = require("@turf/turf");
+const { comparableValue } = require("./pii");
+
+const MARGIN = 36;
+const FONT = "Times-Roman";
+const BOLD = "Times-Bold";
+const GREY = "#c5c1c1";
+const LIGHT = "#f0f0f0";
+
+/* ---------- hashing and storage ---------- */
+
+// JSON with object keys sorted, so the hash does not depend on the order
+// fields were saved in. Encrypted PII is reduced to its fingerprint (see
+// lib/pii.js): re-encrypting a value does not change the hash, and no
+// plaintext PII goes into it.
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(",")}]`;
+  if (value && typeof value === "object")
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonical(value[k])}`)
+      .join(",")}}`;
+  return JSON.stringify(comparableValue(value) ?? null);
+}
+
+// Hex SHA-256 over what the card certifies: the entry version as stored and
+// its review status.
+function cardHash({ key, version, status, entry }) {
+  return crypto
+    .createHash("sha256")
+    .update(canonical({ key, version: Number(version), status, entry }))
+    .digest("hex");
+}
+
+function cardFile(cardsDir, key, version, hash) {
+  return path.join(
+    cardsDir,
+    String(key).replace(/[^A-Za-z0-9_.-]/g, "_"),
+    `v${version}-${hash.slice(0, 16)}.pdf`
+  );
+}
+
+// PNG or JPEG bytes for an image field: a data URL, or an /upload/ path as
+// returned by the image upload routes. Anything else (including formats the
+// PDF writer cannot embed) gives null.
+function imageFromRef(ref, uploadDir) {
+  if (typeof ref !== "string" || !ref) return null;
+  let buffer = null;
+  const dataUrl = /^data:image\/[a-zA-Z0-9+.-]+;base64,(.+)$/.exec(ref);
+  if (dataUrl) buffer = Buffer.from(dataUrl[1], "base64");
+  else if (ref.startsWith("/upload/")) {
+    const file = path.join(uploadDir, path.basename(ref));
+    if (fs.existsSync(file)) buffer = fs.readFileSync(file);
+  }
+  if (!buffer || buffer.length < 4) return null;
+  const png = buffer.readUInt32BE(0) === 0x89504e47;
+  const jpeg = buffer[0] === 0xff && buffer[1] === 0xd8;
+  return png || jpeg ? buffer : null;
+}
+
+/* ---------- drawing ---------- */
+
+const safe = (v) => (v == null || v === "" ? "N/A" : String(v));
+
+// Draws one table row of [{ text, header, span }] cells across the given
+// column widths, starting a new page when it would not fit. Returns the y
+// below the row.
+function drawRow(doc, y, widths, cells) {
+  const spans = [];
+  let col = 0;
+  for (const cell of cells) {
+    const span = cell.span || 1;
+    const width = widths.slice(col, col + span).reduce((a, b) => a + b, 0);
+    spans.push({
+      ...cell,
+      x: MARGIN + widths.slice(0, col).reduce((a, b) => a + b, 0),
+      width,
+    });
+    col += span;
+  }
+  const heights = spans.map((c) =>
+    doc
+      .font(c.header ? BOLD : FONT)
+      .fontSize(8)
+      .heightOfString(safe(c.text), { width: c.width - 6 })
+  );
+  const height = Math.max(14, ...heights.map((h) => h + 6));
+  if (y + height > doc.page.height - MARGIN - 24) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  for (const c of spans) {
+    if (c.header) doc.rect(c.x, y, c.width, height).fill(LIGHT);
+    doc.rect(c.x, y, c.width, height).lineWidth(0.5).stroke("#333333");
+    doc
+      .fillColor("#000000")
+      .font(c.header ? BOLD : FONT)
+      .fontSize(8)
+      .text(safe(c.text), c.x + 3, y + 3, { width: c.width - 6 });
+  }
+  return y + height;
+}
+
+function sectionTitle(doc, y, title) {
+  const width = doc.page.width - 2 * MARGIN;
+  if (y + 40 > doc.page.height - MARGIN - 24) {
+    doc.addPage();
+    y = MARGIN;
+  }
+  doc.rect(MARGIN, y, width, 16).fill(GREY);
+  doc.rect(MARGIN, y, width, 16).lineWidth(0.5).stroke("#333333");
+  doc
+    .fillColor("#000000")
+    .font(BOLD)
+    .fontSize(9)
+    .text(title, MARGIN, y + 4, { width, align: "center" });
+  return y + 16;
+}
+
+// Image fitted and centred in a box, or a grey placeholder with `missing`.
+function imageBox(doc, buffer, x, y, w, h, missing) {
+  doc.rect(x, y, w, h).lineWidth(0.5).stroke("#333333");
+  if (buffer) {
+    try {
+      doc.image(buffer, x + 2, y + 2, {
+        fit: [w - 4, h - 4],
+        align: "center",
+        valign: "center",
+      });
+      return;
+    } catch (e) {
+      // Unreadable image data: fall through to the placeholder.
+    }
+  }
+  doc.rect(x + 0.5, y + 0.5, w - 1, h - 1).fill("#f9f9f9");
+  doc
+    .fillColor("#666666")
+    .font(FONT)
+    .fontSize(8)
+    .text(missing, x, y + h / 2 - 4, { width: w, align: "center" });
+}
+
+function polygonRings(geometry) {
+  if (!geometry) return [];
+  if (geometry.type === "Polygon") return geometry.coordinates;
+  if (geometry.type === "MultiPolygon") return geometry.coordinates.flat();
+  return [];
+}
+
+// Vector map of the footprints inside `bbox`, drawn when the entry has no
+// captured map image: parcels outlined, other buildings grey, the subject
+// property red.
+function schematicMap(doc, box, bbox, layers) {
+  const [minLon, minLat, maxLon, maxLat] = bbox;
+  const kx = Math.cos((((minLat + maxLat) / 2) * Math.PI) / 180);
+  const spanX = (maxLon - minLon) * kx || Number.EPSILON;
+  const spanY = maxLat - minLat || Number.EPSILON;
+  const scale = Math.min((box.w - 8) / spanX, (box.h - 8) / spanY);
+  const ox = box.x + (box.w - spanX * scale) / 2;
+  const oy = box.y + (box.h + spanY * scale) / 2;
+  const project = ([lon, lat]) => [
+    ox + (lon - minLon) * kx * scale,
+    oy - (lat - minLat) * scale,
+  ];
+
+  doc.save();
+  doc.rect(box.x, box.y, box.w, box.h).clip();
+  doc.rect(box.x, box.y, box.w, box.h).fill("#f9f9f9");
+  for (const { geometries, fill, stroke, width } of layers)
+    for (const geometry of geometries)
+      for (const ring of polygonRings(geometry)) {
+        if (ring.length < 3) continue;
+        doc.polygon(...ring.map(project)).lineWidth(width);
+        if (fill) doc.fillAndStroke(fill, stroke);
+        else doc.stroke(stroke);
+      }
+  doc.restore();
+  doc.rect(box.x, box.y, box.w, box.h).lineWidth(0.5).stroke("#333333");
+
+  // North arrow
+  const nx = box.x + box.w - 16;
+  const ny = box.y + 8;
+  doc.polygon([nx, ny], [nx - 5, ny + 14], [nx + 5, ny + 14]).fill("#333333");
+  doc
+    .font(BOLD)
+    .fontSize(7)
+    .text("N", nx - 10, ny + 15, { width: 20, align: "center" });
+}
+
+function paddedBbox(geometries, factor) {
+  const [minLon, minLat, maxLon, maxLat] = turf.bbox({
+    type: "GeometryCollection",
+    geometries,
+  });
+  const padLon = Math.max((maxLon - minLon) * factor, 0.0001);
+  const padLat = Math.max((maxLat - minLat) * factor, 0.0001);
+  return [minLon - padLon, minLat - padLat, maxLon + padLon, maxLat + padLat];
+}
+
+function overlaps(geometry, bbox) {
+  const [a, b, c, d] = turf.bbox({ type: "Feature", geometry, properties: {} });
+  return a <= bbox[2] && c >= bbox[0] && b <= bbox[3] && d >= bbox[1];
+}
+
+// Location map: the subject and its parcel. Overview map: the same area
+// widened fourfold, with the neighbouring buildings and parcels.
+function drawMap(doc, box, geo, overview) {
+  const subject = geo.subject || [];
+  if (!subject.length) {
+    imageBox(doc, null, box.x, box.y, box.w, box.h, "No Map Available");
+    return;
+  }
+  const around = [...subject, ...(geo.parcel ? [geo.parcel] : [])];
+  const bbox = paddedBbox(around, overview ? 1.5 : 0.15);
+  const nearby = (list) => (list || []).filter((g) => overlaps(g, bbox));
+  schematicMap(doc, box, bbox, [
+    { geometries: nearby(geo.parcels), stroke: "#9ca3af", width: 0.4 },
+    {
+      geometries: nearby(geo.buildings),
+      fill: "#d1d5db",
+      stroke: "#6b7280",
+      width: 0.4,
+    },
+    {
+      geometries: geo.parcel ? [geo.parcel] : [],
+      stroke: "#2563eb",
+      width: 1,
+    },
+    { geometries: subject, fill: "#fecaca", stroke: "#dc2626", width: 1.2 },
+  ]);
+}
+
+function drawQr(doc, text, x, y, size) {
+  const modules = QRCode.create(text, { errorCorrectionLevel: "M" }).modules;
+  const cell = size / (modules.size + 2);
+  doc.rect(x, y, size, size).fill("#ffffff");
+  for (let r = 0; r < modules.size; r++)
+    for (let c = 0; c < modules.size; c++)
+      if (modules.get(r, c))
+        doc.rect(x + (c + 1) * cell, y + (r + 1) * cell, cell, cell);
+  doc.fill("#000000");
+}
+
+function watermark(doc) {
+  doc.save();
+  doc.rotate(-35, { origin: [doc.page.width / 2, doc.page.height / 2] });
+  doc
+    .fillColor("#c80000")
+    .fillOpacity(0.15)
+    .font(BOLD)
+    .fontSize(80)
+    .text("PROVISIONAL", 0, doc.page.height / 2 - 40, {
+      width: doc.page.width,
+      align: "center",
+      lineBreak: false,
+    });
+  doc.restore();
+}
+
+function footer(doc, page, pages, hash) {
+  const bottom = doc.page.margins.bottom;
+  doc.page.margins.bottom = 0;
+  const width = doc.page.width - 2 * MARGIN;
+  const y = doc.page.height - MARGIN - 14;
+  doc
+    .fillColor("#c00000")
+    .font(BOLD)
+    .fontSize(8)
+    .text(
+      "Note: This is a digitally signed document and does not require a physical signature.",
+      MARGIN,
+      y,
+      { width, align: "center", lineBreak: false }
+    );
+  doc
+    .fillColor("#333333")
+    .font(FONT)
+    .fontSize(7)
+    .text(`Content hash ${hash}`, MARGIN, y + 10, { lineBreak: false })
+    .text(`Page ${page} of ${pages}`, MARGIN, y + 10, {
+      width,
+      align: "right",
+      lineBreak: false,
+    });
+  doc.page.margins.bottom = bottom;
+}
+
+/**
+ * Resolves to the card PDF as a Buffer.
+ *   entry       the entry version to print, PII already masked
+ *   record      the stored version record (version, author, savedAt,
+ *               status, transitions)
+ *   propertyId, floor
+ *   floorUlpin  ULPIN of the owner's floor, computed from the building
+ *   hash        cardHash() of the stored version
+ *   verifyUrl   URL the QR code points to
+ *   images      { ownerPhoto, locationMap, overviewMap, buildingPhoto,
+ *                 signature, stateLogo, deptLogo }: PNG/JPEG Buffers or null
+ *   geo         { subject, parcel, buildings, parcels }: GeoJSON geometries
+ *               for the schematic maps drawn when no map image was captured
+ */
+function renderCard({
+  entry,
+  record,
+  propertyId,
+  floor,
+  floorUlpin,
+  hash,
+  verifyUrl,
+  images = {},
+  geo = {},
+}) {
+  const mode = entry.mode === "2b" ? "2b" : "2a";
+  const s1 = entry.section1 || {};
+  const s2 = entry[`section${mode}`] || {};
+  const s3 = entry[`section3${mode.slice(1)}`] || {};
+  const provisional = record.status !== "approved";
+  const approval = (record.transitions || [])
+    .filter((t) => t.action === "approve")
+    .pop();
+  const issuedOn = String(
+    (approval && approval.at) || record.savedAt || ""
+  ).slice(0, 10);
+
+  const doc = new PDFDocument({
+    size: "A4",
+    margin: MARGIN,
+    bufferPages: true,
+    info: {
+      Title: `Urban Property (UrPro) Card - ${propertyId} floor ${floor}`,
+      Subject: `Entry ${propertyId}__F${floor} version ${record.version}`,
+      Keywords: hash,
+      CreationDate: new Date(record.savedAt || 0),
+    },
+  });
+  const chunks = [];
+  doc.on("data", (chunk) => chunks.push(chunk));
+  const done = new Promise((resolve, reject) => {
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+  const width = doc.page.width - 2 * MARGIN;
+  const quarter = [width * 0.2, width * 0.3, width * 0.2, width * 0.3];
+
+  // Header
+  imageBox(doc, images.stateLogo, MARGIN, MARGIN, 60, 60, "State Govt logo");
+  imageBox(
+    doc,
+    images.deptLogo,
+    MARGIN + width - 110,
+    MARGIN,
+    110,
+    60,
+    "Dept. logo"
+  );
+  doc
+    .fillColor("#000000")
+    .font(BOLD)
+    .fontSize(13)
+    .text("Revenue/UD/LSG Department", MARGIN + 70, MARGIN + 8, {
+      width: width - 190,
+      align: "center",
+    })
+    .text("Urban Property (UrPro) Card", {
+      width: width - 190,
+      align: "center",
+    })
+    .font(FONT)
+    .fontSize(9)
+    .text(`Card No. ${propertyId}/F${floor}/V${record.version}`, {
+      width: width - 190,
+      align: "center",
+    });
+  let y = MARGIN + 70;
+  y = drawRow(doc, y, quarter, [
+    { text: "Form No.", header: true },
+    { text: entry.meta && entry.meta.formNo },
+    { text: "Date", header: true },
+    { text: entry.meta && entry.meta.date },
+  ]);
+  y = drawRow(doc, y, quarter, [
+    { text: "Owner/s Name", header: true },
+    { text: s2.ownerName },
+    { text: "Status", header: true },
+    {
+      text: provisional
+        ? `${record.status} (provisional)`
+        : `approved ${issuedOn}`,
+    },
+  ]);
+
+  // 1. Plot details
+  y = sectionTitle(doc, y + 8, "1. Plot Details");
+  for (const row of [
+    ["State/UT Name", s1.state, "ULPIN", s1.ulpin],
+    ["District Name", s1.district, "Plot ID", s1.plotId],
+    ["Town/City Name", s1.townCity, "Plot Area (sq. m)", s1.plotArea],
+    [
+      "City Survey No.",
+      s1.surveyNo,
+      "Plot Address with PIN Code",
+      s1.plotAddress,
+    ],
+    ["Ward Name & No.", s1.ward, "Floor ULPIN", floorUlpin],
+    [
+      "Year of Commencement of Ownership",
+      s1.yearOfOwnership,
+      "Plot Owner/s Name",
+      s1.plotOwnerName,
+    ],
+    [
+      "Property Type (Private/Government)",
+      s1.propertyType,
+      "Aadhaar No. / Mobile No.",
+      `${safe(s1.plotOwnerAadhaar)} / ${safe(s1.plotOwnerMobile)}`,
+    ],
+    [
+      "Govt. Category",
+      s1.govCategory,
+      "Ownership/Lease Hold/Other Rights",
+      s1.rights,
+    ],
+  ])
+    y = drawRow(doc, y, quarter, [
+      { text: row[0], header: true },
+      { text: row[1] },
+      { text: row[2], header: true },
+      { text: row[3] },
+    ]);
+
+  // 2. Building details, for the mode the entry was saved in
+  y = sectionTitle(
+    doc,
+    y + 8,
+    mode === "2a"
+      ? "2. (a) Individual Building"
+      : "2. (b) Flat in Multi-ownership Building"
+  );
+  const sixths = Array(6).fill(width / 6);
+  y = drawRow(doc, y, sixths, [
+    { text: "Municipal ID", header: true },
+    { text: s2.municipalId },
+    { text: "Property Type", header: true },
+    { text: s2.propertyType },
+    { text: "Purpose of Usage", header: true },
+    { text: s2.usage },
+  ]);
+  y = drawRow(
+    doc,
+    y,
+    sixths,
+    mode === "2a"
+      ? [
+          { text: "Name of the Building", header: true },
+          { text: s2.buildingName },
+          { text: "Total No. of Floors", header: true },
+          { text: s2.totalFloors },
+          { text: "Owner's Floor No.", header: true },
+          { text: s2.ownersFloorNo },
+        ]
+      : [
+          { text: "Apartment Name", header: true },
+          { text: s2.apartmentName },
+          { text: "Floor No.", header: true },
+          { text: s2.floorNo },
+          { text: "Flat No.", header: true },
+          { text: s2.flatNo },
+        ]
+  );
+  y = drawRow(doc, y, sixths, [
+    { text: "Carpet Area (sq. m)", header: true },
+    { text: s2.carpetArea },
+    { text: "Super Built-up Area (sq. m)", header: true },
+    { text: s2.superBuiltUp },
+    { text: "Parking / Garage (sq. m)", header: true },
+    { text: `${safe(s2.parkingArea)} / ${safe(s2.garageArea)}` },
+  ]);
+  y = drawRow(
+    doc,
+    y,
+    [width / 6, (width * 5) / 6],
+    [{ text: "Property Address", header: true }, { text: s2.address }]
+  );
+
+  // 3. Owner details, with the photograph beside them
+  y = sectionTitle(doc, y + 8, "3. Owner Details");
+  const photoW = 80;
+  const ownerTop = y;
+  const halves = [(width - photoW) * 0.4, (width - photoW) * 0.6];
+  for (const row of [
+    ["Title Document No.", s3.titleDocNo],
+    ["Name of the Owner", s3.ownerName],
+    ["Guardian/Spouse's Name", s3.guardianSpouse],
+    ["Ownership Share", s3.ownershipShare],
+    ["Owner's Identity Document", s3.idDocument],
+    ["Communication Address", s3.commAddress],
+  ])
+    y = drawRow(doc, y, halves, [
+      { text: row[0], header: true },
+      { text: row[1] },
+    ]);
+  imageBox(
+    doc,
+    images.ownerPhoto,
+    MARGIN + width - photoW,
+    ownerTop,
+    photoW,
+    Math.max(90, y - ownerTop),
+    "No Photograph"
+  );
+  y = Math.max(y, ownerTop + 90);
+
+  // 4-6. Mutation, encumbrances, remarks
+  y = sectionTitle(doc, y + 8, "4-6. Mutation, Encumbrances and Remarks");
+  const s4 = entry.section4 || {};
+  y = drawRow(doc, y, quarter, [
+    { text: "4. Mutation No. / Date", header: true },
+    { text: `${safe(s4.mutationNo)} / ${safe(s4.mutationDate)}` },
+    { text: "5. Encumbrances/Mortgage/Other Rights", header: true },
+    { text: entry.section5 && entry.section5.encumbrances },
+  ]);
+  y = drawRow(doc, y, quarter, [
+    { text: "6. Remarks", header: true },
+    { text: entry.section6 && entry.section6.remarks },
+    { text: "Record", header: true },
+    {
+      text: `Version ${record.version} saved ${String(
+        record.savedAt || ""
+      ).slice(0, 10)} by ${safe(record.author)}${
+        approval ? `; approved by ${approval.by}` : ""
+      }`,
+    },
+  ]);
+
+  // 7-10 on the second page
+  doc.addPage();
+  const half = width / 2;
+  const mapH = 230;
+  y = drawRow(
+    doc,
+    MARGIN,
+    [half, half],
+    [
+      { text: "7. Location Map", header: true },
+      { text: "8. Overview Map", header: true },
+    ]
+  );
+  const mapBox = (x) => ({ x, y: y + 4, w: half - 4, h: mapH });
+  if (images.locationMap)
+    imageBox(doc, images.locationMap, MARGIN, y + 4, half - 4, mapH, "");
+  else drawMap(doc, mapBox(MARGIN), geo, false);
+  if (images.overviewMap)
+    imageBox(
+      doc,
+      images.overviewMap,
+      MARGIN + half + 4,
+      y + 4,
+      half - 4,
+      mapH,
+      ""
+    );
+  else drawMap(doc, mapBox(MARGIN + half + 4), geo, true);
+  doc
+    .fillColor("#000000")
+    .font(FONT)
+    .fontSize(8)
+    .text(
+      `Property ID: ${propertyId}   Land Record Area = ${safe(
+        s1.plotArea
+      )} sq. m   Red outline: subject property`,
+      MARGIN,
+      y + mapH + 8,
+      { width }
+    );
+
+  y = drawRow(
+    doc,
+    y + mapH + 24,
+    [half, half],
+    [
+      {
+        text: "9. Photo of the Building / Land with Neighbouring Structures",
+        header: true,
+      },
+      { text: "10. Digital Signature", header: true },
+    ]
+  );
+  imageBox(doc, images.buildingPhoto, MARGIN, y + 4, half - 4, 200, "No Photo");
+  const signX = MARGIN + half + 4;
+  const noteX = signX + 112;
+  const noteW = width - (noteX - MARGIN);
+  imageBox(doc, images.signature, signX, y + 4, half - 4, 90, "No Signature");
+  drawQr(doc, verifyUrl, signX, y + 100, 104);
+  doc
+    .fillColor("#000000")
+    .font(BOLD)
+    .fontSize(8)
+    .text("Enquiry Officer", noteX, y + 104, { width: noteW })
+    .font(FONT)
+    .text("City/District/State", { width: noteW })
+    .text(`Issued on: ${safe(issuedOn)}`, { width: noteW })
+    .moveDown(0.5)
+    .fontSize(7)
+    .text("Scan the QR code to verify this card against the register.", {
+      width: noteW,
+    });
+
+  const range = doc.bufferedPageRange();
+  for (let i = 0; i < range.count; i++) {
+    doc.switchToPage(range.start + i);
+    if (provisional) watermark(doc);
+    footer(doc, i + 1, range.count, hash);
+  }
+  doc.end();
+  return done;
+}
+
+module.exports = {
+  cardHash,
+  cardFile,
+  imageFromRef,
+  renderCard,
+};
@@ -0,0 +1,316 @@
+/** -------------- VECTOR TILES --------------
+ * The map draws parcels and buildings from Mapbox Vector Tiles, one set per
+ * village, served as GET /api/tiles/<village>/<z>/<x>/<y>.pbf with the
+ * layers
+ *
+ *   parcels           the village's parcels with their shapefile attributes
+ *   buildings         footprints: BID, NAME, building_type, height, floors,
+ *                     original_id, village_code, propertyId
+ *   floors            the footprint once per floor: BID, floor, base, top,
+ *                     height (of the floor), apartmentCount and ulpin
+ *   floor-separators  the dark bands between floors: BID, floor, base, top
+ *   floor-labels      a point per floor at the footprint centroid: BID,
+ *                     floor, height
+ *
+ * Heights are metres above ground for fill-extrusion layers, with floors
+ * split as in lib/gisExport.js. The floor ULPIN comes from the common
+ * layout, so layout saves change the tiles as well as building edits.
+ *
+ * Tile indexes are built per village on first use and kept with the most
+ * recently served tiles until that village is invalidated. version(code)
+ * goes into the tile URLs of the TileJSON and changes on every
+ * invalidation of the village and on every start of the server, so
+ * browsers never show a stale tile from their cache.
+ **/
+const geojsonvt = require("geojson-vt");
+const vtpbf = require("vt-pbf");
+const turf = require("@turf/turf");
+const { floorHeights, floorUlpin } = require("./gisExport");
+
+const MAX_ZOOM = 18;
+const INDEX_OPTIONS = { maxZoom: MAX_ZOOM, buffer: 64 };
+
+const BUILDING_LAYERS = [
+  "buildings",
+  "floors",
+  "floor-separators",
+  "floor-labels",
+];
+
+function isPolygonal(geometry) {
+  return (
+    Boolean(geometry) &&
+    (geometry.type === "Polygon" || geometry.type === "MultiPolygon")
+  );
+}
+
+// Vector tiles only hold strings, numbers and booleans, and no empty values.
+function tileFeature(geometry, properties) {
+  const out = {};
+  for (const [key, value] of Object.entries(properties))
+    if (value != null && typeof value !== "object") out[key] = value;
+  return { type: "Feature", geometry, properties: out };
+}
+
+/**
+ * The building layers of one village as FeatureCollections.
+ * buildings, layouts: features as returned by the store.
+ * propertyIdOf(props): the id owner entries are keyed by.
+ */
+function buildingLayers(buildings, layouts, propertyIdOf) {
+  const layoutByBid = {};
+  for (const f of layouts || []) {
+    if (f.properties && f.properties.bounds)
+      layoutByBid[String(f.properties.BID)] = f.properties;
+  }
+
+  const out = {};
+  for (const name of BUILDING_LAYERS) out[name] = [];
+  for (const building of buildings) {
+    const props = (building && building.properties) || {};
+    if (!isPolygonal(building.geometry)) continue;
+    const { BID } = props;
+    const { floors, height, floorHeight } = floorHeights(props);
+    const layout = layoutByBid[String(BID)] || null;
+    const centroid = turf.centroid(building).geometry.coordinates;
+    const apartmentCounts =
+      props.apartmentCounts && typeof props.apartmentCounts === "object"
+        ? props.apartmentCounts
+        : {};
+    const band = Math.max(0.3, floorHeight * 0.08);
+
+    out.buildings.push(
+      tileFeature(building.geometry, {
+        BID,
+        NAME: props.NAME,
+        building_type: props.building_type,
+        height,
+        floors,
+        original_id: props.original_id,
+        village_code: props.village_code,
+        propertyId: propertyIdOf(props),
+      })
+    );
+    for (let floor = 1; floor <= floors; floor++) {
+      const level = floorHeight * floor;
+      out.floors.push(
+        tileFeature(building.geometry, {
+          BID,
+          floor,
+          base: floorHeight * (floor - 1),
+          top: level,
+          height: floorHeight,
+          apartmentCount: Math.max(
+            1,
+            parseInt(apartmentCounts[floor] || 1, 10)
+          ),
+          ulpin: floorUlpin(layout, centroid, floor),
+        })
+      );
+      out["floor-labels"].push(
+        tileFeature(
+          { type: "Point", coordinates: centroid },
+          { BID, floor, height: level }
+        )
+      );
+      if (floor < floors)
+        out["floor-separators"].push(
+          tileFeature(building.geometry, {
+            BID,
+            floor,
+            base: Math.max(0, level - band / 2),
+            top: Math.min(height, level + band / 2),
+          })
+        );
+    }
+  }
+  for (const name of BUILDING_LAYERS)
+    out[name] = { type: "FeatureCollection", features: out[name] };
+  return out;
+}
+
+function fieldType(value) {
+  return typeof value === "number"
+    ? "Number"
+    : typeof value === "boolean"
+      ? "Boolean"
+      : "String";
+}
+
+// TileJSON vector_layers entry listing the attributes found on the layer.
+function vectorLayer(id, features) {
+  const fields = {};
+  for (const f of features)
+    for (const [key, value] of Object.entries(f.properties || {}))
+      if (!(key in fields)) fields[key] = fieldType(value);
+  return { id, fields, minzoom: 0, maxzoom: MAX_ZOOM };
+}
+
+/**
+ * parcelsOf(code):   the village's parcel features.
+ * buildingsOf(code): resolves to { buildings, layouts } (feature arrays) of
+ *                    the village.
+ * propertyIdOf(props): as for buildingLayers.
+ * maxTiles:          encoded tiles kept in memory across villages.
+ */
+function createTileServer({
+  parcelsOf,
+  buildingsOf,
+  propertyIdOf,
+  maxTiles = 5000,
+}) {
+  const parcelIndexes = new Map();
+  const buildingIndexes = new Map();
+  // Villages whose building index is still being built.
+  const pending = new Set();
+  // BID → village whose building index last held it.
+  const tiledIn = new Map();
+  const parcelGeneration = new Map();
+  const buildingGeneration = new Map();
+  // Generations restart with the process; this keeps the URLs apart.
+  const bootId = Date.now().toString(36);
+  // Insertion order doubles as least-recently-used order.
+  const tiles = new Map();
+
+  function version(code) {
+    return [
+      bootId,
+      parcelGeneration.get(code) || 1,
+      buildingGeneration.get(code) || 1,
+    ].join(".");
+  }
+
+  function parcelIndex(code) {
+    if (!parcelIndexes.has(code)) {
+      const features = parcelsOf(code)
+        .filter((f) => isPolygonal(f.geometry))
+        .map((f) => tileFeature(f.geometry, f.properties || {}));
+      parcelIndexes.set(code, {
+        features,
+        index: geojsonvt(
+          { type: "FeatureCollection", features },
+          INDEX_OPTIONS
+        ),
+      });
+    }
+    return parcelIndexes.get(code);
+  }
+
+  function buildingIndex(code) {
+    if (!buildingIndexes.has(code)) {
+      const building = buildingsOf(code).then(({ buildings, layouts }) => {
+        for (const f of buildings)
+          if (f && f.properties) tiledIn.set(String(f.properties.BID), code);
+        const layers = buildingLayers(buildings, layouts, propertyIdOf);
+        const indexes = {};
+        for (const name of BUILDING_LAYERS)
+          indexes[name] = {
+            features: layers[name].features,
+            index: geojsonvt(layers[name], INDEX_OPTIONS),
+          };
+        return indexes;
+      });
+      buildingIndexes.set(code, building);
+      pending.add(code);
+      building.then(
+        () => {
+          if (buildingIndexes.get(code) === building) pending.delete(code);
+        },
+        () => {
+          if (buildingIndexes.get(code) !== building) return;
+          buildingIndexes.delete(code);
+          pending.delete(code);
+        }
+      );
+    }
+    return buildingIndexes.get(code);
+  }
+
+  async function layers(code) {
+    return { parcels: parcelIndex(code), ...(await buildingIndex(code)) };
+  }
+
+  /**
+   * Resolves to the encoded tile (empty when nothing falls in it). z, x and
+   * y must already be checked to be a tile of the pyramid.
+   */
+  async function tile(code, z, x, y) {
+    const key = `${code}/${version(code)}/${z}/${x}/${y}`;
+    if (tiles.has(key)) {
+      const cached = tiles.get(key);
+      tiles.delete(key);
+      tiles.set(key, cached);
+      return cached;
+    }
+    const found = {};
+    for (const [name, { index }] of Object.entries(await layers(code))) {
+      const t = index.getTile(z, x, y);
+      if (t && t.features.length) found[name] = t;
+    }
+    const buffer = Buffer.from(vtpbf.fromGeojsonVt(found, { version: 2 }));
+    tiles.set(key, buffer);
+    if (tiles.size > maxTiles) tiles.delete(tiles.keys().next().value);
+    return buffer;
+  }
+
+  // TileJSON 3.0 for a village; tileUrl is the tile URL template.
+  async function tileJson(village, tileUrl) {
+    const all = await layers(village.code);
+    return {
+      tilejson: "3.0.0",
+      name: village.name,
+      scheme: "xyz",
+      tiles: [tileUrl],
+      minzoom: 0,
+      maxzoom: MAX_ZOOM,
+      bounds: village.bbox,
+      vector_layers: Object.entries(all).map(([name, { features }]) =>
+        vectorLayer(name, features)
+      ),
+    };
+  }
+
+  function dropTiles(code) {
+    for (const key of [...tiles.keys()])
+      if (key.startsWith(`${code}/`)) tiles.delete(key);
+  }
+
+  // After the buildings or layouts of a village changed.
+  function invalidateBuildings(code) {
+    buildingGeneration.set(code, (buildingGeneration.get(code) || 1) + 1);
+    buildingIndexes.delete(code);
+    pending.delete(code);
+    dropTiles(code);
+  }
+
+  /**
+   * After building bid or its layout changed. code is the building's
+   * village now, when known; the village the tiles last showed it in is
+   * invalidated as well (it may have moved or been deleted), and so are
+   * indexes still being built, which may have read it before the change.
+   */
+  function invalidateBuilding(bid, code) {
+    const codes = new Set(pending);
+    if (code != null) codes.add(code);
+    if (tiledIn.has(String(bid))) codes.add(tiledIn.get(String(bid)));
+    for (const c of codes) invalidateBuildings(c);
+  }
+
+  // After a village's parcel map was (re)registered.
+  function invalidateParcels(code) {
+    parcelGeneration.set(code, (parcelGeneration.get(code) || 1) + 1);
+    parcelIndexes.delete(code);
+    dropTiles(code);
+  }
+
+  return {
+    version,
+    tile,
+    tileJson,
+    invalidateBuildings,
+    invalidateBuilding,
+    invalidateParcels,
+  };
+}
+
+module.exports = { MAX_ZOOM, buildingLayers, createTileServer };
@@ -0,0 +1,204 @@
+/** -------------- VILLAGES --------------
+ * Each village is the cadastral parcel map of one revenue village, registered
+ * from its shapefile (POST /api/villages) and described by the parcels'
+ * DIST_NM / SUBDIV_NM / VILL_NM / VIL_CO_NIC attributes:
+ *
+ *   { code, name, subdivision, district, bbox, parcelCount, legacy,
+ *     createdAt, createdBy }
+ *
+ * code is VIL_CO_NIC, or the census code VILL_CEN_C when that is blank.
+ * Parcels are served with properties.village_code set, and buildings drawn
+ * or imported on them keep it, so buildings, their layouts (keyed by BID)
+ * and their owner entries belong to one village.
+ *
+ * The bundled GeojsonVillage/TilangpurKotla_Village.geojson is always
+ * registered, as the legacy village: buildings without a village_code are
+ * in it, and its property ids stay the bare parcel id (or "B-<BID>") that
+ * owner entries and issued cards were keyed by before villages existed. In
+ * every other village the property id is "<code>:<id>".
+ **/
+const fs = require("fs");
+const turf = require("@turf/turf");
+
+const ATTRIBUTES = ["DIST_NM", "SUBDIV_NM", "VILL_NM"];
+const CODE_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+function isPolygon(feature) {
+  const type = feature && feature.geometry && feature.geometry.type;
+  return type === "Polygon" || type === "MultiPolygon";
+}
+
+function text(value) {
+  return value == null ? "" : String(value).trim();
+}
+
+// Parcels tagged with the village they belong to.
+function tagParcels(features, code) {
+  return features.filter(isPolygon).map((f) => ({
+    ...f,
+    properties: { ...(f.properties || {}), village_code: code },
+  }));
+}
+
+/**
+ * Village record for a parcel map. code overrides the one in the
+ * attributes. Returns { village } (without createdAt/createdBy) or { error }.
+ */
+function describeVillage(features, { code } = {}) {
+  const parcels = (features || []).filter(isPolygon);
+  if (!parcels.length) return { error: "File contains no parcel polygons" };
+
+  const values = (key) =>
+    new Set(parcels.map((f) => text(f.properties && f.properties[key])));
+  for (const key of ATTRIBUTES) {
+    const found = [...values(key)];
+    if (found.length === 1 && !found[0])
+      return { error: `Parcels have no ${key} attribute` };
+    if (found.length > 1)
+      return {
+        error: `Parcels belong to more than one village (${key}: ${found
+          .filter(Boolean)
+          .join(", ")})`,
+      };
+  }
+
+  const first = parcels[0].properties;
+  const village = {
+    code:
+      text(code) ||
+      text(first.VIL_CO_NIC) ||
+      text(first.VILL_CEN_C) ||
+      text(first.VILL_ID),
+    name: text(first.VILL_NM),
+    subdivision: text(first.SUBDIV_NM),
+    district: text(first.DIST_NM),
+    bbox: turf.bbox({ type: "FeatureCollection", features: parcels }),
+    parcelCount: parcels.length,
+  };
+  if (!village.code)
+    return { error: "Parcels have no VIL_CO_NIC code; pass one as code" };
+  if (!CODE_PATTERN.test(village.code))
+    return {
+      error: "Village code may only hold letters, digits, _ and - (max 32)",
+    };
+  const [minX, minY, maxX, maxY] = village.bbox;
+  if (minX < -180 || maxX > 180 || minY < -90 || maxY > 90)
+    return {
+      error: "Parcels are not in longitude/latitude; include the .prj file",
+    };
+  return { village };
+}
+
+/**
+ * Keeps every village and its parcels in memory; the store holds the
+ * registered ones and legacyFile the bundled map. Call init() before use.
+ */
+function createVillageRegistry({ store, legacyFile }) {
+  const byCode = new Map();
+  let legacyCode = null;
+
+  function add(village, parcels) {
+    byCode.set(village.code, {
+      village,
+      parcels: tagParcels(parcels, village.code),
+    });
+  }
+
+  async function init() {
+    byCode.clear();
+    try {
+      const parsed = JSON.parse(fs.readFileSync(legacyFile, "utf8") || "{}");
+      const features = Array.isArray(parsed.features) ? parsed.features : [];
+      const described = describeVillage(features);
+      if (described.error) throw new Error(described.error);
+      legacyCode = described.village.code;
+      add({ ...described.village, legacy: true }, features);
+    } catch (err) {
+      console.warn("Failed to read village parcels:", err.message);
+    }
+    for (const village of await store.listVillages()) {
+      if (village.code === legacyCode) continue;
+      add(village, (await store.getVillageParcels(village.code)) || []);
+    }
+  }
+
+  // Legacy village first, the others by name.
+  function list() {
+    return [...byCode.values()]
+      .map((v) => v.village)
+      .sort(
+        (a, b) =>
+          Number(!!b.legacy) - Number(!!a.legacy) ||
+          a.name.localeCompare(b.name)
+      );
+  }
+
+  function get(code) {
+    const found = byCode.get(String(code));
+    return found ? found.village : null;
+  }
+
+  // Village code of a building's properties.
+  function codeOf(props = {}) {
+    return props.village_code || legacyCode;
+  }
+
+  // Property id of a parcel id or "B-<BID>" in the given village.
+  function propertyId(code, id) {
+    const village = get(code || legacyCode);
+    return village && !village.legacy ? `${village.code}:${id}` : id;
+  }
+
+  // Parcels of one village, or of all of them without a code.
+  function parcels(code) {
+    if (code != null) {
+      const found = byCode.get(String(code));
+      return found ? found.parcels : [];
+    }
+    return [...byCode.values()].flatMap((v) => v.parcels);
+  }
+
+  /**
+   * Registers the parcel map of a new village. Resolves to { village } or
+   * { status, error }: 400 for an unusable map, 409 when the code is
+   * already registered and replace is not set (the legacy village can never
+   * be replaced).
+   */
+  async function register(features, { code, replace, createdBy } = {}) {
+    const described = describeVillage(features, { code });
+    if (described.error) return { status: 400, error: described.error };
+    const existing = get(described.village.code);
+    if (existing && (existing.legacy || !replace))
+      return {
+        status: 409,
+        error: `Village ${described.village.code} is already registered`,
+      };
+
+    const village = {
+      ...described.village,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+      createdBy: existing ? existing.createdBy : createdBy || null,
+      ...(existing ? { updatedAt: new Date().toISOString() } : {}),
+    };
+    const tagged = tagParcels(features, village.code);
+    await store.saveVillage(village, {
+      type: "FeatureCollection",
+      features: tagged,
+    });
+    add(village, tagged);
+    return { village };
+  }
+
+  return {
+    init,
+    list,
+    get,
+    codeOf,
+    propertyId,
+    parcels,
+    register,
+    legacyCode: () => legacyCode,
+  };
+}
+
+module.exports = { describeVillage, createVillageRegistry };
@@ -0,0 +1,65 @@
+/** -------------- CLEAN UP ORPHANED UPLOADS --------------
+ * Lists image files in upload/ that no stored owner entry version refers to
+ * (see lib/media.js), skipping anything modified in the last 24 hours since
+ * images are uploaded before their entry is saved. Only lists them unless
+ * --delete is given.
+ *
+ *   npm run cleanup-media
+ *   npm run cleanup-media -- --delete [--grace-hours=48]
+ **/
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+const { loadPiiKey, createPiiCodec } = require("../lib/pii");
+const { createMediaStore } = require("../lib/media");
+
+function option(name) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : null;
+}
+
+async function main() {
+  const root = path.join(__dirname, "..");
+  const dataDir = path.join(root, "data");
+  const pii = createPiiCodec(loadPiiKey({ dataDir }));
+  const store = createStorage({ dataDir });
+  const media = createMediaStore({
+    store,
+    uploadDir: path.join(root, "upload"),
+  });
+  const graceHours = Number(option("grace-hours") ?? 24);
+  if (!(graceHours >= 0)) throw new Error("--grace-hours must be a number");
+
+  try {
+    await store.init();
+    // Older entries may still hold an uploaded signature, now encrypted.
+    const entries = await store.getAllEntries();
+    for (const key of Object.keys(entries))
+      entries[key] = entries[key].map((record) => ({
+        ...record,
+        entry: pii.decryptEntry(record.entry),
+      }));
+
+    const orphans = await media.findOrphans(entries, {
+      graceMs: graceHours * 3600 * 1000,
+    });
+    const bytes = orphans.reduce((sum, o) => sum + o.bytes, 0);
+    for (const o of orphans)
+      console.log(`${o.modifiedAt}  ${String(o.bytes).padStart(9)}  ${o.name}`);
+    console.log(
+      `${orphans.length} orphaned file(s), ${(bytes / 1048576).toFixed(1)} MB`
+    );
+
+    if (!process.argv.includes("--delete")) {
+      if (orphans.length) console.log("Run again with --delete to remove them");
+      return;
+    }
+    console.log(`Removed ${await media.removeOrphans(orphans)} file(s)`);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("cleanup-media failed:", err.message);
+  process.exit(1);
+});
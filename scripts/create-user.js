@@ -0,0 +1,60 @@
+/** -------------- CREATE OR UPDATE A LOGIN --------------
+ * Writes a user to the configured storage backend. Use it to create the
+ * first admin; admins can add further users through POST /api/users.
+ *
+ *   npm run create-user -- <username> <viewer|surveyor|reviewer|admin> [--pii-access]
+ *
+ * --pii-access lets the user request unmasked owner PII (see lib/pii.js).
+ * The password is read from $PASSWORD, or prompted for.
+ **/
+const path = require("path");
+const readline = require("readline");
+const { createStorage } = require("../lib/storage");
+const { ROLES, hashPassword } = require("../lib/auth");
+
+function askPassword() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+  });
+  return new Promise((resolve) =>
+    rl.question("Password: ", (answer) => {
+      rl.close();
+      resolve(answer);
+    })
+  );
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const piiAccess = args.includes("--pii-access");
+  const [username, role] = args.filter((a) => !a.startsWith("--"));
+  if (!username || !ROLES.includes(role))
+    throw new Error(
+      `usage: create-user <username> <${ROLES.join("|")}> [--pii-access]`
+    );
+
+  const password = process.env.PASSWORD || (await askPassword());
+  if (!password) throw new Error("password required");
+
+  const store = createStorage({ dataDir: path.join(__dirname, "..", "data") });
+  try {
+    await store.init();
+    const existing = await store.getUser(username);
+    await store.saveUser({
+      username,
+      role,
+      passwordHash: hashPassword(password),
+      piiAccess,
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    });
+    console.log(`${existing ? "Updated" : "Created"} ${role} "${username}"`);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("create-user failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,33 @@
+/** -------------- ENCRYPT EXISTING OWNER PII --------------
+ * Entries saved before lib/pii.js hold Aadhaar/mobile numbers, ID documents
+ * and signatures in plaintext. This encrypts them in every stored version
+ * and redacts them from the recorded diffs. Safe to run more than once.
+ *
+ *   PII_KEY=... npm run encrypt-pii
+ **/
+const path = require("path");
+const { createStorage } = require("../lib/storage");
+const { loadPiiKey, createPiiCodec } = require("../lib/pii");
+const { redactDiff } = require("../lib/entryHistory");
+
+async function main() {
+  const dataDir = path.join(__dirname, "..", "data");
+  const pii = createPiiCodec(loadPiiKey({ dataDir }));
+  const store = createStorage({ dataDir });
+  try {
+    await store.init();
+    const count = await store.rewriteEntryVersions((record) => ({
+      ...record,
+      entry: pii.encryptEntry(record.entry),
+      diff: redactDiff(record.diff),
+    }));
+    console.log(`Encrypted PII in ${count} entry versions`);
+  } finally {
+    await store.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("encrypt-pii failed:", err.message);
+  process.exit(1);
+});
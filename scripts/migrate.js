@@ -0,0 +1,47 @@
+/** -------------- ONE-SHOT JSON → POSTGRES MIGRATION --------------
+ * Applies lib/storage/schema.sql and replaces the database contents with
+ * the current data/*.json files in a single transaction.
+ *
+ *   DATABASE_URL=postgres://localhost/ulpin npm run migrate
+ **/
+const path = require("path");
+const { createJsonStore, createPgStore } = require("../lib/storage");
+
+async function main() {
+  const source = createJsonStore({
+    dataDir: path.join(__dirname, "..", "data"),
+  });
+  const target = createPgStore({
+    connectionString: process.env.DATABASE_URL,
+  });
+
+  try {
+    await target.init();
+    const counts = await target.importSnapshot({
+      buildings: await source.listBuildings(),
+      floorLayouts: await source.getFloorLayouts(),
+      commonLayouts: await source.getCommonLayouts(),
+      entries: await source.getAllEntries(),
+      users: await source.listUsers(),
+      piiAccessLog: await source.getPiiAccessLog({ limit: Infinity }),
+      media: await source.listMedia(),
+      villages: await Promise.all(
+        (await source.listVillages()).map(async (village) => ({
+          ...village,
+          parcels: {
+            type: "FeatureCollection",
+            features: (await source.getVillageParcels(village.code)) || [],
+          },
+        }))
+      ),
+    });
+    console.log("Imported:", counts);
+  } finally {
+    await target.close();
+  }
+}
+
+main().catch((err) => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/** -------------- LOCAL WEBHOOK RECEIVER --------------
+ * Listens for the webhooks sent by lib/events.js and prints each event after
+ * checking its signature, for trying out a data/webhooks.json entry such as
+ *   [{ "url": "http://localhost:4000/hook", "secret": "dev-secret" }]
+ *
+ *   WEBHOOK_SECRET=dev-secret npm run webhook-receiver
+ *   WEBHOOK_SECRET=dev-secret npm run webhook-receiver -- --port=4000 --fail=2
+ *
+ * --fail=N answers the first N deliveries with 500, to watch the retries.
+ **/
+const http = require("http");
+const { verifySignature } = require("../lib/events");
+
+// Deliveries signed longer ago than this are treated as replays.
+const MAX_AGE_SECONDS = 300;
+
+function option(name, fallback) {
+  const arg = process.argv.find((a) => a.startsWith(`--${name}=`));
+  return arg ? arg.slice(name.length + 3) : fallback;
+}
+
+const secret = process.env.WEBHOOK_SECRET;
+if (!secret) {
+  console.error("webhook-receiver: set WEBHOOK_SECRET to the webhook's secret");
+  process.exit(1);
+}
+const port = Number(option("port", 4000));
+let failures = Number(option("fail", 0));
+
+const server = http.createServer((req, res) => {
+  if (req.method !== "POST") {
+    res.writeHead(405).end();
+    return;
+  }
+  const chunks = [];
+  req.on("data", (chunk) => chunks.push(chunk));
+  req.on("end", () => {
+    const body = Buffer.concat(chunks).toString("utf8");
+    const timestamp = req.headers["x-webhook-timestamp"];
+    const signature = req.headers["x-webhook-signature"];
+    const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+
+    if (!verifySignature(secret, timestamp, body, signature)) {
+      console.log(`✗ bad signature for event ${req.headers["x-event-id"]}`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (!(age <= MAX_AGE_SECONDS)) {
+      console.log(`✗ stale timestamp for event ${req.headers["x-event-id"]}`);
+      res.writeHead(401).end();
+      return;
+    }
+    if (failures > 0) {
+      failures--;
+      console.log(`… failing event ${req.headers["x-event-id"]} on purpose`);
+      res.writeHead(500).end();
+      return;
+    }
+
+    const event = JSON.parse(body);
+    console.log(
+      `✓ ${event.at} ${event.type} #${event.id} by ${event.actor || "?"}`,
+      JSON.stringify(event.data)
+    );
+    res.writeHead(204).end();
+  });
+});
+
+server.listen(port, () =>
+  console.log(`Webhook receiver listening on http://localhost:${port}/`)
+);
@@ -3,10 +3,8 @@ const express = require("express");
 const cors = require("cors");
 const fs = require("fs");
 const path = require("path");
+const { isDeepStrictEqual } = require("util");
 const multer = require("multer");
-const util = require("util");
-const writeFile = util.promisify(fs.writeFile);
-const mkdir = util.promisify(fs.mkdir);
 
 /** -------------- NEW IMPORTS (FOR SHP UPLOAD) -------------- **/
 async function parseShapefile(filePath) {
@@ -17,6 +15,42 @@ async function parseShapefile(filePath) {
 const JSZip = require("jszip");
 const fsPromises = require("fs").promises;
 const turf = require("@turf/turf");
+const ulpin = require("./lib/ulpin");
+const { roomParts, normaliseRoomGeometry } = require("./lib/roomShape");
+const { createStorage } = require("./lib/storage");
+const { versionSummary } = require("./lib/entryHistory");
+const { TRANSITIONS } = require("./lib/entryWorkflow");
+const { ROLES, createAuth, hashPassword, publicUser } = require("./lib/auth");
+const { loadPiiKey, createPiiCodec } = require("./lib/pii");
+const { validateEntry } = require("./lib/entrySchema");
+const { parseImportFile, planImport } = require("./lib/buildingImport");
+const {
+  buildExportLayers,
+  shapefileZip,
+  geojsonZip,
+} = require("./lib/gisExport");
+const { buildCityModel } = require("./lib/cityJson");
+const { createTileServer } = require("./lib/vectorTiles");
+const { KINDS, parseBbox, createSpatialIndex } = require("./lib/spatialSearch");
+const { ISSUE_TYPES, checkConsistency } = require("./lib/consistency");
+const { floorStatement } = require("./lib/layoutAreas");
+const {
+  overrideFloors,
+  layoutForFloor,
+  parseFloorList,
+  diffRooms,
+  diffFloors,
+} = require("./lib/floorOverrides");
+const {
+  cardHash,
+  cardFile,
+  imageFromRef,
+  renderCard,
+} = require("./lib/urproCard");
+const { MAX_BYTES: MEDIA_MAX_BYTES, createMediaStore } = require("./lib/media");
+const { loadWebhooks, createEventBus } = require("./lib/events");
+const { createVillageRegistry } = require("./lib/villages");
+const { surveyProgress, progressCsv } = require("./lib/surveyProgress");
 
 /** -------------- INIT SERVER -------------- **/
 const app = express();
@@ -25,26 +59,86 @@ const PORT = process.env.PORT || 3000;
 /** -------------- DIRECTORIES -------------- **/
 const uploadDir = path.join(__dirname, "upload");
 const dataDir = path.join(__dirname, "data");
-const dataFile = path.join(dataDir, "ownerEntries.json");
-const buildingsFile = path.join(dataDir, "createBuilding.geojson");
-const createBuildingGeoFile = path.join(dataDir, "createBuilding.geojson");
+const cardsDir = path.join(dataDir, "cards");
 
 /** -------------- CREATE DIRECTORIES IF NOT EXISTS -------------- **/
 if (!fs.existsSync(uploadDir)) fs.mkdirSync(uploadDir, { recursive: true });
-if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
-if (!fs.existsSync(dataFile))
-  fs.writeFileSync(dataFile, JSON.stringify({}, null, 2));
-if (!fs.existsSync(buildingsFile))
-  fs.writeFileSync(
-    buildingsFile,
-    JSON.stringify({ type: "FeatureCollection", features: [] }, null, 2)
-  );
+
+/** -------------- PERSISTENCE (see lib/storage) -------------- **/
+const store = createStorage({ dataDir });
+const pii = createPiiCodec(loadPiiKey({ dataDir }));
+const media = createMediaStore({ store, uploadDir });
+
+/** -------------- CHANGE EVENTS (see lib/events.js) -------------- **/
+const events = createEventBus({
+  webhooks: loadWebhooks(
+    process.env.WEBHOOKS_FILE || path.join(dataDir, "webhooks.json")
+  ),
+});
+
+function emitChange(req, type, data) {
+  events.emit(type, data, { actor: entryAuthor(req) });
+}
+
+// Event data naming one owner entry version.
+function entryRef(key, version) {
+  const at = key.lastIndexOf("__F");
+  return {
+    key,
+    propertyId: at === -1 ? key : key.slice(0, at),
+    floor: at === -1 ? null : Number(key.slice(at + 3)),
+    version,
+  };
+}
+
+/** -------------- AUTH (see lib/auth.js) -------------- **/
+const auth = createAuth({ store, secret: process.env.AUTH_SECRET });
+const { requireRole } = auth;
+
+// Cross-origin callers must be listed in CORS_ORIGINS (comma separated).
+const corsOrigins = (process.env.CORS_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
 
 /** -------------- MIDDLEWARES -------------- **/
-app.use(cors());
+app.use(
+  cors({ origin: corsOrigins.length ? corsOrigins : false, credentials: true })
+);
 app.use(express.json({ limit: "25mb" }));
-app.use("/upload", express.static(uploadDir));
-app.use(express.static(__dirname));
+app.use(auth.authenticate);
+
+/** -------------- STATIC FILES -------------- **/
+// The app shell is the only part of the source tree served as files, each
+// one listed here. data/ holds owner PII and password hashes and is only
+// reachable through the API; upload/ through GET /upload/:name below.
+const PUBLIC_FILES = {
+  "/": "index.html",
+  "/index.html": "index.html",
+  "/sw.js": "sw.js",
+  "/lib/ulpin.js": "lib/ulpin.js",
+  "/lib/roomShape.js": "lib/roomShape.js",
+  "/lib/layoutAreas.js": "lib/layoutAreas.js",
+  "/lib/floorOverrides.js": "lib/floorOverrides.js",
+  "/lib/offlineQueue.js": "lib/offlineQueue.js",
+  "/data/logo.jpg": "data/logo.jpg",
+};
+for (const [route, file] of Object.entries(PUBLIC_FILES)) {
+  app.get(route, (req, res) => res.sendFile(path.join(__dirname, file)));
+}
+
+// Uploaded images and files, by the bare name media.js stores them under.
+// The name is checked after Express has decoded it, so encoded slashes or
+// dots cannot lead out of upload/.
+app.get("/upload/:name", requireRole("viewer"), (req, res) => {
+  const { name } = req.params;
+  if (path.basename(name) !== name || name.startsWith("."))
+    return res.status(404).json({ error: "Not found" });
+  res.sendFile(name, { root: uploadDir, dotfiles: "deny" }, (err) => {
+    if (err && !res.headersSent)
+      res.status(err.status || 404).json({ error: "Not found" });
+  });
+});
 
 /** -------------- IMAGE UPLOAD STORAGE -------------- **/
 const storage = multer.diskStorage({
@@ -57,59 +151,6 @@ const storage = multer.diskStorage({
 const upload = multer({ storage });
 
 /** -------------- YOUR EXISTING HELPER FUNCTIONS -------------- **/
-function loadEntries() {
-  try {
-    const raw = fs.readFileSync(dataFile, "utf8");
-    return JSON.parse(raw || "{}");
-  } catch (e) {
-    return {};
-  }
-}
-function saveEntries(data) {
-  fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
-}
-function loadBuildings() {
-  try {
-    const raw = fs.readFileSync(buildingsFile, "utf8");
-    const parsed = JSON.parse(raw || "{}");
-    if (
-      parsed &&
-      parsed.type === "FeatureCollection" &&
-      Array.isArray(parsed.features)
-    )
-      return parsed;
-    return { type: "FeatureCollection", features: [] };
-  } catch (e) {
-    return { type: "FeatureCollection", features: [] };
-  }
-}
-function saveBuildings(fc) {
-  const safe =
-    fc && fc.type === "FeatureCollection" && Array.isArray(fc.features)
-      ? fc
-      : { type: "FeatureCollection", features: [] };
-  fs.writeFileSync(buildingsFile, JSON.stringify(safe, null, 2));
-}
-
-function loadCreateBuildingFeatures() {
-  try {
-    const raw = fs.readFileSync(createBuildingGeoFile, "utf8");
-    const parsed = JSON.parse(raw || "{}");
-    if (parsed?.type === "FeatureCollection" && Array.isArray(parsed.features))
-      return parsed.features;
-  } catch (err) {
-    console.warn("Failed to read createBuilding.geojson:", err.message);
-  }
-  return [];
-}
-
-function getCreateBuildingFeature(bid) {
-  const list = loadCreateBuildingFeatures();
-  return list.find(
-    (feature) => feature?.properties && Number(feature.properties.BID) === bid
-  );
-}
-
 function boundsFromBbox(bbox) {
   if (!Array.isArray(bbox) || bbox.length < 4) return null;
   const [minLon, minLat, maxLon, maxLat] = bbox;
@@ -117,6 +158,16 @@ function boundsFromBbox(bbox) {
   return { minLon, minLat, maxLon, maxLat };
 }
 
+function hasLonLatCoords(feature) {
+  try {
+    return turf
+      .coordAll(feature)
+      .every(([lon, lat]) => Math.abs(lon) <= 180 && Math.abs(lat) <= 90);
+  } catch (e) {
+    return false;
+  }
+}
+
 function normPropLookup(props = {}, key) {
   const lowered = key.toLowerCase();
   for (const [k, value] of Object.entries(props)) {
@@ -125,8 +176,11 @@ function normPropLookup(props = {}, key) {
   return undefined;
 }
 
-function roomsFromFloorLayouts(bid) {
-  const layouts = loadFloorLayouts();
+// Common-layout rooms from the apartment grids in floorLayouts.json: the
+// lowest floor with rooms becomes the template, and every other floor whose
+// rooms differ from it a floor override (see lib/floorOverrides.js).
+async function templateFromFloorLayouts(bid, author) {
+  const layouts = await store.getFloorLayouts();
   const prefix = `${bid}_floor_`;
   const entries = Object.entries(layouts || {})
     .filter(([key]) => key.startsWith(prefix))
@@ -135,9 +189,10 @@ function roomsFromFloorLayouts(bid) {
       return toNum(a[0]) - toNum(b[0]);
     });
 
-  const rooms = [];
+  const byFloor = [];
   for (const [key, value] of entries) {
     const floorNumber = key.split("_floor_")[1] || "1";
+    const rooms = [];
     const apartments = value?.apartments || {};
     for (const [aptKey, aptData] of Object.entries(apartments)) {
       const grid = aptData?.grid || { cols: 10, rows: 10 };
@@ -152,12 +207,9 @@ function roomsFromFloorLayouts(bid) {
           height: (room?.height || 0) / rows,
         };
         rooms.push({
-          id:
-            room?.id ||
-            `floor-${floorNumber}-apt-${aptKey}-room-${idx}-${Date.now()}`,
+          id: room?.id || `floor-${floorNumber}-apt-${aptKey}-room-${idx}`,
           type: room?.type || "room",
-          name:
-            room?.name || `Floor ${floorNumber} Apt ${aptKey} Room ${idx + 1}`,
+          name: room?.name || `Apt ${aptKey} Room ${idx + 1}`,
           bounds,
           polygon: null,
           pniu: room?.pniu || {
@@ -167,46 +219,336 @@ function roomsFromFloorLayouts(bid) {
         });
       });
     }
-    if (rooms.length) break;
+    if (rooms.length) byFloor.push({ floor: Number(floorNumber), rooms });
+  }
+  if (!byFloor.length) return { rooms: [], floorOverrides: {} };
+
+  const [template, ...others] = byFloor;
+  const withoutIds = (rooms) => rooms.map(({ id, ...room }) => room);
+  const floorOverrides = {};
+  for (const { floor, rooms } of others) {
+    const diff = diffRooms(withoutIds(template.rooms), withoutIds(rooms));
+    if (diff.added.length || diff.removed.length || diff.changed.length)
+      floorOverrides[floor] = {
+        rooms,
+        updatedAt: new Date().toISOString(),
+        updatedBy: author,
+      };
   }
-  return rooms;
+  return { rooms: template.rooms, floorOverrides };
 }
 
-/** -------------- IMAGE UPLOAD ROUTES -------------- **/
-app.post("/api/upload-image", upload.single("file"), (req, res) => {
-  if (!req.file) return res.status(400).json({ error: "No file uploaded" });
-  return res.json({ url: `/upload/${req.file.filename}` });
+/** -------------- PARCEL HELPERS (see lib/villages.js) -------------- **/
+const villages = createVillageRegistry({
+  store,
+  legacyFile: path.join(
+    __dirname,
+    "GeojsonVillage",
+    "TilangpurKotla_Village.geojson"
+  ),
 });
 
-app.post("/api/upload-data-url", (req, res) => {
+// Parcels of one village, or of every registered village without a code.
+function loadVillageParcels(code) {
+  return villages.parcels(code);
+}
+
+// Returns { parcel } when the footprint is a valid polygon lying inside a
+// village parcel, otherwise { error } describing why it was rejected. The
+// parcel's properties.village_code names its village.
+function validateBuildingFootprint(geometry) {
+  if (
+    !geometry ||
+    (geometry.type !== "Polygon" && geometry.type !== "MultiPolygon")
+  )
+    return { error: "geometry must be a Polygon or MultiPolygon" };
+
+  const footprint = { type: "Feature", geometry, properties: {} };
   try {
-    const { dataUrl, filename } = req.body || {};
-    if (!dataUrl || typeof dataUrl !== "string") {
-      return res.status(400).json({ error: "dataUrl required" });
+    if (!turf.booleanValid(footprint))
+      return { error: "Building footprint is not a valid polygon" };
+    if (turf.kinks(footprint).features.length)
+      return { error: "Building footprint is self-intersecting" };
+  } catch (e) {
+    return { error: "Building footprint is not a valid polygon" };
+  }
+
+  const parcel = loadVillageParcels().find((p) => {
+    try {
+      return turf.booleanWithin(footprint, p);
+    } catch (e) {
+      return false;
     }
-    const match = dataUrl.match(/^data:(image\/[a-zA-Z0-9+.-]+);base64,(.+)$/);
-    if (!match) return res.status(400).json({ error: "Invalid dataUrl" });
+  });
+  if (!parcel)
+    return { error: "Building footprint must lie inside a village parcel" };
+  return { parcel };
+}
 
-    const mime = match[1];
-    const base64 = match[2];
-    const ext = mime.split("/")[1] || "png";
-    const safeName = (filename || `image-${Date.now()}.${ext}`).replace(
-      /[^a-zA-Z0-9_.-]/g,
-      "_"
-    );
+// Common layout feature → { bounds, rooms } as the ULPIN helpers expect.
+// Pass the result through layoutForFloor() for the rooms of a given floor.
+function layoutFromCommonFeature(feature) {
+  if (!feature || !feature.properties) return null;
+  return {
+    bounds: feature.properties.bounds || null,
+    rooms: Array.isArray(feature.properties.rooms)
+      ? feature.properties.rooms
+      : [],
+    floorOverrides: feature.properties.floorOverrides || {},
+  };
+}
 
-    const finalName = `${Date.now()}-${safeName}`;
-    const filePath = path.join(uploadDir, finalName);
+// Parcel id a building was drawn on. Buildings drawn on a parcel without
+// one carry "N/A", which is no id at all.
+function buildingParcelId(props = {}) {
+  return props.original_id && props.original_id !== "N/A"
+    ? props.original_id
+    : null;
+}
 
-    fs.writeFileSync(filePath, Buffer.from(base64, "base64"));
-    return res.json({ url: `/upload/${finalName}` });
+// Owner entries are keyed by the same property id the info panel uses,
+// qualified by the village code outside the legacy village.
+function buildingPropertyId(props = {}) {
+  return villages.propertyId(
+    props.village_code,
+    buildingParcelId(props) || `B-${String(props.BID).padStart(3, "0")}`
+  );
+}
+
+// Owner entries of a bare plot are keyed by the parcel id.
+function parcelPropertyId(props = {}) {
+  return props.IDS ? villages.propertyId(props.village_code, props.IDS) : null;
+}
+
+// Keeps the features in the ?village= village, when one is given.
+function inVillage(req, features) {
+  const code = req.query.village;
+  if (code == null || code === "") return features;
+  return features.filter(
+    (f) => villages.codeOf((f && f.properties) || {}) === String(code)
+  );
+}
+
+// BIDs (as strings) of the ?village= buildings, or null without one.
+async function villageBids(req) {
+  if (req.query.village == null || req.query.village === "") return null;
+  const { features } = await store.listBuildings();
+  return new Set(inVillage(req, features).map((f) => String(f.properties.BID)));
+}
+
+// ULPIN of one floor: from the common layout when it has bounds, otherwise
+// from the footprint centroid.
+function buildingFloorUlpin(building, layout, floor) {
+  if (layout && layout.bounds)
+    return ulpin.computeFloorPniuFromLayout(layout, floor);
+  const centroid = turf.centroid(building).geometry.coordinates;
+  return ulpin.ulpinGenerator(
+    centroid[0],
+    centroid[1],
+    ulpin.ulpinFloorIndex(floor)
+  );
+}
+
+/** -------------- AUTH ROUTES -------------- **/
+app.post("/api/auth/login", async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    if (!username || !password)
+      return res.status(400).json({ error: "username and password required" });
+
+    const user = await auth.login(username, password);
+    if (!user)
+      return res.status(401).json({ error: "Invalid username or password" });
+
+    const token = auth.issueToken(user);
+    auth.setSessionCookie(res, token);
+    return res.json({ ok: true, user: publicUser(user), token });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to log in" });
+  }
+});
+
+app.post("/api/auth/logout", (req, res) => {
+  auth.clearSessionCookie(res);
+  return res.json({ ok: true });
+});
+
+app.get("/api/auth/me", requireRole("viewer"), (req, res) => {
+  return res.json({ user: req.user });
+});
+
+app.get("/api/pii-access-log", requireRole("admin"), async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 100, 1000);
+    return res.json({ log: await store.getPiiAccessLog({ limit }) });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read PII access log" });
+  }
+});
+
+app.get("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    const users = await store.listUsers();
+    return res.json({ users: users.map(publicUser) });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read users" });
+  }
+});
+
+// Creates a user, or changes an existing user's role, password or piiAccess.
+app.post("/api/users", requireRole("admin"), async (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    if (!username || !ROLES.includes(role))
+      return res
+        .status(400)
+        .json({ error: `username and role (${ROLES.join(", ")}) required` });
+
+    const existing = await store.getUser(username);
+    if (!existing && !password)
+      return res.status(400).json({ error: "password required" });
+
+    const user = await store.saveUser({
+      username,
+      role,
+      passwordHash: password ? hashPassword(password) : existing.passwordHash,
+      piiAccess:
+        typeof req.body.piiAccess === "boolean"
+          ? req.body.piiAccess
+          : Boolean(existing && existing.piiAccess),
+      createdAt: existing ? existing.createdAt : new Date().toISOString(),
+    });
+    return res.json({ ok: true, user: publicUser(user) });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to save user" });
+  }
+});
+
+/** -------------- IMAGE UPLOAD ROUTES (see lib/media.js) -------------- **/
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MEDIA_MAX_BYTES },
+}).single("file");
+
+// multer's size limit surfaces as an error; answer it like the media store.
+function receiveImage(req, res, next) {
+  imageUpload(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE")
+      return res.status(413).json({
+        error: `Image is larger than ${Math.round(MEDIA_MAX_BYTES / 1048576)} MB`,
+      });
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+}
+
+// Both resolve to the media record with url, webUrl and thumbUrl; an
+// identical image already stored is returned rather than written again.
+app.post(
+  "/api/upload-image",
+  requireRole("surveyor"),
+  receiveImage,
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "No file uploaded" });
+      const result = await media.ingest(req.file.buffer, {
+        uploadedBy: entryAuthor(req),
+      });
+      if (result.error)
+        return res.status(result.status).json({ error: result.error });
+      return res.json(result.media);
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to save image" });
+    }
+  }
+);
+
+app.post("/api/upload-data-url", requireRole("surveyor"), async (req, res) => {
+  try {
+    const { dataUrl } = req.body || {};
+    if (!dataUrl || typeof dataUrl !== "string") {
+      return res.status(400).json({ error: "dataUrl required" });
+    }
+    const result = await media.ingestDataUrl(dataUrl, {
+      uploadedBy: entryAuthor(req),
+    });
+    if (result.error)
+      return res.status(result.status).json({ error: result.error });
+    return res.json(result.media);
   } catch (e) {
     return res.status(500).json({ error: "Failed to save image" });
   }
 });
 
+// A stored image's details, including the entry versions that use it.
+app.get("/api/media/:hash", requireRole("viewer"), async (req, res) => {
+  try {
+    const record = await store.getMedia(req.params.hash);
+    if (!record) return res.status(404).json({ error: "Media not found" });
+    return res.json(media.present(record));
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read media" });
+  }
+});
+
 /** -------------- OWNER ENTRY ROUTES -------------- **/
-app.post("/api/save-entry", (req, res) => {
+// `key`, or `propertyId` + `floor`, as sent by the owner entry UI.
+function entryKeyFrom(src = {}) {
+  return (
+    src.key ||
+    (src.propertyId && src.floor ? `${src.propertyId}__F${src.floor}` : null)
+  );
+}
+
+function entryAuthor(req) {
+  return req.user ? req.user.username : "anonymous";
+}
+
+// Owner PII (see lib/pii.js) is masked unless `unmask=1` is requested by a
+// user granted piiAccess. Every unmasked response is written to the log.
+function wantsUnmasked(req) {
+  return req.query.unmask === "1" || req.query.unmask === "true";
+}
+
+function checkUnmask(req, res, next) {
+  if (wantsUnmasked(req) && !req.user.piiAccess)
+    return res
+      .status(403)
+      .json({ error: "Not permitted to view unmasked owner details" });
+  next();
+}
+
+// Highest floor among the buildings sharing the property id; a bare plot
+// has only the ground floor.
+async function propertyMaxFloor(propertyId) {
+  const { features } = await store.listBuildings();
+  const floors = features
+    .filter((f) => buildingPropertyId(f.properties || {}) === propertyId)
+    .map((f) => Number(f.properties.floors) || 1);
+  return floors.length ? Math.max(...floors) : 1;
+}
+
+async function presentVersions(req, key, records) {
+  if (!wantsUnmasked(req))
+    return records.map((r) => ({ ...r, entry: pii.maskEntry(r.entry) }));
+
+  const shown = records.map((r) => ({
+    ...r,
+    entry: pii.decryptEntry(r.entry),
+  }));
+  const fields = [...new Set(shown.flatMap((r) => pii.presentFields(r.entry)))];
+  if (fields.length)
+    await store.appendPiiAccess({
+      at: new Date().toISOString(),
+      user: req.user.username,
+      key,
+      versions: records.map((r) => r.version),
+      fields,
+    });
+  return shown;
+}
+
+app.post("/api/save-entry", requireRole("surveyor"), async (req, res) => {
   try {
     const body = req.body || {};
     const key =
@@ -219,95 +561,1184 @@ app.post("/api/save-entry", (req, res) => {
     if (!key || !entry)
       return res.status(400).json({ error: "key and entry required" });
 
-    const data = loadEntries();
-    if (!Array.isArray(data[key])) data[key] = [];
-    data[key].push(entry);
+    const meta = (entry && entry.meta) || {};
+    const errors = validateEntry(entry, {
+      maxFloor: await propertyMaxFloor(meta.propertyId),
+    });
+    if (!errors.length && key !== `${meta.propertyId}__F${meta.ownerFloorNo}`)
+      errors.push({
+        field: "meta.propertyId",
+        message: "Does not match the property and floor being saved",
+      });
+    if (errors.length)
+      return res.status(400).json({ error: "Entry failed validation", errors });
+
+    // baseVersion is the latest version the form was filled against (0 for
+    // a new entry). Saves queued offline can arrive after someone else's, so
+    // a mismatch is reported unless the surveyor chose to keep theirs.
+    if (body.baseVersion != null && !body.force) {
+      const versions = await store.getEntryVersions(key);
+      const latest = versions[versions.length - 1] || null;
+      if ((latest ? latest.version : 0) !== Number(body.baseVersion))
+        return res.status(409).json({
+          error: "Entry was changed on the server",
+          key,
+          baseVersion: Number(body.baseVersion),
+          latest: latest && versionSummary(latest),
+        });
+    }
+
+    // Inline images (photos, map captures) move to the media store.
+    const images = await media.ingestEntryImages(entry, {
+      uploadedBy: entryAuthor(req),
+    });
+    if (images.errors.length)
+      return res
+        .status(400)
+        .json({ error: "Entry failed validation", errors: images.errors });
+
+    const record = await store.appendEntry(
+      key,
+      pii.encryptEntry(images.entry),
+      { author: entryAuthor(req) }
+    );
+    await media.linkEntry(key, record.version, images.entry);
+    emitChange(req, "entry.saved", entryRef(key, record.version));
+
+    return res.json({ ok: true, version: record.version });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to save entry" });
+  }
+});
+
+app.get(
+  "/api/entries",
+  requireRole("viewer"),
+  checkUnmask,
+  async (req, res) => {
+    try {
+      const k = entryKeyFrom(req.query);
+      if (!k)
+        return res
+          .status(400)
+          .json({ error: "key or (propertyId & floor) required" });
+
+      const versions = await presentVersions(
+        req,
+        k,
+        await store.getEntryVersions(k)
+      );
+      return res.json({
+        key: k,
+        masked: !wantsUnmasked(req),
+        entries: versions.map((v) => v.entry),
+      });
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to read entries" });
+    }
+  }
+);
+
+app.get("/api/entries/versions", requireRole("viewer"), async (req, res) => {
+  try {
+    const k = entryKeyFrom(req.query);
+    if (!k)
+      return res
+        .status(400)
+        .json({ error: "key or (propertyId & floor) required" });
+
+    const versions = await store.getEntryVersions(k);
+    return res.json({ key: k, versions: versions.map(versionSummary) });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read entry history" });
+  }
+});
+
+app.get(
+  "/api/entries/versions/:version",
+  requireRole("viewer"),
+  checkUnmask,
+  async (req, res) => {
+    try {
+      const k = entryKeyFrom(req.query);
+      if (!k)
+        return res
+          .status(400)
+          .json({ error: "key or (propertyId & floor) required" });
+
+      const record = await store.getEntryVersion(k, req.params.version);
+      if (!record) return res.status(404).json({ error: "Version not found" });
+      const [shown] = await presentVersions(req, k, [record]);
+      return res.json({ key: k, masked: !wantsUnmasked(req), ...shown });
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to read entry version" });
+    }
+  }
+);
+
+// Restoring appends the old content as a new version; history is never
+// rewritten.
+app.post(
+  "/api/entries/versions/:version/restore",
+  requireRole("surveyor"),
+  async (req, res) => {
+    try {
+      const k = entryKeyFrom(req.body || {});
+      if (!k)
+        return res
+          .status(400)
+          .json({ error: "key or (propertyId & floor) required" });
+
+      const source = await store.getEntryVersion(k, req.params.version);
+      if (!source) return res.status(404).json({ error: "Version not found" });
+
+      const record = await store.appendEntry(
+        k,
+        pii.encryptEntry(source.entry),
+        {
+          author: entryAuthor(req),
+          restoredFrom: source.version,
+        }
+      );
+      await media.linkEntry(k, record.version, source.entry);
+      emitChange(req, "entry.saved", {
+        ...entryRef(k, record.version),
+        restoredFrom: source.version,
+      });
+      return res.json({ ok: true, key: k, ...versionSummary(record) });
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to restore entry version" });
+    }
+  }
+);
+
+// Review workflow: one route per action, each appending a version after the
+// latest one and requiring the reviewer's remarks. See lib/entryWorkflow.js.
+function entryTransitionRoute(action) {
+  return async (req, res) => {
+    try {
+      const body = req.body || {};
+      const k = entryKeyFrom(body);
+      if (!k)
+        return res
+          .status(400)
+          .json({ error: "key or (propertyId & floor) required" });
+
+      const remarks =
+        typeof body.remarks === "string" ? body.remarks.trim() : "";
+      if (!remarks) return res.status(400).json({ error: "remarks required" });
+
+      const result = await store.transitionEntry(k, action, {
+        by: entryAuthor(req),
+        remarks,
+      });
+      if (!result) return res.status(404).json({ error: "Entry not found" });
+      if (result.error)
+        return res.status(result.status || 409).json({ error: result.error });
+      const ref = entryRef(k, result.record.version);
+      if (action === "approve") emitChange(req, "mutation.approved", ref);
+      else
+        emitChange(req, "entry.reviewed", {
+          ...ref,
+          action,
+          status: result.record.status,
+        });
+      return res.json({ ok: true, key: k, ...versionSummary(result.record) });
+    } catch (e) {
+      return res.status(500).json({ error: `Failed to ${action} entry` });
+    }
+  };
+}
+
+// Surveyors submit their own drafts; every later step is a reviewer's.
+const TRANSITION_ROLES = {
+  submit: "surveyor",
+  verify: "reviewer",
+  approve: "reviewer",
+  reject: "reviewer",
+};
+
+for (const action of Object.keys(TRANSITIONS))
+  app.post(
+    `/api/entries/${action}`,
+    requireRole(TRANSITION_ROLES[action]),
+    entryTransitionRoute(action)
+  );
+
+/** -------------- URPRO CARD ROUTES (see lib/urproCard.js) -------------- **/
+// Base of the verification link printed in the QR code; set PUBLIC_URL when
+// the server sits behind a proxy.
+function publicBaseUrl(req) {
+  return (
+    process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`
+  ).replace(/\/+$/, "");
+}
+
+function readLogo(name) {
+  const file = path.join(dataDir, name);
+  return fs.existsSync(file) ? fs.readFileSync(file) : null;
+}
+
+// Images and footprints for one property's card (see renderCard()).
+async function cardAssets(propertyId, plain) {
+  const mode = plain.mode === "2b" ? "2b" : "2a";
+  // Web-sized copies where the media store has them (see lib/media.js).
+  const image = (ref) => imageFromRef(media.displayRef(ref), uploadDir);
+  const images = {
+    // Only the 2a form takes an owner photo; 2b cards show "No Photograph".
+    ownerPhoto: image(mode === "2a" ? plain.section3a?.ownerPhoto : null),
+    locationMap: image(plain.section7?.locationMap),
+    overviewMap: image(plain.section8?.overviewMap),
+    buildingPhoto: image(plain.section9?.buildingPhoto),
+    signature: image(plain.section10?.digitalSignature),
+    stateLogo: readLogo("emblum.png"),
+    deptLogo: readLogo("logo.png"),
+  };
+
+  const { features } = await store.listBuildings();
+  const subject = features.filter(
+    (f) => buildingPropertyId(f.properties || {}) === propertyId
+  );
+  const parcels = loadVillageParcels();
+  const parcel =
+    subject.length &&
+    parcels.find((p) => {
+      try {
+        return turf.booleanPointInPolygon(turf.centroid(subject[0]), p);
+      } catch (e) {
+        return false;
+      }
+    });
+  return {
+    building: subject[0] || null,
+    images,
+    geo: {
+      subject: subject.map((f) => f.geometry).filter(Boolean),
+      parcel: parcel ? parcel.geometry : null,
+      buildings: features
+        .filter((f) => !subject.includes(f))
+        .map((f) => f.geometry)
+        .filter(Boolean),
+      parcels: parcels.map((p) => p.geometry),
+    },
+  };
+}
+
+// GET /api/urpro/:propertyId/:floor[?version=] → application/pdf
+// The card carries the owner's signature, so it needs piiAccess like any
+// unmasked view, and every download is written to the access log. The first
+// request for a version renders and stores the PDF; later ones return it.
+app.get(
+  "/api/urpro/:propertyId/:floor",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      if (!req.user.piiAccess)
+        return res
+          .status(403)
+          .json({ error: "Not permitted to issue owner cards" });
+
+      const { propertyId } = req.params;
+      const floor = Number(req.params.floor);
+      if (!Number.isInteger(floor) || floor < 1)
+        return res.status(400).json({ error: "floor must be 1 or higher" });
+
+      const key = `${propertyId}__F${floor}`;
+      const versions = await store.getEntryVersions(key);
+      if (!versions.length)
+        return res.status(404).json({ error: "No entry for this floor" });
+      const record =
+        req.query.version != null
+          ? await store.getEntryVersion(key, req.query.version)
+          : versions[versions.length - 1];
+      if (!record) return res.status(404).json({ error: "Version not found" });
+
+      const hash = cardHash({
+        key,
+        version: record.version,
+        status: record.status,
+        entry: record.entry,
+      });
+      const file = cardFile(cardsDir, key, record.version, hash);
+      let pdf;
+      if (fs.existsSync(file)) pdf = await fsPromises.readFile(file);
+      else {
+        const plain = pii.decryptEntry(record.entry);
+        const { building, images, geo } = await cardAssets(propertyId, plain);
+        const layout =
+          building &&
+          layoutFromCommonFeature(
+            await store.getCommonLayout(building.properties.BID)
+          );
+        const params = new URLSearchParams({
+          key,
+          version: record.version,
+          hash,
+        });
+        pdf = await renderCard({
+          entry: pii.maskEntry(record.entry),
+          record,
+          propertyId,
+          floor,
+          floorUlpin: building
+            ? buildingFloorUlpin(building, layout, floor)
+            : null,
+          hash,
+          verifyUrl: `${publicBaseUrl(req)}/api/urpro/verify?${params}`,
+          images,
+          geo,
+        });
+        await fsPromises.mkdir(path.dirname(file), { recursive: true });
+        await fsPromises.writeFile(file, pdf);
+      }
+
+      await store.appendPiiAccess({
+        at: new Date().toISOString(),
+        user: req.user.username,
+        key,
+        versions: [record.version],
+        fields: ["urproCard"],
+      });
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader(
+        "Content-Disposition",
+        `inline; filename="urpro_${key.replace(/[^A-Za-z0-9_-]/g, "_")}_v${
+          record.version
+        }.pdf"`
+      );
+      res.setHeader("X-Card-Hash", hash);
+      return res.send(pdf);
+    } catch (e) {
+      console.error("UrPro card failed:", e);
+      return res.status(500).json({ error: "Failed to build UrPro card" });
+    }
+  }
+);
+
+// Public: the QR code on a printed card links here. Confirms the card still
+// matches the stored entry version without revealing any of its content.
+app.get("/api/urpro/verify", async (req, res) => {
+  try {
+    const { key, version, hash } = req.query;
+    if (!key || !version || !/^[0-9a-f]{64}$/.test(String(hash || "")))
+      return res.status(400).json({ error: "key, version and hash required" });
+
+    const record = await store.getEntryVersion(String(key), version);
+    if (!record)
+      return res
+        .status(404)
+        .json({ valid: false, error: "No such entry version" });
+
+    const expected = cardHash({
+      key: String(key),
+      version: record.version,
+      status: record.status,
+      entry: record.entry,
+    });
+    const [propertyId, floor] = String(key).split("__F");
+    const valid = expected === hash;
+    return res.json({
+      valid,
+      propertyId,
+      floor: Number(floor),
+      version: record.version,
+      status: record.status,
+      issued:
+        valid && fs.existsSync(cardFile(cardsDir, key, record.version, hash)),
+      ...(valid
+        ? {}
+        : {
+            reason:
+              "The entry or its review status has changed since this card was issued",
+          }),
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to verify card" });
+  }
+});
+
+/** -------------- BUILDINGS GEOJSON ROUTES -------------- **/
+// ?village=<code> returns that village's buildings, with nextBid: the
+// lowest BID not used in any village.
+app.get("/api/buildings", requireRole("viewer"), async (req, res) => {
+  try {
+    const buildings = await store.listBuildings();
+    const features = inVillage(req, buildings.features);
+    if (features === buildings.features) return res.json(buildings);
+    const nextBid =
+      Math.max(
+        0,
+        ...buildings.features.map((f) => Number(f.properties.BID) || 0)
+      ) + 1;
+    return res.json({ ...buildings, features, nextBid });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read buildings" });
+  }
+});
+
+// One past the highest BID in any village, for the next building drawn.
+app.get("/api/buildings/next-bid", requireRole("viewer"), async (req, res) => {
+  try {
+    const { features } = await store.listBuildings();
+    return res.json({
+      nextBid:
+        Math.max(0, ...features.map((f) => Number(f.properties.BID) || 0)) + 1,
+    });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read buildings" });
+  }
+});
+
+// One building; the map loads them from here as they are selected.
+app.get("/api/buildings/:bid", requireRole("viewer"), async (req, res) => {
+  try {
+    const building = await store.getBuilding(req.params.bid);
+    if (!building) return res.status(404).json({ error: "Building not found" });
+    return res.json(building);
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to read building" });
+  }
+});
+
+app.post("/api/buildings", requireRole("surveyor"), async (req, res) => {
+  try {
+    const feature = req.body && req.body.feature;
+    if (!feature || !feature.geometry)
+      return res.status(400).json({ error: "feature with geometry required" });
+
+    const bid = feature.properties && feature.properties.BID;
+    if (bid == null)
+      return res.status(400).json({ error: "feature.properties.BID required" });
+
+    // The village comes from the parcel under the footprint; a given
+    // village_code has to agree with it.
+    const code = feature.properties.village_code;
+    if (code != null && !villages.get(code))
+      return res.status(400).json({ error: `Unknown village ${code}` });
+    const check = validateBuildingFootprint(feature.geometry);
+    if (check.error) return res.status(400).json({ error: check.error });
+    const parcelVillage = check.parcel.properties.village_code;
+    if (code != null && String(code) !== String(parcelVillage))
+      return res.status(400).json({
+        error: `Building footprint lies in village ${parcelVillage}, not ${code}`,
+      });
+    feature.properties.village_code = parcelVillage;
+
+    const saved = await store.createBuilding(feature);
+    if (!saved)
+      return res
+        .status(409)
+        .json({ error: "Building with this BID already exists" });
+
+    invalidateSearchIndex();
+    emitChange(req, "building.created", {
+      bid: Number(bid),
+      village: villages.codeOf(feature.properties),
+    });
+    return res.json({ ok: true, feature });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to save building" });
+  }
+});
+
+// Properties a client may change on an existing building; the rest
+// (BID, original_id, village_code, parcel_area, ...) follow from the
+// footprint and the parcel under it.
+const EDITABLE_BUILDING_PROPS = [
+  "NAME",
+  "building_type",
+  "height",
+  "floors",
+  "apartmentCounts",
+];
+
+// The editable properties of a PUT body, as { props } or { error }. Other
+// keys are ignored: the info panel sends back everything it loaded.
+function editableBuildingProps(properties) {
+  if (properties == null) return { props: {} };
+  if (typeof properties !== "object" || Array.isArray(properties))
+    return { error: "properties must be an object" };
+  const props = {};
+  for (const key of EDITABLE_BUILDING_PROPS)
+    if (key in properties) props[key] = properties[key];
+
+  if ("height" in props) {
+    props.height = Number(props.height);
+    if (!Number.isFinite(props.height) || props.height <= 0)
+      return { error: "height must be a positive number" };
+  }
+  if ("floors" in props) {
+    props.floors = Number(props.floors);
+    if (!Number.isInteger(props.floors) || props.floors <= 0)
+      return { error: "floors must be a positive whole number" };
+  }
+  if ("apartmentCounts" in props) {
+    const counts = props.apartmentCounts;
+    if (!counts || typeof counts !== "object" || Array.isArray(counts))
+      return { error: "apartmentCounts must be an object" };
+    props.apartmentCounts = {};
+    for (const [floor, count] of Object.entries(counts)) {
+      const n = Number(count);
+      if (!/^[1-9]\d*$/.test(floor) || !Number.isInteger(n) || n <= 0)
+        return {
+          error: "apartmentCounts maps floor numbers to positive whole numbers",
+        };
+      props.apartmentCounts[floor] = n;
+    }
+  }
+  for (const key of ["NAME", "building_type"])
+    if (key in props && props[key] != null && typeof props[key] !== "string")
+      return { error: `${key} must be a string` };
+  return { props };
+}
+
+// apartmentCounts with one count (default 1) for each of the floors.
+function apartmentCountsFor(counts, floors) {
+  const out = {};
+  for (let floor = 1; floor <= floors; floor++)
+    out[floor] = (counts && counts[floor]) || 1;
+  return out;
+}
+
+app.put("/api/buildings/:bid", requireRole("surveyor"), async (req, res) => {
+  try {
+    const { bid } = req.params;
+    const { geometry } = req.body || {};
+    const edit = editableBuildingProps((req.body || {}).properties);
+    if (edit.error) return res.status(400).json({ error: edit.error });
+
+    let check = null;
+    if (geometry) {
+      check = validateBuildingFootprint(geometry);
+      if (check.error) return res.status(400).json({ error: check.error });
+    }
+
+    const next = await store.updateBuilding(bid, (current) => {
+      const merged = {
+        ...current,
+        properties: { ...(current.properties || {}), ...edit.props },
+      };
+      const props = merged.properties;
+      props.apartmentCounts = apartmentCountsFor(
+        props.apartmentCounts,
+        Math.max(1, parseInt(props.floors || 1, 10))
+      );
+      // A moved footprint takes the id and village of the parcel it is in now.
+      if (geometry) {
+        const parcel = check.parcel.properties || {};
+        merged.geometry = geometry;
+        props.parcel_area = turf.area(geometry);
+        if (parcel.IDS) props.original_id = parcel.IDS;
+        else delete props.original_id;
+        props.village_code = parcel.village_code;
+      }
+      return merged;
+    });
+    if (!next) return res.status(404).json({ error: "Building not found" });
+
+    invalidateSearchIndex();
+    emitChange(req, "building.updated", {
+      bid: Number(bid),
+      village: villages.codeOf(next.properties),
+    });
+    return res.json({ ok: true, feature: next });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to update building" });
+  }
+});
+
+app.delete("/api/buildings/:bid", requireRole("admin"), async (req, res) => {
+  try {
+    const target = await store.getBuilding(req.params.bid);
+    const removed = await store.deleteBuilding(
+      req.params.bid,
+      buildingPropertyId
+    );
+    if (!removed) return res.status(404).json({ error: "Building not found" });
+    invalidateSearchIndex();
+    emitChange(req, "building.deleted", {
+      bid: Number(req.params.bid),
+      village: target ? villages.codeOf(target.properties) : null,
+    });
+    return res.json({ ok: true, removed });
+  } catch (e) {
+    return res.status(500).json({ error: "Failed to delete building" });
+  }
+});
+
+/** -------------- ULPIN ROUTES -------------- **/
+// Floors in these routes are 1-based (1 = ground), as everywhere else in the API.
+app.get("/api/ulpin/encode", requireRole("viewer"), (req, res) => {
+  const lon = Number(req.query.lon);
+  const lat = Number(req.query.lat);
+  if (!Number.isFinite(lon) || !Number.isFinite(lat))
+    return res.status(400).json({ error: "numeric lon and lat required" });
+  if (Math.abs(lon) > 180 || Math.abs(lat) > 90)
+    return res.status(400).json({ error: "lon/lat out of range" });
+
+  const floor = ulpin.normalizeFloorNumber(req.query.floor);
+  const code = ulpin.ulpinGenerator(lon, lat, ulpin.ulpinFloorIndex(floor));
+  if (!code)
+    return res
+      .status(400)
+      .json({ error: "lon/lat or floor cannot be encoded as a ULPIN" });
+  return res.json({ ulpin: code, lon, lat, floor });
+});
+
+app.get("/api/ulpin/decode/:ulpin", requireRole("viewer"), (req, res) => {
+  const decoded = ulpin.decodeUlpin(req.params.ulpin);
+  if (!decoded) return res.status(400).json({ error: "Invalid ULPIN" });
+  return res.json(decoded);
+});
+
+app.get(
+  "/api/ulpin/buildings/:bid",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const { bid } = req.params;
+      const building = await store.getBuilding(bid);
+      if (!building)
+        return res.status(404).json({ error: "Building not found" });
+
+      const layout = layoutFromCommonFeature(await store.getCommonLayout(bid));
+      const hasBounds = Boolean(layout && layout.bounds);
+      const floorCount = Math.max(
+        1,
+        parseInt(building.properties.floors || 1, 10)
+      );
+      const onlyFloor =
+        req.query.floor != null
+          ? ulpin.normalizeFloorNumber(req.query.floor)
+          : null;
+
+      const floors = [];
+      for (let floor = 1; floor <= floorCount; floor++) {
+        if (onlyFloor && floor !== onlyFloor) continue;
+        floors.push({
+          floor,
+          ulpin: buildingFloorUlpin(building, layout, floor),
+          rooms: hasBounds
+            ? layoutForFloor(layout, floor).rooms.map((room, idx) => ({
+                id: room.id || `room-${idx}`,
+                name: room.name || `Room ${idx + 1}`,
+                type: room.type || "room",
+                ulpin: ulpin.computeRoomPniuFromLayout(layout, room, floor),
+              }))
+            : [],
+        });
+      }
+
+      return res.json({
+        BID: building.properties.BID,
+        hasLayout: hasBounds,
+        floors,
+      });
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to compute ULPINs" });
+    }
+  }
+);
+
+/** -------------- GIS EXPORT ROUTES (see lib/gisExport.js, lib/cityJson.js) -------------- **/
+// Owner as recorded in the latest saved version of an entry.
+function entryOwnerName(entry = {}) {
+  const mode = entry.mode === "2b" ? "2b" : "2a";
+  return (
+    entry[`section${mode}`]?.ownerName ||
+    entry[`section3${mode.slice(1)}`]?.ownerName ||
+    ""
+  );
+}
+
+// GET /api/export?format=shp|geojson|cityjson[&village=][&bid=][&floor=][&ulpin=][&owners=1]
+// `ulpin` is a parcel (plot) ULPIN. Owner names are only included for users
+// granted piiAccess, and every such export is written to the access log.
+// cityjson answers a single .city.json file and never carries owners.
+app.get("/api/export", requireRole("viewer"), async (req, res) => {
+  try {
+    const format = String(req.query.format || "shp").toLowerCase();
+    if (!["shp", "geojson", "cityjson"].includes(format))
+      return res
+        .status(400)
+        .json({ error: 'format must be "shp", "geojson" or "cityjson"' });
+
+    const village = req.query.village ? String(req.query.village) : null;
+    if (village && !villages.get(village))
+      return res.status(404).json({ error: "Village not found" });
+    const filter = {};
+    if (req.query.bid != null) filter.bid = String(req.query.bid);
+    if (req.query.floor != null) {
+      filter.floor = Number(req.query.floor);
+      if (!Number.isInteger(filter.floor) || filter.floor < 1)
+        return res.status(400).json({ error: "floor must be 1 or higher" });
+    }
+    if (req.query.ulpin != null) {
+      filter.ulpin = String(req.query.ulpin).toUpperCase();
+      if (!ulpin.decodeUlpin(filter.ulpin))
+        return res.status(400).json({ error: "Invalid ULPIN" });
+    }
+
+    const withOwners = req.query.owners === "1" || req.query.owners === "true";
+    if (withOwners && format === "cityjson")
+      return res
+        .status(400)
+        .json({ error: "Owner names are not exported to CityJSON" });
+    if (withOwners && !req.user.piiAccess)
+      return res
+        .status(403)
+        .json({ error: "Not permitted to export owner details" });
+
+    const suffix = [
+      village,
+      filter.bid && `bid${filter.bid}`,
+      filter.floor && `floor${filter.floor}`,
+      filter.ulpin,
+    ]
+      .filter(Boolean)
+      .join("_")
+      .replace(/[^A-Za-z0-9_-]/g, "_");
+
+    if (format === "cityjson") {
+      const buildings = await store.listBuildings();
+      const model = buildCityModel({
+        buildings: {
+          ...buildings,
+          features: inVillage(req, buildings.features),
+        },
+        layouts: await store.getCommonLayouts(),
+        floorLayouts: await store.getFloorLayouts(),
+        parcels: loadVillageParcels(village),
+        filter,
+        propertyIdOf: buildingPropertyId,
+        villageOf: villages.codeOf,
+        title: village ? `${villages.get(village).name} buildings` : undefined,
+      });
+      if (!Object.keys(model.CityObjects).length)
+        return res.status(404).json({ error: "No buildings match the filter" });
+      res.setHeader("Content-Type", "application/city+json");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="ulpin_cityjson${suffix ? `_${suffix}` : ""}.city.json"`
+      );
+      return res.send(JSON.stringify(model));
+    }
+
+    let ownerName;
+    const ownerKeys = new Map();
+    if (withOwners) {
+      const entries = await store.getAllEntries();
+      ownerName = (propertyId, floor) => {
+        const key = `${propertyId}__F${floor}`;
+        const versions = entries[key];
+        if (!versions || !versions.length) return "";
+        const latest = versions[versions.length - 1];
+        ownerKeys.set(key, latest.version);
+        return entryOwnerName(latest.entry);
+      };
+    }
 
-    if (data[key].length > 20) data[key] = data[key].slice(-20);
-    saveEntries(data);
+    const buildings = await store.listBuildings();
+    const layers = buildExportLayers({
+      buildings: { ...buildings, features: inVillage(req, buildings.features) },
+      layouts: await store.getCommonLayouts(),
+      parcels: loadVillageParcels(village),
+      filter,
+      propertyIdOf: buildingPropertyId,
+      ownerName,
+    });
+    if (!layers.buildings.features.length)
+      return res.status(404).json({ error: "No buildings match the filter" });
+
+    const at = new Date().toISOString();
+    for (const [key, version] of ownerKeys)
+      await store.appendPiiAccess({
+        at,
+        user: req.user.username,
+        key,
+        versions: [version],
+        fields: ["ownerName"],
+      });
 
-    return res.json({ ok: true });
+    const zip =
+      format === "shp" ? await shapefileZip(layers) : await geojsonZip(layers);
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="ulpin_${format}${suffix ? `_${suffix}` : ""}.zip"`
+    );
+    return res.send(zip);
   } catch (e) {
-    return res.status(500).json({ error: "Failed to save entry" });
+    console.error("Export failed:", e);
+    return res.status(500).json({ error: "Failed to build export" });
   }
 });
 
-app.get("/api/entries", (req, res) => {
+/** -------------- SPATIAL SEARCH ROUTES (see lib/spatialSearch.js) -------------- **/
+// Built on the first search and dropped whenever buildings or layouts change.
+let searchIndexPromise = null;
+
+function getSearchIndex() {
+  if (!searchIndexPromise) {
+    const building = Promise.all([
+      store.listBuildings(),
+      store.getCommonLayouts(),
+    ]).then(([buildings, layouts]) =>
+      createSpatialIndex({
+        parcels: loadVillageParcels(),
+        buildings,
+        layouts,
+        propertyIdOf: buildingPropertyId,
+        parcelPropertyIdOf: parcelPropertyId,
+        villageOf: villages.codeOf,
+      })
+    );
+    searchIndexPromise = building;
+    building.catch(() => {
+      if (searchIndexPromise === building) searchIndexPromise = null;
+    });
+  }
+  return searchIndexPromise;
+}
+
+function invalidateSearchIndex() {
+  searchIndexPromise = null;
+}
+
+// Entries whose latest owner name contains `text` (case-insensitive).
+async function findOwnerEntries(text) {
+  const needle = String(text).trim().toLowerCase();
+  if (!needle) return [];
+  const matches = [];
+  for (const [key, versions] of Object.entries(await store.getAllEntries())) {
+    const latest = versions[versions.length - 1];
+    const ownerName = latest ? entryOwnerName(latest.entry) : "";
+    if (!ownerName || !ownerName.toLowerCase().includes(needle)) continue;
+    const [, propertyId, floor] = /^(.*)__F(\d+)$/.exec(key) || [];
+    if (!propertyId) continue;
+    matches.push({
+      key,
+      version: latest.version,
+      propertyId,
+      floor: Number(floor),
+      ownerName,
+    });
+  }
+  return matches;
+}
+
+// GET /api/search — any combination of:
+//   q=        ULPIN, khasra number, building/room name (and owner name for
+//             users granted piiAccess)
+//   ulpin= khasra= name= owner=
+//   lon=&lat= what lies at a point;  bbox=minLon,minLat,maxLon,maxLat
+//   kind=parcel,building,room  type= (parcel TYPE)  building_type=
+//   village= (village code)
+//   limit= (default 50, max 500)  geometry=1 to include geometries
+// owner= needs piiAccess; owners returned are written to the access log.
+app.get("/api/search", requireRole("viewer"), async (req, res) => {
   try {
-    const { key, propertyId, floor } = req.query;
-    const k = key || (propertyId && floor ? `${propertyId}__F${floor}` : null);
-    if (!k)
+    const str = (name) =>
+      req.query[name] != null && String(req.query[name]).trim() !== ""
+        ? String(req.query[name]).trim()
+        : null;
+    const query = {
+      q: str("q"),
+      ulpin: str("ulpin"),
+      khasra: str("khasra"),
+      name: str("name"),
+      type: str("type"),
+      buildingType: str("building_type"),
+      village: str("village"),
+      limit: str("limit"),
+      geometry: req.query.geometry === "1" || req.query.geometry === "true",
+    };
+
+    if (str("lon") != null || str("lat") != null) {
+      query.lon = Number(req.query.lon);
+      query.lat = Number(req.query.lat);
+      if (!Number.isFinite(query.lon) || !Number.isFinite(query.lat))
+        return res.status(400).json({ error: "numeric lon and lat required" });
+      if (Math.abs(query.lon) > 180 || Math.abs(query.lat) > 90)
+        return res.status(400).json({ error: "lon/lat out of range" });
+    }
+    if (str("bbox") != null) {
+      query.bbox = parseBbox(req.query.bbox);
+      if (!query.bbox)
+        return res
+          .status(400)
+          .json({ error: "bbox must be minLon,minLat,maxLon,maxLat" });
+    }
+    if (str("kind") != null) {
+      query.kinds = str("kind").toLowerCase().split(",");
+      const unknown = query.kinds.filter((k) => !KINDS.includes(k));
+      if (unknown.length)
+        return res
+          .status(400)
+          .json({ error: `kind must be one of: ${KINDS.join(", ")}` });
+    }
+
+    const owner = str("owner");
+    if (owner && !req.user.piiAccess)
       return res
-        .status(400)
-        .json({ error: "key or (propertyId & floor) required" });
+        .status(403)
+        .json({ error: "Not permitted to search by owner name" });
+    const ownerText = owner || (req.user.piiAccess ? query.q : null);
+    const owners = ownerText ? await findOwnerEntries(ownerText) : [];
+    if (owner || query.q) query.owners = owners;
+
+    if (
+      !query.q &&
+      !owner &&
+      !query.ulpin &&
+      !query.khasra &&
+      !query.name &&
+      query.lon == null &&
+      !query.bbox &&
+      !query.type &&
+      !query.buildingType
+    )
+      return res.status(400).json({
+        error: "Give a search term, a point, a bbox or a type filter",
+      });
+
+    const result = (await getSearchIndex()).search(query);
+
+    const returned = new Set(
+      result.results
+        .filter((r) => r.match.owner)
+        .map((r) => `${r.propertyId}__F${r.match.floor}`)
+    );
+    const at = new Date().toISOString();
+    for (const match of owners) {
+      if (!returned.has(match.key)) continue;
+      await store.appendPiiAccess({
+        at,
+        user: req.user.username,
+        key: match.key,
+        versions: [match.version],
+        fields: ["ownerName"],
+      });
+    }
 
-    const data = loadEntries();
-    return res.json({ key: k, entries: data[k] || [] });
+    return res.json(result);
   } catch (e) {
-    return res.status(500).json({ error: "Failed to read entries" });
+    console.error("Search failed:", e);
+    return res.status(500).json({ error: "Search failed" });
   }
 });
 
-/** -------------- BUILDINGS GEOJSON ROUTES -------------- **/
-app.get("/api/buildings", (req, res) => {
+/** -------------- CONSISTENCY CHECK ROUTES (see lib/consistency.js) -------------- **/
+// GET /api/consistency[?village=][&bid=][&type=overlap,out-of-bounds,...]
+// Without `bid` every building (of the village, when given) is checked.
+app.get("/api/consistency", requireRole("viewer"), async (req, res) => {
   try {
-    return res.json(loadBuildings());
+    let types = null;
+    if (req.query.type != null && String(req.query.type).trim() !== "") {
+      types = String(req.query.type).toLowerCase().split(",");
+      if (types.some((t) => !ISSUE_TYPES.includes(t)))
+        return res
+          .status(400)
+          .json({ error: `type must be one of: ${ISSUE_TYPES.join(", ")}` });
+    }
+    const bid =
+      req.query.bid != null && String(req.query.bid).trim() !== ""
+        ? String(req.query.bid).trim()
+        : null;
+    if (bid != null && !(await store.getBuilding(bid)))
+      return res.status(404).json({ error: "Building not found" });
+    const village = req.query.village ? String(req.query.village) : null;
+    if (village && !villages.get(village))
+      return res.status(404).json({ error: "Village not found" });
+
+    const [buildings, commonLayouts, floorLayouts] = await Promise.all([
+      store.listBuildings(),
+      store.getCommonLayouts(),
+      store.getFloorLayouts(),
+    ]);
+    // Layouts of another village's buildings are not orphans of this one.
+    const features = inVillage(req, buildings.features);
+    const elsewhere = new Set(
+      buildings.features
+        .filter((f) => !features.includes(f))
+        .map((f) => String(f.properties.BID))
+    );
+    const result = checkConsistency({
+      parcels: loadVillageParcels(village),
+      buildings: { ...buildings, features },
+      commonLayouts: {
+        ...commonLayouts,
+        features: commonLayouts.features.filter(
+          (f) => !elsewhere.has(String(f.properties && f.properties.BID))
+        ),
+      },
+      floorLayouts: Object.fromEntries(
+        Object.entries(floorLayouts).filter(
+          ([key]) => !elsewhere.has(key.split("_floor_")[0])
+        )
+      ),
+      bid,
+    });
+    if (types) {
+      result.issues = result.issues.filter((i) => types.includes(i.type));
+      for (const type of ISSUE_TYPES)
+        if (!types.includes(type)) delete result.summary[type];
+      result.summary.total = result.issues.length;
+    }
+
+    return res.json({
+      checkedAt: new Date().toISOString(),
+      village,
+      bid: bid == null ? null : Number(bid),
+      ...result,
+    });
   } catch (e) {
-    return res.status(500).json({ error: "Failed to read buildings" });
+    console.error("Consistency check failed:", e);
+    return res.status(500).json({ error: "Failed to run consistency checks" });
   }
 });
 
-app.post("/api/buildings", (req, res) => {
-  try {
-    const feature = req.body && req.body.feature;
-    if (!feature || !feature.geometry)
-      return res.status(400).json({ error: "feature with geometry required" });
+/** -------------- SURVEY PROGRESS ROUTES (see lib/surveyProgress.js) -------------- **/
+const PROGRESS_TABLES = {
+  villages: ["village", "name"],
+  "parcel-types": ["village", "parcelType"],
+  buildings: ["BID", "name", "village", "parcelType", "propertyId"],
+};
 
-    const fc = loadBuildings();
-    const bid = feature.properties && feature.properties.BID;
-    if (bid == null)
-      return res.status(400).json({ error: "feature.properties.BID required" });
+// GET /api/progress[?village=]
+// GET /api/progress?format=csv&table=villages|parcel-types|buildings[&village=]
+app.get("/api/progress", requireRole("viewer"), async (req, res) => {
+  try {
+    const village = req.query.village ? String(req.query.village) : null;
+    if (village && !villages.get(village))
+      return res.status(404).json({ error: "Village not found" });
+    const format = String(req.query.format || "json").toLowerCase();
+    const table = String(req.query.table || "buildings");
+    if (format !== "json" && format !== "csv")
+      return res.status(400).json({ error: 'format must be "json" or "csv"' });
+    if (format === "csv" && !PROGRESS_TABLES[table])
+      return res.status(400).json({
+        error: `table must be one of: ${Object.keys(PROGRESS_TABLES).join(", ")}`,
+      });
 
-    const exists = fc.features.find(
-      (f) => (f.properties && f.properties.BID) == bid
+    const [buildings, commonLayouts, floorLayouts, entries] = await Promise.all(
+      [
+        store.listBuildings(),
+        store.getCommonLayouts(),
+        store.getFloorLayouts(),
+        store.getAllEntries(),
+      ]
     );
-    if (exists)
-      return res
-        .status(409)
-        .json({ error: "Building with this BID already exists" });
+    const progress = surveyProgress({
+      villages: villages.list().filter((v) => !village || v.code === village),
+      buildings: { ...buildings, features: inVillage(req, buildings.features) },
+      commonLayouts,
+      floorLayouts,
+      entries,
+      propertyIdOf: buildingPropertyId,
+      villageOf: villages.codeOf,
+    });
 
-    fc.features.push(feature);
-    saveBuildings(fc);
-    return res.json({ ok: true, feature });
+    if (format === "csv") {
+      const rows =
+        table === "parcel-types" ? progress.parcelTypes : progress[table];
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="progress_${table}${
+          village ? `_${village}` : ""
+        }.csv"`
+      );
+      return res.send(progressCsv(rows, PROGRESS_TABLES[table]));
+    }
+    return res.json({
+      generatedAt: new Date().toISOString(),
+      village,
+      ...progress,
+    });
   } catch (e) {
-    return res.status(500).json({ error: "Failed to save building" });
+    console.error("Progress report failed:", e);
+    return res.status(500).json({ error: "Failed to compute survey progress" });
   }
 });
 
-/** -------------- FLOOR LAYOUT ROUTES (EXISTING) -------------- **/
-const floorLayoutsFile = path.join(dataDir, "floorLayouts.json");
-
-function loadFloorLayouts() {
+/** -------------- AREA STATEMENT ROUTES (see lib/layoutAreas.js) -------------- **/
+// GET /api/area-statement/:bid[?floor=n]
+// Room, apartment and floor areas in m² and ft², scaled from the footprint.
+app.get("/api/area-statement/:bid", requireRole("viewer"), async (req, res) => {
   try {
-    const raw = fs.readFileSync(floorLayoutsFile, "utf8");
-    return JSON.parse(raw || "{}");
+    const building = await store.getBuilding(req.params.bid);
+    if (!building) return res.status(404).json({ error: "Building not found" });
+    const props = building.properties || {};
+    const floors = Math.max(1, parseInt(props.floors || 1, 10));
+
+    let only = null;
+    if (req.query.floor != null && String(req.query.floor).trim() !== "") {
+      only = Number(req.query.floor);
+      if (!Number.isInteger(only) || only < 1 || only > floors)
+        return res
+          .status(400)
+          .json({ error: `floor must be an integer from 1 to ${floors}` });
+    }
+
+    const [floorLayouts, commonFeature] = await Promise.all([
+      store.getFloorLayouts(),
+      store.getCommonLayout(props.BID),
+    ]);
+    const commonLayout = layoutFromCommonFeature(commonFeature);
+    let footprintM2 = null;
+    try {
+      footprintM2 = turf.area(building);
+    } catch (e) {}
+
+    const counts = props.apartmentCounts || {};
+    const statement = [];
+    for (let floor = 1; floor <= floors; floor++) {
+      if (only != null && floor !== only) continue;
+      statement.push(
+        floorStatement({
+          floor,
+          footprint: building,
+          footprintM2,
+          apartmentCount: counts[floor],
+          floorLayout: floorLayouts[`${props.BID}_floor_${floor}`] || null,
+          commonLayout: layoutForFloor(commonLayout, floor),
+        })
+      );
+    }
+
+    return res.json({
+      BID: Number(props.BID),
+      propertyId: buildingPropertyId(props),
+      name: props.NAME || null,
+      floors: statement,
+    });
   } catch (e) {
-    return {};
+    console.error("Area statement failed:", e);
+    return res.status(500).json({ error: "Failed to compute area statement" });
   }
-}
-function saveFloorLayouts(data) {
-  fs.writeFileSync(floorLayoutsFile, JSON.stringify(data, null, 2));
-}
+});
 
-app.get("/api/floor-layouts", (req, res) => {
+/** -------------- FLOOR LAYOUT ROUTES (EXISTING) -------------- **/
+app.get("/api/floor-layouts", requireRole("viewer"), async (req, res) => {
   try {
-    return res.json(loadFloorLayouts());
+    const layouts = await store.getFloorLayouts();
+    const bids = await villageBids(req);
+    if (!bids) return res.json(layouts);
+    return res.json(
+      Object.fromEntries(
+        Object.entries(layouts).filter(([key]) =>
+          bids.has(key.split("_floor_")[0])
+        )
+      )
+    );
   } catch (e) {
     return res.status(500).json({ error: "Failed to read floor layouts" });
   }
 });
 
-app.post("/api/floor-layouts", (req, res) => {
+app.post("/api/floor-layouts", requireRole("surveyor"), async (req, res) => {
   try {
     const { buildingId, floorNumber, layout, apartment } = req.body;
     if (!buildingId || !floorNumber || !layout) {
@@ -315,77 +1746,154 @@ app.post("/api/floor-layouts", (req, res) => {
         .status(400)
         .json({ error: "buildingId, floorNumber, and layout required" });
     }
-
-    const layouts = loadFloorLayouts();
-    const key = `${buildingId}_floor_${floorNumber}`;
     const aptKey = String(apartment || "1");
 
-    if (!layouts[key] || typeof layouts[key] !== "object") {
-      layouts[key] = { apartments: {} };
-    }
-    if (!layouts[key].apartments) {
-      layouts[key].apartments = {};
+    // baseUpdatedAt is the updatedAt of the layout the designer started
+    // from (null for a new one); see saveEntry's baseVersion.
+    if ("baseUpdatedAt" in req.body && !req.body.force) {
+      const current = await store.getFloorLayout(
+        buildingId,
+        floorNumber,
+        aptKey
+      );
+      const currentStamp = (current && current.updatedAt) || null;
+      if (current && currentStamp !== (req.body.baseUpdatedAt || null))
+        return res.status(409).json({
+          error: "Floor layout was changed on the server",
+          layout: current,
+        });
     }
 
-    layouts[key].apartments[aptKey] = layout;
-    saveFloorLayouts(layouts);
+    const saved = {
+      ...layout,
+      updatedAt: new Date().toISOString(),
+      updatedBy: entryAuthor(req),
+    };
+    const key = await store.saveFloorLayout(
+      buildingId,
+      floorNumber,
+      aptKey,
+      saved
+    );
 
-    return res.json({ ok: true, key });
+    emitChange(req, "layout.saved", {
+      bid: Number(buildingId),
+      scope: "apartment",
+      floors: [Number(floorNumber)],
+      apartment: aptKey,
+    });
+    return res.json({ ok: true, key, updatedAt: saved.updatedAt });
   } catch (e) {
     return res.status(500).json({ error: "Failed to save floor layout" });
   }
 });
 
-app.get("/api/floor-layouts/:buildingId/:floorNumber", (req, res) => {
-  try {
-    const { buildingId, floorNumber } = req.params;
-    const aptParam = req.query && req.query.apartment;
-
-    const layouts = loadFloorLayouts();
-    const key = `${buildingId}_floor_${floorNumber}`;
-    const node = layouts[key] || null;
-
-    if (!node) return res.json({ layout: null });
-
-    if (node.apartments) {
-      const aptKey = String(aptParam || "1");
-      return res.json({ layout: node.apartments[aptKey] || null });
+app.get(
+  "/api/floor-layouts/:buildingId/:floorNumber",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const { buildingId, floorNumber } = req.params;
+      const aptParam = req.query && req.query.apartment;
+
+      const layout = await store.getFloorLayout(
+        buildingId,
+        floorNumber,
+        String(aptParam || "1")
+      );
+      return res.json({ layout });
+    } catch (e) {
+      return res.status(500).json({ error: "Failed to read floor layout" });
     }
+  }
+);
 
-    return res.json({ layout: node || null });
+/** -------------- COMMON FLOOR LAYOUT ROUTES -------------- **/
+app.get("/api/common-layouts", requireRole("viewer"), async (req, res) => {
+  try {
+    const layouts = await store.getCommonLayouts();
+    const bids = await villageBids(req);
+    if (!bids) return res.json(layouts);
+    return res.json({
+      ...layouts,
+      features: layouts.features.filter((f) =>
+        bids.has(String(f.properties && f.properties.BID))
+      ),
+    });
   } catch (e) {
-    return res.status(500).json({ error: "Failed to read floor layout" });
+    return res.status(500).json({ error: "Failed to read common layouts" });
   }
 });
 
-/** -------------- SAVE COMMON FLOOR LAYOUT ROUTE -------------- **/
-const ensureDataDirectory = async () => {
-  const dataDir = path.join(__dirname, "data");
-  try {
-    await mkdir(dataDir, { recursive: true });
-  } catch (error) {
-    if (error.code !== "EEXIST") {
-      console.error("Error creating data directory:", error);
-      throw error;
-    }
-  }
-};
+// A common layout feature without its save stamps and unset fields, which
+// the backends give back differently (null or left out, BID as a number or
+// the string the designer sent).
+function comparableLayout(feature) {
+  const { updatedAt, updatedBy, ...properties } =
+    (feature && feature.properties) || {};
+  properties.BID = String(properties.BID);
+  return JSON.parse(
+    JSON.stringify({ ...feature, properties }, (key, value) =>
+      value === null ? undefined : value
+    )
+  );
+}
 
-app.post("/api/save-layout", express.json(), async (req, res) => {
+// Saves one building's common layout ({ feature, baseUpdatedAt }); the other
+// buildings' layouts are left alone. baseUpdatedAt is the updatedAt of the
+// layout the designer started from, checked as in POST /api/floor-layouts.
+// The whole collection is only ever replaced by scripts/migrate.js.
+app.post("/api/save-layout", requireRole("surveyor"), async (req, res) => {
   try {
-    await ensureDataDirectory();
-
-    if (!req.body || !req.body.features || !Array.isArray(req.body.features)) {
-      return res.status(400).json({ error: "Invalid request body" });
+    const feature = req.body && req.body.feature;
+    if (
+      !feature ||
+      !feature.properties ||
+      feature.properties.BID == null ||
+      feature.properties.BID === ""
+    )
+      return res
+        .status(400)
+        .json({ error: "feature with properties.BID required" });
+    const bid = feature.properties.BID;
+
+    const current = await store.getCommonLayout(bid);
+    if ("baseUpdatedAt" in req.body && !req.body.force) {
+      const currentStamp = (current && current.properties.updatedAt) || null;
+      if (current && currentStamp !== (req.body.baseUpdatedAt || null))
+        return res.status(409).json({
+          error: "Common layout was changed on the server",
+          layout: current,
+        });
     }
 
-    await writeFile(
-      path.join(__dirname, "data", "BuildingCommonFloorLayout.json"),
-      JSON.stringify(req.body, null, 2),
-      "utf8"
-    );
-
-    res.json({ success: true });
+    // A feature saved without a floorOverrides key keeps the stored ones;
+    // overrides are changed through the floor routes below.
+    const properties = { ...feature.properties };
+    if (
+      !("floorOverrides" in properties) &&
+      current &&
+      current.properties.floorOverrides
+    )
+      properties.floorOverrides = current.properties.floorOverrides;
+    const saved = {
+      ...feature,
+      properties: {
+        ...properties,
+        updatedAt: new Date().toISOString(),
+        updatedBy: entryAuthor(req),
+      },
+    };
+    const changed =
+      !current ||
+      !isDeepStrictEqual(comparableLayout(current), comparableLayout(saved));
+
+    await store.upsertCommonLayout(saved);
+    invalidateSearchIndex();
+    if (changed)
+      emitChange(req, "layout.saved", { bid: Number(bid), scope: "common" });
+
+    res.json({ success: true, updatedAt: saved.properties.updatedAt });
   } catch (error) {
     console.error("Error saving layout:", error);
     res.status(500).json({
@@ -395,6 +1903,296 @@ app.post("/api/save-layout", express.json(), async (req, res) => {
   }
 });
 
+/** -------------- FLOOR OVERRIDE ROUTES (see lib/floorOverrides.js) -------------- **/
+const FLOOR_PARTS = ["common", "apartments"];
+
+// "common,apartments" → subset of FLOOR_PARTS, or null when malformed.
+function parseFloorParts(value, fallback) {
+  if (value == null || String(value).trim() === "") return fallback;
+  const parts = (Array.isArray(value) ? value : String(value).split(",")).map(
+    (p) => String(p).trim().toLowerCase()
+  );
+  return parts.every((p) => FLOOR_PARTS.includes(p)) ? parts : null;
+}
+
+// The apartment grids of one floor, as { "<apt>": { grid, rooms } }.
+function apartmentsOfFloor(floorLayouts, bid, floor) {
+  const node = floorLayouts[`${bid}_floor_${floor}`];
+  if (!node) return {};
+  return node.apartments || (node.rooms ? { 1: node } : {});
+}
+
+// Resolves to { building, floors, feature } for the route's :bid (feature is
+// the common layout, or null), or sends the 404 and resolves to null.
+async function loadFloorTarget(req, res) {
+  const building = await store.getBuilding(req.params.bid);
+  if (!building) {
+    res.status(404).json({ error: "Building not found" });
+    return null;
+  }
+  return {
+    building,
+    floors: Math.max(1, parseInt(building.properties.floors || 1, 10)),
+    feature: await store.getCommonLayout(building.properties.BID),
+  };
+}
+
+function floorParam(value, floors) {
+  const floor = Number(value);
+  return Number.isInteger(floor) && floor >= 1 && floor <= floors
+    ? floor
+    : null;
+}
+
+async function floorView(target, floor) {
+  const layout = layoutFromCommonFeature(target.feature);
+  const common = layoutForFloor(layout, floor);
+  return {
+    BID: Number(target.building.properties.BID),
+    floor,
+    floors: target.floors,
+    bounds: common ? common.bounds : null,
+    rooms: common ? common.rooms : [],
+    override: common ? common.override : false,
+    overrideFloors: overrideFloors(layout),
+    apartments: apartmentsOfFloor(
+      await store.getFloorLayouts(),
+      target.building.properties.BID,
+      floor
+    ),
+  };
+}
+
+// Effective layout of one floor: its override, else the template, plus the
+// floor's apartment grids.
+app.get(
+  "/api/common-layouts/:bid/floors/:floor",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const target = await loadFloorTarget(req, res);
+      if (!target) return;
+      const floor = floorParam(req.params.floor, target.floors);
+      if (floor == null)
+        return res.status(400).json({
+          error: `floor must be an integer from 1 to ${target.floors}`,
+        });
+      return res.json(await floorView(target, floor));
+    } catch (e) {
+      console.error("Floor layout read failed:", e);
+      return res.status(500).json({ error: "Failed to read floor layout" });
+    }
+  }
+);
+
+// Body: { rooms } in the template's normalised space.
+app.put(
+  "/api/common-layouts/:bid/floors/:floor",
+  requireRole("surveyor"),
+  async (req, res) => {
+    try {
+      const target = await loadFloorTarget(req, res);
+      if (!target) return;
+      const floor = floorParam(req.params.floor, target.floors);
+      if (floor == null)
+        return res.status(400).json({
+          error: `floor must be an integer from 1 to ${target.floors}`,
+        });
+      if (!target.feature || !target.feature.properties.bounds)
+        return res.status(400).json({
+          error: "Building has no common layout to override; save one first",
+        });
+      const rooms = req.body && req.body.rooms;
+      if (!Array.isArray(rooms))
+        return res.status(400).json({ error: "rooms must be an array" });
+      const shapeless = rooms.findIndex((room) => !roomParts(room).length);
+      if (shapeless !== -1)
+        return res.status(400).json({
+          error: `Room ${shapeless + 1} has no bounds, polygon or polygons`,
+        });
+
+      const props = target.feature.properties;
+      props.floorOverrides = {
+        ...(props.floorOverrides || {}),
+        [floor]: {
+          rooms,
+          updatedAt: new Date().toISOString(),
+          updatedBy: entryAuthor(req),
+        },
+      };
+      await store.upsertCommonLayout(target.feature);
+      invalidateSearchIndex();
+      emitChange(req, "layout.saved", {
+        bid: Number(target.building.properties.BID),
+        scope: "floor",
+        floors: [floor],
+      });
+      return res.json(await floorView(target, floor));
+    } catch (e) {
+      console.error("Floor override save failed:", e);
+      return res.status(500).json({ error: "Failed to save floor override" });
+    }
+  }
+);
+
+// Resets a floor to the template. ?include=common (default) drops the
+// override; add "apartments" to clear the floor's apartment grids too.
+app.delete(
+  "/api/common-layouts/:bid/floors/:floor",
+  requireRole("surveyor"),
+  async (req, res) => {
+    try {
+      const target = await loadFloorTarget(req, res);
+      if (!target) return;
+      const floor = floorParam(req.params.floor, target.floors);
+      if (floor == null)
+        return res.status(400).json({
+          error: `floor must be an integer from 1 to ${target.floors}`,
+        });
+      const include = parseFloorParts(req.query.include, ["common"]);
+      if (!include)
+        return res.status(400).json({
+          error: `include must list: ${FLOOR_PARTS.join(", ")}`,
+        });
+
+      const overrides =
+        (target.feature && target.feature.properties.floorOverrides) || {};
+      if (include.includes("common") && overrides[floor]) {
+        delete overrides[floor];
+        if (!Object.keys(overrides).length)
+          delete target.feature.properties.floorOverrides;
+        await store.upsertCommonLayout(target.feature);
+      }
+      if (include.includes("apartments"))
+        await store.replaceFloorLayouts(target.building.properties.BID, {
+          [floor]: {},
+        });
+      invalidateSearchIndex();
+      emitChange(req, "layout.saved", {
+        bid: Number(target.building.properties.BID),
+        scope: "floor",
+        floors: [floor],
+      });
+      return res.json(await floorView(target, floor));
+    } catch (e) {
+      console.error("Floor reset failed:", e);
+      return res.status(500).json({ error: "Failed to reset floor" });
+    }
+  }
+);
+
+// Body: { to: "3-7,9" | [3, 4], include: "common,apartments" (default both) }.
+// Targets end up with the source floor's rooms: its override (or none, so
+// they follow the template) and copies of its apartment grids.
+app.post(
+  "/api/common-layouts/:bid/floors/:floor/copy",
+  requireRole("surveyor"),
+  async (req, res) => {
+    try {
+      const target = await loadFloorTarget(req, res);
+      if (!target) return;
+      const from = floorParam(req.params.floor, target.floors);
+      if (from == null)
+        return res.status(400).json({
+          error: `floor must be an integer from 1 to ${target.floors}`,
+        });
+      const body = req.body || {};
+      const to = parseFloorList(body.to, target.floors);
+      if (!to)
+        return res.status(400).json({
+          error: `to must list floors from 1 to ${target.floors}, e.g. "2-5,8"`,
+        });
+      const floors = to.filter((f) => f !== from);
+      if (!floors.length)
+        return res
+          .status(400)
+          .json({ error: "to must include a floor other than the source" });
+      const include = parseFloorParts(body.include, FLOOR_PARTS);
+      if (!include)
+        return res.status(400).json({
+          error: `include must list: ${FLOOR_PARTS.join(", ")}`,
+        });
+
+      const BID = target.building.properties.BID;
+      const copy = (value) => JSON.parse(JSON.stringify(value));
+      if (include.includes("common") && target.feature) {
+        const props = target.feature.properties;
+        const overrides = props.floorOverrides || {};
+        const source = overrides[from];
+        for (const floor of floors) {
+          if (source)
+            overrides[floor] = {
+              rooms: copy(source.rooms),
+              updatedAt: new Date().toISOString(),
+              updatedBy: entryAuthor(req),
+              copiedFrom: from,
+            };
+          else delete overrides[floor];
+        }
+        if (Object.keys(overrides).length) props.floorOverrides = overrides;
+        else delete props.floorOverrides;
+        await store.upsertCommonLayout(target.feature);
+      }
+      if (include.includes("apartments")) {
+        const apartments = apartmentsOfFloor(
+          await store.getFloorLayouts(),
+          BID,
+          from
+        );
+        const byFloor = {};
+        for (const floor of floors) byFloor[floor] = copy(apartments);
+        await store.replaceFloorLayouts(BID, byFloor);
+      }
+      invalidateSearchIndex();
+      emitChange(req, "layout.saved", {
+        bid: Number(BID),
+        scope: "floor",
+        floors,
+      });
+      return res.json({ BID: Number(BID), from, to: floors, include });
+    } catch (e) {
+      console.error("Floor copy failed:", e);
+      return res.status(500).json({ error: "Failed to copy floor" });
+    }
+  }
+);
+
+// GET /api/common-layouts/:bid/diff?a=1&b=2
+app.get(
+  "/api/common-layouts/:bid/diff",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const target = await loadFloorTarget(req, res);
+      if (!target) return;
+      const a = floorParam(req.query.a, target.floors);
+      const b = floorParam(req.query.b, target.floors);
+      if (a == null || b == null)
+        return res.status(400).json({
+          error: `a and b must be floors from 1 to ${target.floors}`,
+        });
+      const [left, right] = [
+        await floorView(target, a),
+        await floorView(target, b),
+      ];
+      const view = (v) => ({
+        floor: v.floor,
+        common: target.feature
+          ? { rooms: v.rooms, override: v.override }
+          : null,
+        apartments: v.apartments,
+      });
+      return res.json({
+        BID: Number(target.building.properties.BID),
+        ...diffFloors(view(left), view(right)),
+      });
+    } catch (e) {
+      console.error("Floor diff failed:", e);
+      return res.status(500).json({ error: "Failed to compare floors" });
+    }
+  }
+);
+
 /** ------------------------------------------------------------------
     ✅ NEW — SHAPEFILE UPLOAD → CONVERT TO COMMON LAYOUT
 ------------------------------------------------------------------- **/
@@ -411,7 +2209,7 @@ async function parseLocalZip(zipPath) {
   return geojson;
 }
 
-app.post("/upload-shapefile", async (req, res) => {
+app.post("/upload-shapefile", requireRole("surveyor"), async (req, res) => {
   try {
     const geojson = await parseShapefile("uploads/myfile.zip");
     res.json(geojson);
@@ -423,6 +2221,7 @@ app.post("/upload-shapefile", async (req, res) => {
 
 app.post(
   "/api/upload-common-layout",
+  requireRole("surveyor"),
   upload.single("file"),
   async (req, res) => {
     try {
@@ -434,12 +2233,24 @@ app.post(
         console.error("Parse Error:", err);
         throw new Error("Invalid .zip — must include .shp, .dbf, .shx");
       });
-      if (!geojson || !geojson.features?.length)
+      // shpjs returns one collection per layer when the zip holds several.
+      const features = (Array.isArray(geojson) ? geojson : [geojson]).flatMap(
+        (layer) => (layer && layer.features) || []
+      );
+      if (!features.length)
         return res.status(400).json({ error: "Invalid SHP" });
 
-      console.log("Parsed SHP:", geojson.features.length, "features");
+      console.log("Parsed SHP:", features.length, "features");
 
-      const featuresWithArea = geojson.features.map((feature) => ({
+      // shpjs reprojects to WGS84 using the .prj; without one, projected
+      // (metre) coordinates come through unchanged.
+      if (!features.every(hasLonLatCoords))
+        return res.status(400).json({
+          error:
+            "Coordinates are not WGS84 longitude/latitude; include the .prj file so they can be reprojected",
+        });
+
+      const featuresWithArea = features.map((feature) => ({
         feature,
         area: (() => {
           try {
@@ -464,7 +2275,7 @@ app.post(
           null
         )?.feature;
 
-      const roomPolys = geojson.features.filter((f) => {
+      const roomPolys = features.filter((f) => {
         if (buildingPoly && f === buildingPoly) return false;
         const props = f?.properties || {};
         const typeVal = normPropLookup(props, "type");
@@ -479,73 +2290,65 @@ app.post(
       if (!buildingPoly)
         return res.status(400).json({ error: "Building polygon missing" });
 
-      const bbox = turf.bbox(buildingPoly);
-      const [minLon, minLat, maxLon, maxLat] = bbox;
-
-      const rooms = roomPolys.map((f, idx) => {
-        const coordinates = turf.getCoords(f);
-        const poly = Array.isArray(coordinates[0])
-          ? coordinates[0]
-          : coordinates;
-        const props = f?.properties || {};
-        const sourceId =
-          normPropLookup(props, "id") || normPropLookup(props, "room_id");
-        const sourceName =
-          normPropLookup(props, "name") || normPropLookup(props, "room_name");
-        const sourceType =
-          normPropLookup(props, "room_type") ||
-          normPropLookup(props, "type") ||
-          normPropLookup(props, "category");
-
-        let minX = Infinity,
-          minY = Infinity,
-          maxX = -Infinity,
-          maxY = -Infinity;
-
-        poly.forEach(([lon, lat]) => {
-          const x = (lon - minLon) / (maxLon - minLon);
-          const y = (lat - minLat) / (maxLat - minLat);
-
-          minX = Math.min(minX, x);
-          minY = Math.min(minY, y);
-          maxX = Math.max(maxX, x);
-          maxY = Math.max(maxY, y);
+      const createBuildingFeature = await store.getBuilding(BID);
+      // Rooms are normalised to the same bounds the layout is saved with.
+      const boundsOverride =
+        boundsFromBbox(
+          createBuildingFeature ? turf.bbox(createBuildingFeature) : null
+        ) || boundsFromBbox(turf.bbox(buildingPoly));
+
+      const rooms = roomPolys
+        .map((f) => ({
+          f,
+          shape: normaliseRoomGeometry(f.geometry, boundsOverride),
+        }))
+        .filter(({ shape }) => shape)
+        .map(({ f, shape }, idx) => {
+          const props = f?.properties || {};
+          const sourceId =
+            normPropLookup(props, "id") || normPropLookup(props, "room_id");
+          const sourceName =
+            normPropLookup(props, "name") || normPropLookup(props, "room_name");
+          const sourceType =
+            normPropLookup(props, "room_type") ||
+            normPropLookup(props, "type") ||
+            normPropLookup(props, "category");
+
+          return {
+            id: sourceId || `room-${Date.now()}-${idx}`,
+            type:
+              sourceType && sourceType !== "building"
+                ? String(sourceType)
+                : "room",
+            name: sourceName || `Room ${idx + 1}`,
+            bounds: shape.bounds,
+            polygon: shape.polygon,
+            polygons: shape.polygons,
+            // Pole of inaccessibility: always inside the room. `ulpin` is
+            // the reference point the floor designer keeps and edits.
+            pniu: shape.pniu,
+            ulpin: shape.pniu,
+          };
         });
 
-        return {
-          id: sourceId || `room-${Date.now()}-${idx}`,
-          type:
-            sourceType && sourceType !== "building"
-              ? String(sourceType)
-              : "room",
-          name: sourceName || `Room ${idx + 1}`,
-          bounds: {
-            x: minX,
-            y: minY,
-            width: maxX - minX,
-            height: maxY - minY,
-          },
-          polygon: null,
-          pniu: {
-            x: minX + (maxX - minX) / 2,
-            y: minY + (maxY - minY) / 2,
-          },
-        };
-      });
-
-      const fallbackRooms =
-        rooms.length === 0 ? roomsFromFloorLayouts(BID) : [];
-      const mergedRooms = rooms.length ? rooms : fallbackRooms;
-
-      const filePath = "data/BuildingCommonFloorLayout.json";
-      let json = { type: "FeatureCollection", features: [] };
+      // Without rooms in the shapefile the template (and any floors that
+      // differ from it) come from the apartment grids. Otherwise existing
+      // floor overrides are kept as long as they still share the bounds.
+      const previous = await store.getCommonLayout(BID);
+      const previousOverrides =
+        (previous &&
+          JSON.stringify(previous.properties.bounds) ===
+            JSON.stringify(boundsOverride) &&
+          previous.properties.floorOverrides) ||
+        {};
+      const fromGrids = rooms.length
+        ? null
+        : await templateFromFloorLayouts(BID, entryAuthor(req));
+      const mergedRooms = fromGrids ? fromGrids.rooms : rooms;
+      const floorOverrides = fromGrids
+        ? fromGrids.floorOverrides
+        : previousOverrides;
 
-      if (fs.existsSync(filePath))
-        json = JSON.parse(fs.readFileSync(filePath, "utf8"));
-
-      const idx = json.features.findIndex((f) => f.properties.BID === BID);
-
-      const createBuildingFeature = getCreateBuildingFeature(BID);
       const buildingDetails = createBuildingFeature?.properties
         ? {
             name:
@@ -559,13 +2362,11 @@ app.post(
           }
         : null;
 
-      let boundsOverride = boundsFromBbox(
-        createBuildingFeature ? turf.bbox(createBuildingFeature) : null
-      ) || { minLon, minLat, maxLon, maxLat };
-
       const layout = {
         bounds: boundsOverride,
         rooms: mergedRooms,
+        floorOverrides,
+        updatedAt: new Date().toISOString(),
       };
 
       const updatedFeature = {
@@ -575,15 +2376,17 @@ app.post(
           bounds: boundsOverride,
           rooms: layout.rooms,
           buildingDetails,
+          ...(Object.keys(floorOverrides).length ? { floorOverrides } : {}),
+          updatedAt: layout.updatedAt,
+          updatedBy: entryAuthor(req),
         },
         geometry:
           createBuildingFeature?.geometry || buildingPoly.geometry || null,
       };
 
-      if (idx >= 0) json.features[idx] = updatedFeature;
-      else json.features.push(updatedFeature);
-
-      fs.writeFileSync(filePath, JSON.stringify(json, null, 2));
+      await store.upsertCommonLayout(updatedFeature);
+      invalidateSearchIndex();
+      emitChange(req, "layout.saved", { bid: BID, scope: "common" });
 
       res.json({ success: true, layout });
     } catch (e) {
@@ -593,6 +2396,254 @@ app.post(
   }
 );
 
+/** -------------- BULK BUILDING IMPORT (see lib/buildingImport.js) -------------- **/
+// multipart: file (.zip shapefile, .geojson/.json or .csv with WKT), optional
+// mapping (JSON { NAME, height, floors, building_type } → column) and
+// commit=1. Without commit it is a dry run that only returns the report.
+app.post(
+  "/api/buildings/import",
+  requireRole("surveyor"),
+  memUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "file required" });
+
+      let mapping = {};
+      if (req.body.mapping) {
+        try {
+          mapping = JSON.parse(req.body.mapping) || {};
+        } catch (e) {
+          return res.status(400).json({ error: "mapping must be JSON" });
+        }
+      }
+      const commit = req.body.commit === "1" || req.body.commit === "true";
+
+      const parsed = await parseImportFile(req.file);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+      if (!parsed.features.length)
+        return res.status(400).json({ error: "File contains no features" });
+
+      const existing = (await store.listBuildings()).features;
+      const firstBid =
+        Math.max(999, ...existing.map((f) => Number(f.properties.BID) || 0)) +
+        1;
+      const { summary, rows } = planImport({
+        features: parsed.features,
+        existing,
+        validateFootprint: validateBuildingFootprint,
+        mapping,
+        firstBid,
+      });
+
+      if (commit) {
+        const accepted = rows.filter((r) => r.status === "ok");
+        if (!accepted.length)
+          return res
+            .status(400)
+            .json({ error: "No importable buildings", summary, rows });
+        const stored = await store.importBuildings(
+          accepted.map((r) => r.feature)
+        );
+        accepted.forEach((r, i) => {
+          r.BID = stored[i].properties.BID;
+        });
+        invalidateSearchIndex();
+        for (const f of stored)
+          emitChange(req, "building.created", {
+            bid: Number(f.properties.BID),
+            village: villages.codeOf(f.properties),
+          });
+      }
+
+      return res.json({
+        dryRun: !commit,
+        summary,
+        rows: rows.map(({ feature, ...report }) => report),
+      });
+    } catch (e) {
+      console.error("Building import failed:", e);
+      return res.status(500).json({ error: "Failed to import buildings" });
+    }
+  }
+);
+
+/** -------------- VILLAGE ROUTES (see lib/villages.js) -------------- **/
+app.get("/api/villages", requireRole("viewer"), (req, res) => {
+  return res.json({ villages: villages.list() });
+});
+
+// ?ids=<parcel id> returns only that parcel; the map draws the rest from
+// vector tiles, whose geometry is clipped at tile edges.
+app.get("/api/villages/:code/parcels", requireRole("viewer"), (req, res) => {
+  if (!villages.get(req.params.code))
+    return res.status(404).json({ error: "Village not found" });
+  const parcels = loadVillageParcels(req.params.code);
+  return res.json({
+    type: "FeatureCollection",
+    features:
+      req.query.ids != null
+        ? parcels.filter(
+            (f) => String(f.properties.IDS) === String(req.query.ids)
+          )
+        : parcels,
+  });
+});
+
+// Registers a village from its parcel shapefile: multipart `file` (a .zip
+// with .shp, .dbf, .shx and .prj, or GeoJSON), optional `code` when the
+// parcels have no VIL_CO_NIC, and replace=1 to load a new parcel map for a
+// village already registered.
+app.post(
+  "/api/villages",
+  requireRole("admin"),
+  memUpload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) return res.status(400).json({ error: "file required" });
+      const parsed = await parseImportFile(req.file);
+      if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+      const result = await villages.register(parsed.features, {
+        code: req.body.code,
+        replace: req.body.replace === "1" || req.body.replace === "true",
+        createdBy: req.user.username,
+      });
+      if (result.error)
+        return res.status(result.status).json({ error: result.error });
+      invalidateSearchIndex();
+      tileServer.invalidateParcels(result.village.code);
+      return res.json({ ok: true, village: result.village });
+    } catch (e) {
+      console.error("Village registration failed:", e);
+      return res.status(500).json({ error: "Failed to register village" });
+    }
+  }
+);
+
+/** -------------- VECTOR TILE ROUTES (see lib/vectorTiles.js) -------------- **/
+const tileServer = createTileServer({
+  parcelsOf: loadVillageParcels,
+  buildingsOf: async (code) => {
+    const [buildings, layouts] = await Promise.all([
+      store.listBuildings(),
+      store.getCommonLayouts(),
+    ]);
+    return {
+      buildings: buildings.features.filter(
+        (f) => villages.codeOf((f && f.properties) || {}) === code
+      ),
+      layouts: layouts.features,
+    };
+  },
+  propertyIdOf: buildingPropertyId,
+});
+
+// Apartment layouts are not in the tiles; every other change is, and only
+// reaches the tiles of the building's village.
+events.subscribe((event) => {
+  if (
+    event.type.startsWith("building.") ||
+    (event.type === "layout.saved" && event.data.scope !== "apartment")
+  )
+    tileServer.invalidateBuilding(event.data.bid, event.data.village);
+});
+
+// TileJSON for the village's tiles; the map's vector source points here and
+// reloads it after changes to pick up the new tile URLs.
+app.get(
+  "/api/tiles/:village/tiles.json",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const village = villages.get(req.params.village);
+      if (!village) return res.status(404).json({ error: "Village not found" });
+      const tileUrl = `${publicBaseUrl(req)}/api/tiles/${encodeURIComponent(
+        village.code
+      )}/{z}/{x}/{y}.pbf?v=${tileServer.version(village.code)}`;
+      res.setHeader("Cache-Control", "no-cache");
+      return res.json(await tileServer.tileJson(village, tileUrl));
+    } catch (e) {
+      console.error("TileJSON failed:", e);
+      return res.status(500).json({ error: "Failed to describe tiles" });
+    }
+  }
+);
+
+// Mapbox Vector Tile; 204 when nothing of the village falls in the tile.
+app.get(
+  "/api/tiles/:village/:z/:x/:y.pbf",
+  requireRole("viewer"),
+  async (req, res) => {
+    try {
+      const village = villages.get(req.params.village);
+      if (!village) return res.status(404).json({ error: "Village not found" });
+      const [z, x, y] = ["z", "x", "y"].map((k) => Number(req.params[k]));
+      const size = 2 ** z;
+      if (
+        ![z, x, y].every(Number.isInteger) ||
+        z < 0 ||
+        z > 24 ||
+        x < 0 ||
+        x >= size ||
+        y < 0 ||
+        y >= size
+      )
+        return res.status(400).json({ error: "Invalid tile coordinates" });
+
+      const buffer = await tileServer.tile(village.code, z, x, y);
+      if (!buffer.length) return res.status(204).end();
+      res.setHeader("Content-Type", "application/vnd.mapbox-vector-tile");
+      // Tile URLs carry the version, so a tile never changes under its URL.
+      res.setHeader("Cache-Control", "private, max-age=86400");
+      return res.send(buffer);
+    } catch (e) {
+      console.error("Tile failed:", e);
+      return res.status(500).json({ error: "Failed to build tile" });
+    }
+  }
+);
+
+/** -------------- CHANGE EVENT ROUTES (see lib/events.js) -------------- **/
+// Server-Sent Events for open map clients. A reconnecting EventSource sends
+// Last-Event-ID and gets the events it missed, or "resync" when they are no
+// longer kept.
+app.get("/api/events", requireRole("viewer"), (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders();
+
+  const send = (event) =>
+    res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`
+    );
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    const missed = events.since(lastEventId);
+    if (missed) missed.forEach(send);
+    else res.write("event: resync\ndata: {}\n\n");
+  }
+
+  const unsubscribe = events.subscribe(send);
+  // Comments keep proxies from closing an idle stream.
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), 25000);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// Configured webhooks (without secrets) and their recent delivery attempts.
+app.get("/api/webhooks", requireRole("admin"), (req, res) => {
+  return res.json({
+    webhooks: events.webhooks(),
+    deliveries: events.deliveries(),
+  });
+});
+
 /** ---------------------- ERROR HANDLER ---------------------- **/
 app.use((err, req, res, next) => {
   console.error("Server error:", err);
@@ -603,9 +2654,13 @@ app.use((err, req, res, next) => {
 });
 
 /** ---------------------- START SERVER ---------------------- **/
-app.listen(PORT, () => {
-  console.log(
-    `Server running at https://ulpindemo.onrender.com, 
+store
+  .init()
+  .then(() => villages.init())
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(
+        `Server running at https://ulpindemo.onrender.com, 
                   https://ulpindemo.onrender.com/createBuilding.html, - Main CURRENT FILE
                                                              - User Can Create & Edit Building,
                                                              - Insert/Update Owner Details Floor Wise,
@@ -615,5 +2670,10 @@ app.listen(PORT, () => {
                   https://ulpindemo.onrender.com/BuildingWIthHeight.html, - single building with hight & floor change
                   https://ulpindemo.onrender.com/heightBuildingEnhanced.html, - Multiple Buildings along a road
                   https://ulpindemo.onrender.com/DrawBuildingFloorLayout.html`
-  );
-});
+      );
+    });
+  })
+  .catch((err) => {
+    console.error("Failed to initialise storage:", err);
+    process.exit(1);
+  });
@@ -0,0 +1,112 @@
+/** -------------- OFFLINE CACHE (service worker) --------------
+ * Registered by index.html. Keeps the app shell, the village parcels, the
+ * map tiles and the building/layout data the surveyor last saw, so the map
+ * and designers open without a network. Everything is network-first: the
+ * cache is only read when the request fails.
+ *
+ * Writes are never cached or replayed here; index.html queues them in
+ * IndexedDB (lib/offlineQueue.js) and syncs when it is back online.
+ *
+ * Uploads, owner entries and UrPro cards hold PII and are left out.
+ **/
+const CACHE = "bhuadhaar-offline-v3";
+
+const SHELL = [
+  "/",
+  "/index.html",
+  "/lib/ulpin.js",
+  "/lib/roomShape.js",
+  "/lib/layoutAreas.js",
+  "/lib/floorOverrides.js",
+  "/lib/offlineQueue.js",
+];
+
+// API reads worth keeping; matched against the path.
+const CACHED_API = [
+  /^\/api\/auth\/me$/,
+  /^\/api\/villages(\/[^/]+\/parcels)?$/,
+  /^\/api\/buildings(\/[^/]+)?$/,
+  /^\/api\/tiles\//,
+  /^\/api\/common-layouts$/,
+  /^\/api\/floor-layouts(\/|$)/,
+  /^\/api\/entries\/versions$/,
+  /^\/api\/area-statement\//,
+];
+
+// Map libraries loaded from CDNs by index.html.
+const CACHED_HOSTS = ["unpkg.com", "cdn.jsdelivr.net"];
+
+function cacheable(url) {
+  if (url.origin !== self.location.origin)
+    return CACHED_HOSTS.includes(url.hostname);
+  if (url.pathname.startsWith("/api/"))
+    return CACHED_API.some((re) => re.test(url.pathname));
+  return !url.pathname.startsWith("/upload/");
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+  const url = new URL(request.url);
+  if (!cacheable(url)) return;
+
+  event.respondWith(
+    fetch(request)
+      .then((response) => {
+        // Opaque CDN responses report status 0 but are still usable.
+        if (response.ok || response.type === "opaque") {
+          const copy = response.clone();
+          caches.open(CACHE).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      })
+      .catch(() =>
+        caches
+          .match(request)
+          .then((cached) => cached || Promise.reject(new Error("Offline")))
+      )
+  );
+});
+
+// Sent by index.html on logout, so the next user does not start from the
+// previous session's cached API reads.
+self.addEventListener("message", (event) => {
+  if (event.data !== "clear-api-cache") return;
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) =>
+        cache
+          .keys()
+          .then((requests) =>
+            Promise.all(
+              requests
+                .filter((r) => new URL(r.url).pathname.startsWith("/api/"))
+                .map((r) => cache.delete(r))
+            )
+          )
+      )
+  );
+});
@@ -0,0 +1,396 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const turf = require("@turf/turf");
+const Ajv = require("ajv");
+const { buildCityModel, CITYJSON_VERSION } = require("../lib/cityJson");
+
+// The parts of the CityJSON 2.0 schema (https://www.cityjson.org/schemas/)
+// the export uses: the root, the city object types, and Solid / MultiSolid
+// geometry. Second-level types must name their parents.
+const FIRST_LEVEL = [
+  "Bridge",
+  "Building",
+  "CityFurniture",
+  "CityObjectGroup",
+  "GenericCityObject",
+  "LandUse",
+  "OtherConstruction",
+  "PlantCover",
+  "SolitaryVegetationObject",
+  "TINRelief",
+  "TransportSquare",
+  "Railway",
+  "Road",
+  "Tunnel",
+  "WaterBody",
+  "Waterway",
+];
+const SECOND_LEVEL = [
+  "BridgePart",
+  "BridgeInstallation",
+  "BridgeConstructiveElement",
+  "BridgeRoom",
+  "BridgeFurniture",
+  "BuildingPart",
+  "BuildingInstallation",
+  "BuildingConstructiveElement",
+  "BuildingFurniture",
+  "BuildingStorey",
+  "BuildingRoom",
+  "BuildingUnit",
+  "TunnelPart",
+  "TunnelInstallation",
+  "TunnelConstructiveElement",
+  "TunnelHollowSpace",
+  "TunnelFurniture",
+];
+const ids = { type: "array", items: { type: "string" }, minItems: 1 };
+const triple = {
+  type: "array",
+  items: { type: "number" },
+  minItems: 3,
+  maxItems: 3,
+};
+const nested = (items, depth) =>
+  depth ? { type: "array", items: nested(items, depth - 1) } : items;
+const ring = {
+  type: "array",
+  items: { type: "integer", minimum: 0 },
+  minItems: 3,
+};
+const solidGeometry = (type, depth) => ({
+  type: "object",
+  required: ["type", "lod", "boundaries"],
+  properties: {
+    type: { const: type },
+    lod: { type: "string", pattern: "^\\d(\\.\\d)?$" },
+    boundaries: nested(ring, depth),
+  },
+});
+const cityObject = (types, required) => ({
+  type: "object",
+  required,
+  properties: {
+    type: { enum: types },
+    attributes: { type: "object" },
+    geometry: {
+      type: "array",
+      items: {
+        oneOf: [solidGeometry("Solid", 3), solidGeometry("MultiSolid", 4)],
+      },
+    },
+    parents: ids,
+    children: ids,
+  },
+});
+const SCHEMA = {
+  type: "object",
+  required: ["type", "version", "transform", "CityObjects", "vertices"],
+  properties: {
+    type: { const: "CityJSON" },
+    version: { const: "2.0" },
+    transform: {
+      type: "object",
+      required: ["scale", "translate"],
+      properties: { scale: triple, translate: triple },
+    },
+    metadata: {
+      type: "object",
+      properties: {
+        title: { type: "string" },
+        referenceDate: { type: "string", pattern: "^\\d{4}-\\d{2}-\\d{2}$" },
+        referenceSystem: {
+          type: "string",
+          pattern: "^https://www\\.opengis\\.net/def/crs/EPSG/0/\\d+$",
+        },
+        geographicalExtent: {
+          type: "array",
+          items: { type: "number" },
+          minItems: 6,
+          maxItems: 6,
+        },
+      },
+    },
+    CityObjects: {
+      type: "object",
+      additionalProperties: {
+        oneOf: [
+          cityObject(FIRST_LEVEL, ["type"]),
+          cityObject(SECOND_LEVEL, ["type", "parents"]),
+        ],
+      },
+    },
+    vertices: {
+      type: "array",
+      items: {
+        type: "array",
+        items: { type: "integer" },
+        minItems: 3,
+        maxItems: 3,
+      },
+    },
+  },
+};
+
+const square = (lon, lat, size) => [
+  [lon, lat],
+  [lon + size, lat],
+  [lon + size, lat + size],
+  [lon, lat + size],
+  [lon, lat],
+];
+
+// A two-storey courtyard building with a common layout (overridden on the
+// second floor) and a one-storey building in two parts.
+const courtyard = {
+  type: "Feature",
+  properties: {
+    BID: 1,
+    NAME: "Courtyard",
+    floors: 2,
+    height: 6,
+    apartmentCounts: { 1: 2, 2: 1 },
+    original_id: "P-17",
+  },
+  geometry: {
+    type: "Polygon",
+    coordinates: [
+      square(77.025, 28.648, 0.0002),
+      square(77.02508, 28.64808, 0.00004).reverse(),
+    ],
+  },
+};
+const twoParts = {
+  type: "Feature",
+  properties: { BID: 2, NAME: "Sheds", floors: 1, height: 3 },
+  geometry: {
+    type: "MultiPolygon",
+    coordinates: [
+      [square(77.0254, 28.648, 0.00005)],
+      [square(77.0256, 28.648, 0.00005)],
+    ],
+  },
+};
+const layout = {
+  type: "Feature",
+  properties: {
+    BID: 1,
+    bounds: {
+      minLon: 77.025,
+      minLat: 28.648,
+      maxLon: 77.0252,
+      maxLat: 28.6482,
+    },
+    rooms: [
+      {
+        id: "hall",
+        name: "Hall",
+        bounds: { x: 0, y: 0, width: 0.4, height: 1 },
+      },
+      {
+        id: "kitchen",
+        name: "Kitchen",
+        polygon: [
+          { x: 0.6, y: 0 },
+          { x: 1, y: 0 },
+          { x: 1, y: 0.3 },
+        ],
+      },
+    ],
+    floorOverrides: {
+      2: {
+        rooms: [
+          {
+            id: "terrace",
+            name: "Terrace",
+            bounds: { x: 0.6, y: 0.6, width: 0.4, height: 0.4 },
+          },
+        ],
+      },
+    },
+  },
+  geometry: null,
+};
+
+function buildModel(filter) {
+  return buildCityModel({
+    buildings: { type: "FeatureCollection", features: [courtyard, twoParts] },
+    layouts: { type: "FeatureCollection", features: [layout] },
+    floorLayouts: {
+      "1_floor_1": { apartments: { 1: { rooms: [{ name: "Bedroom" }] } } },
+    },
+    filter,
+    propertyIdOf: (props) => props.original_id || `B-${props.BID}`,
+    villageOf: () => "064321",
+    title: "Test buildings",
+  });
+}
+
+// Every shell of every geometry, as arrays of surfaces of rings of vertex
+// indices.
+function shells(geometry) {
+  return geometry.type === "Solid"
+    ? geometry.boundaries
+    : geometry.boundaries.flat();
+}
+
+function eachShell(model, fn) {
+  for (const [id, object] of Object.entries(model.CityObjects))
+    for (const geometry of object.geometry || [])
+      for (const shell of shells(geometry)) fn(shell, id);
+}
+
+// Signed volume of a closed shell: positive when its surfaces face
+// outwards.
+function signedVolume(shell, point) {
+  let sum = 0;
+  for (const surface of shell)
+    for (const ring of surface) {
+      const [a] = ring.map(point);
+      for (let i = 1; i + 1 < ring.length; i++) {
+        const b = point(ring[i]);
+        const c = point(ring[i + 1]);
+        sum +=
+          a[0] * (b[1] * c[2] - b[2] * c[1]) -
+          a[1] * (b[0] * c[2] - b[2] * c[0]) +
+          a[2] * (b[0] * c[1] - b[1] * c[0]);
+      }
+    }
+  return sum / 6;
+}
+
+test("validates against the CityJSON 2.0 schema", () => {
+  const model = buildModel();
+  const validate = new Ajv({ allErrors: true }).compile(SCHEMA);
+  assert.ok(validate(model), JSON.stringify(validate.errors, null, 2));
+  assert.equal(model.version, CITYJSON_VERSION);
+});
+
+test("builds the building, storey, room and unit hierarchy", () => {
+  const { CityObjects } = buildModel();
+  const byType = {};
+  for (const [id, object] of Object.entries(CityObjects))
+    (byType[object.type] = byType[object.type] || []).push(id);
+  assert.deepEqual(byType.Building, ["B1", "B2"]);
+  assert.deepEqual(byType.BuildingStorey, ["B1-F1", "B1-F2", "B2-F1"]);
+  assert.deepEqual(byType.BuildingRoom, [
+    "B1-F1-hall",
+    "B1-F1-kitchen",
+    "B1-F2-terrace",
+  ]);
+  assert.deepEqual(byType.BuildingUnit, [
+    "B1-F1-A1",
+    "B1-F1-A2",
+    "B1-F2-A1",
+    "B2-F1-A1",
+  ]);
+  assert.equal(CityObjects.B2.geometry[0].type, "MultiSolid");
+  assert.deepEqual(CityObjects["B1-F1-A1"].attributes.rooms, ["Bedroom"]);
+});
+
+test("parent and child links are symmetric", () => {
+  const { CityObjects } = buildModel();
+  const parentType = {
+    BuildingStorey: "Building",
+    BuildingRoom: "BuildingStorey",
+    BuildingUnit: "BuildingStorey",
+  };
+  for (const [id, object] of Object.entries(CityObjects)) {
+    for (const child of object.children || [])
+      assert.ok(
+        CityObjects[child] && CityObjects[child].parents.includes(id),
+        `${child} does not name ${id} as its parent`
+      );
+    for (const parent of object.parents || []) {
+      assert.ok(
+        CityObjects[parent] && CityObjects[parent].children.includes(id),
+        `${parent} does not list ${id} as a child`
+      );
+      assert.equal(CityObjects[parent].type, parentType[object.type]);
+    }
+    assert.equal(Boolean(object.parents), object.type !== "Building", id);
+  }
+});
+
+test("vertex indices are in range", () => {
+  const model = buildModel();
+  assert.ok(model.vertices.length > 0);
+  eachShell(model, (shell, id) => {
+    for (const surface of shell)
+      for (const ring of surface) {
+        assert.equal(new Set(ring).size, ring.length, `${id} repeats a vertex`);
+        for (const index of ring)
+          assert.ok(
+            Number.isInteger(index) &&
+              index >= 0 &&
+              index < model.vertices.length,
+            `${id}: vertex ${index} out of range`
+          );
+      }
+  });
+});
+
+test("shells are closed and face outwards", () => {
+  const model = buildModel();
+  const { scale } = model.transform;
+  const point = (i) => model.vertices[i].map((n, k) => n * scale[k]);
+  let count = 0;
+  eachShell(model, (shell, id) => {
+    // Closed and consistently oriented: each edge is walked once each way.
+    const edges = new Map();
+    for (const surface of shell)
+      for (const ring of surface)
+        ring.forEach((a, i) => {
+          const key = `${a}>${ring[(i + 1) % ring.length]}`;
+          edges.set(key, (edges.get(key) || 0) + 1);
+        });
+    for (const [key, n] of edges) {
+      const [a, b] = key.split(">");
+      assert.equal(n, 1, `${id}: edge ${key} used ${n} times`);
+      assert.equal(edges.get(`${b}>${a}`), 1, `${id}: edge ${key} is open`);
+    }
+    assert.ok(signedVolume(shell, point) > 0, `${id} faces inwards`);
+    count++;
+  });
+  assert.equal(count, 10);
+
+  // The building solid holds its footprint (less the courtyard) times its
+  // height.
+  const [shell] = model.CityObjects.B1.geometry[0].boundaries;
+  const volume = signedVolume(shell, point);
+  const expected = turf.area(courtyard) * courtyard.properties.height;
+  assert.ok(Math.abs(volume - expected) / expected < 0.01, `${volume}`);
+});
+
+test("attributes are flat", () => {
+  const { CityObjects } = buildModel();
+  for (const [id, object] of Object.entries(CityObjects))
+    for (const [key, value] of Object.entries(object.attributes || {}))
+      assert.ok(
+        typeof value !== "object" ||
+          (Array.isArray(value) && value.every((v) => typeof v !== "object")),
+        `${id}.${key} is not flat`
+      );
+  const building = CityObjects.B1.attributes;
+  assert.equal(building.apartmentCounts, undefined);
+  assert.equal(building.NAME, "Courtyard");
+  assert.equal(building.measuredHeight, 6);
+  assert.equal(building.storeysAboveGround, 2);
+  assert.equal(building.propertyId, "P-17");
+  assert.equal(building.village, "064321");
+  assert.equal(CityObjects["B1-F1"].attributes.apartments, 2);
+  assert.equal(CityObjects["B1-F2"].attributes.apartments, 1);
+  assert.equal(CityObjects["B2-F1"].attributes.apartments, 1);
+});
+
+test("filters by building and floor", () => {
+  const { CityObjects } = buildModel({ bid: 1, floor: 2 });
+  assert.deepEqual(Object.keys(CityObjects).sort(), [
+    "B1",
+    "B1-F2",
+    "B1-F2-A1",
+    "B1-F2-terrace",
+  ]);
+  assert.deepEqual(CityObjects.B1.children, ["B1-F2"]);
+  assert.deepEqual(Object.keys(buildModel({ bid: 3 }).CityObjects), []);
+});
@@ -0,0 +1,475 @@
+/** Runs the same storage contract against both backends.
+ * The Postgres run needs DATABASE_URL (with PostGIS available) and is
+ * skipped without it:
+ *
+ *   DATABASE_URL=postgres://localhost/ulpin npm test
+ *
+ * It works in a scratch schema that is dropped afterwards, so the
+ * database's own tables are left alone.
+ **/
+const { describe, test, before, beforeEach, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createJsonStore, createPgStore } = require("../lib/storage");
+
+const EMPTY = { type: "FeatureCollection", features: [] };
+
+function jsonBackend() {
+  const dirs = [];
+  return {
+    async fresh() {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-contract-"));
+      dirs.push(dir);
+      const store = createJsonStore({ dataDir: dir });
+      await store.init();
+      return store;
+    },
+    async done() {
+      for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+function pgBackend(url) {
+  const schema = `store_contract_${process.pid}`;
+  const scoped = new URL(url);
+  scoped.searchParams.set("options", `-c search_path=${schema},public`);
+  let store = null;
+  return {
+    async setup() {
+      store = createPgStore({ connectionString: scoped.toString() });
+      await store.pool.query(`CREATE SCHEMA IF NOT EXISTS ${schema}`);
+      await store.init();
+    },
+    async fresh() {
+      await store.importSnapshot({
+        buildings: EMPTY,
+        floorLayouts: {},
+        commonLayouts: EMPTY,
+        entries: {},
+      });
+      return store;
+    },
+    async done() {
+      if (!store) return;
+      await store.pool.query(`DROP SCHEMA IF EXISTS ${schema} CASCADE`);
+      await store.close();
+    },
+  };
+}
+
+function building(bid, props = {}) {
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Polygon",
+      coordinates: [
+        [
+          [77.0251, 28.6481],
+          [77.0252, 28.6481],
+          [77.0252, 28.6482],
+          [77.0251, 28.6482],
+          [77.0251, 28.6481],
+        ],
+      ],
+    },
+    properties: {
+      BID: bid,
+      NAME: `Building ${bid}`,
+      building_type: "Standard",
+      height: 6,
+      floors: 2,
+      original_id: `P-${bid}`,
+      apartmentCounts: { 1: 2, 2: 1 },
+      ...props,
+    },
+  };
+}
+
+const propertyIdOf = (props) => props.original_id;
+
+const BACKENDS = [
+  { name: "json", backend: jsonBackend },
+  {
+    name: "postgres",
+    backend: () => pgBackend(process.env.DATABASE_URL),
+    skip: !process.env.DATABASE_URL && "DATABASE_URL is not set",
+  },
+];
+
+for (const { name, backend: createBackend, skip } of BACKENDS) {
+  describe(`${name} store`, { skip }, () => {
+    const backend = createBackend();
+    let store;
+
+    before(async () => {
+      if (backend.setup) await backend.setup();
+    });
+    beforeEach(async () => {
+      store = await backend.fresh();
+    });
+    after(() => backend.done());
+
+    test("creates, reads, updates and lists buildings", async () => {
+      assert.deepEqual(
+        await store.createBuilding(building(1000)),
+        building(1000)
+      );
+      assert.equal(await store.createBuilding(building(1000)), null);
+      await store.createBuilding(
+        building(1001, { floors: 1, apartmentCounts: { 1: 3 } })
+      );
+
+      assert.deepEqual(await store.getBuilding(1000), building(1000));
+      assert.deepEqual(
+        await store.getBuilding("1001"),
+        building(1001, { floors: 1, apartmentCounts: { 1: 3 } })
+      );
+      assert.equal(await store.getBuilding(999), null);
+
+      const updated = await store.updateBuilding(1000, (current) => ({
+        ...current,
+        properties: { ...current.properties, NAME: "Renamed" },
+      }));
+      assert.equal(updated.properties.NAME, "Renamed");
+      assert.equal((await store.getBuilding(1000)).properties.NAME, "Renamed");
+      assert.equal(await store.updateBuilding(999, (f) => f), null);
+
+      const { features } = await store.listBuildings();
+      assert.deepEqual(
+        features.map((f) => f.properties.BID),
+        [1000, 1001]
+      );
+    });
+
+    test("an update that throws leaves the building as it was", async () => {
+      await store.createBuilding(building(1000));
+      await assert.rejects(
+        store.updateBuilding(1000, () => {
+          throw new Error("invalid");
+        }),
+        /invalid/
+      );
+      assert.deepEqual(await store.getBuilding(1000), building(1000));
+    });
+
+    test("imports buildings with the next free BIDs", async () => {
+      const none = await store.importBuildings([building(1), building(2)]);
+      assert.deepEqual(
+        none.map((f) => f.properties.BID),
+        [1000, 1001]
+      );
+      await store.createBuilding(building(1500));
+      const more = await store.importBuildings([building(3)]);
+      assert.equal(more[0].properties.BID, 1501);
+      assert.equal(
+        (await store.getBuilding(1501)).properties.NAME,
+        "Building 3"
+      );
+    });
+
+    test("deletes a building with its layouts and unshared entries", async () => {
+      await store.createBuilding(building(1000));
+      await store.createBuilding(building(1001, { original_id: "P-1000" }));
+      await store.createBuilding(building(1002));
+      for (const bid of [1000, 1002]) {
+        await store.saveFloorLayout(bid, 1, 1, {
+          grid: { cols: 2 },
+          rooms: [],
+        });
+        await store.saveFloorLayout(bid, 2, 1, {
+          grid: { cols: 2 },
+          rooms: [],
+        });
+        await store.upsertCommonLayout({
+          type: "Feature",
+          geometry: null,
+          properties: { BID: bid, bounds: null, rooms: [] },
+        });
+        await store.appendEntry(`P-${bid}__F1`, { owner: "A" }, {});
+      }
+
+      // 1001 shares P-1000, so its entries stay.
+      assert.deepEqual(await store.deleteBuilding(1000, propertyIdOf), {
+        floorLayouts: 2,
+        commonLayouts: 1,
+        entries: 0,
+      });
+      assert.equal((await store.getEntryVersions("P-1000__F1")).length, 1);
+      assert.deepEqual(await store.deleteBuilding(1002, propertyIdOf), {
+        floorLayouts: 2,
+        commonLayouts: 1,
+        entries: 1,
+      });
+      assert.deepEqual(await store.getEntryVersions("P-1002__F1"), []);
+      assert.equal(await store.getBuilding(1002), null);
+      assert.equal(await store.getFloorLayout(1002, 1, 1), null);
+      assert.equal(await store.getCommonLayout(1002), null);
+      assert.equal(await store.deleteBuilding(1002, propertyIdOf), null);
+    });
+
+    test("appends numbered entry versions with diffs", async () => {
+      const key = "P-1000__F1";
+      const first = await store.appendEntry(
+        key,
+        { owner: "A" },
+        { author: "sam" }
+      );
+      const second = await store.appendEntry(
+        key,
+        { owner: "B", phone: "1" },
+        { author: "kim", restoredFrom: 1 }
+      );
+      assert.equal(first.version, 1);
+      assert.equal(second.version, 2);
+      assert.equal(second.restoredFrom, 1);
+
+      const versions = await store.getEntryVersions(key);
+      assert.deepEqual(versions, [first, second]);
+      assert.deepEqual(await store.getEntryVersion(key, 2), second);
+      assert.equal(await store.getEntryVersion(key, 3), null);
+      assert.deepEqual(await store.getEntries(key), [
+        { owner: "A" },
+        { owner: "B", phone: "1" },
+      ]);
+      assert.deepEqual(await store.getAllEntries(), { [key]: versions });
+      assert.deepEqual(await store.getEntryVersions("P-9__F1"), []);
+    });
+
+    test("moves the latest version through the review workflow", async () => {
+      const key = "P-1000__F1";
+      assert.equal(
+        await store.transitionEntry(key, "submit", { by: "sam" }),
+        null
+      );
+      await store.appendEntry(key, { owner: "A" }, { author: "sam" });
+
+      const submitted = await store.transitionEntry(key, "submit", {
+        by: "sam",
+        remarks: "done",
+      });
+      assert.equal(submitted.record.status, "submitted");
+      assert.match(
+        (await store.transitionEntry(key, "approve", { by: "lee" })).error,
+        /Cannot approve an entry that is submitted/
+      );
+      assert.match(
+        (await store.transitionEntry(key, "publish", { by: "lee" })).error,
+        /Unknown action/
+      );
+
+      assert.deepEqual(
+        await store.transitionEntry(key, "verify", { by: "sam" }),
+        { status: 403, error: "sam may not verify an entry they submitted" }
+      );
+      await store.transitionEntry(key, "verify", { by: "kim" });
+      assert.equal(
+        (await store.transitionEntry(key, "approve", { by: "kim" })).status,
+        403
+      );
+      const approved = await store.transitionEntry(key, "approve", {
+        by: "lee",
+      });
+      assert.equal(approved.record.status, "approved");
+
+      // Every step is a version of its own, with the unchanged entry.
+      const versions = await store.getEntryVersions(key);
+      assert.deepEqual(
+        versions.map((v) => [v.version, v.author, v.status]),
+        [
+          [1, "sam", "draft"],
+          [2, "sam", "submitted"],
+          [3, "kim", "verified"],
+          [4, "lee", "approved"],
+        ]
+      );
+      // (as stored: without the remarks left undefined)
+      assert.deepEqual(
+        versions[3],
+        JSON.parse(JSON.stringify(approved.record))
+      );
+      assert.deepEqual(versions[3].entry, { owner: "A" });
+      assert.deepEqual(versions[2].diff, [
+        { field: "status", from: "submitted", to: "verified" },
+      ]);
+      assert.equal(versions[2].savedAt, versions[3].transitions[1].at);
+      assert.deepEqual(
+        versions[3].transitions.map((t) => [t.action, t.from, t.to, t.by]),
+        [
+          ["submit", "draft", "submitted", "sam"],
+          ["verify", "submitted", "verified", "kim"],
+          ["approve", "verified", "approved", "lee"],
+        ]
+      );
+      assert.equal(versions[3].transitions[0].remarks, "done");
+
+      // Saving again starts a new review.
+      await store.appendEntry(key, { owner: "B" }, { author: "sam" });
+      await store.transitionEntry(key, "submit", { by: "sam" });
+      assert.equal(
+        (await store.transitionEntry(key, "verify", { by: "kim" })).record
+          .status,
+        "verified"
+      );
+    });
+
+    test("rewrites every stored version", async () => {
+      await store.appendEntry("P-1__F1", { owner: "A" }, {});
+      await store.appendEntry("P-1__F1", { owner: "B" }, {});
+      await store.appendEntry("P-2__F1", { owner: "C" }, {});
+      const count = await store.rewriteEntryVersions((record) => ({
+        ...record,
+        entry: { ...record.entry, owner: record.entry.owner.toLowerCase() },
+      }));
+      assert.equal(count, 3);
+      assert.deepEqual(await store.getEntries("P-1__F1"), [
+        { owner: "a" },
+        { owner: "b" },
+      ]);
+    });
+
+    test("keeps apartment layouts per floor", async () => {
+      const layout = {
+        grid: { cols: 4, rows: 3 },
+        rooms: [{ id: "r1", name: "Hall", type: "living" }],
+        note: "north",
+      };
+      await store.saveFloorLayout(1000, 1, 1, layout);
+      await store.saveFloorLayout(1000, 1, 2, { grid: null, rooms: [] });
+      await store.saveFloorLayout(1000, 2, 1, layout);
+      assert.deepEqual(await store.getFloorLayout(1000, 1, 1), layout);
+      assert.equal(await store.getFloorLayout(1000, 3, 1), null);
+      assert.deepEqual(
+        Object.keys((await store.getFloorLayouts())["1000_floor_1"].apartments),
+        ["1", "2"]
+      );
+
+      await store.replaceFloorLayouts(1000, { 1: { 3: layout }, 2: {} });
+      const layouts = await store.getFloorLayouts();
+      assert.deepEqual(Object.keys(layouts), ["1000_floor_1"]);
+      assert.deepEqual(layouts["1000_floor_1"].apartments, { 3: layout });
+    });
+
+    test("keeps one common layout per building", async () => {
+      const layout = (bid, name) => ({
+        type: "Feature",
+        geometry: null,
+        properties: {
+          BID: bid,
+          bounds: { minLon: 77, minLat: 28, maxLon: 77.1, maxLat: 28.1 },
+          rooms: [{ id: "r1", name }],
+          buildingDetails: { floors: 2 },
+        },
+      });
+      await store.upsertCommonLayout(layout(1000, "Lobby"));
+      await store.upsertCommonLayout(layout(1000, "Stairs"));
+      await store.upsertCommonLayout(layout(1001, "Lobby"));
+      assert.deepEqual(
+        await store.getCommonLayout(1000),
+        layout(1000, "Stairs")
+      );
+      assert.equal(await store.getCommonLayout(1002), null);
+      assert.equal((await store.getCommonLayouts()).features.length, 2);
+
+      await store.saveCommonLayouts({
+        type: "FeatureCollection",
+        features: [layout(1002, "Hall")],
+      });
+      assert.deepEqual(await store.getCommonLayouts(), {
+        type: "FeatureCollection",
+        features: [layout(1002, "Hall")],
+      });
+    });
+
+    test("stores users", async () => {
+      const user = {
+        username: "sam",
+        role: "surveyor",
+        passwordHash: "scrypt$x",
+        piiAccess: false,
+        createdAt: "2026-01-02T03:04:05.000Z",
+      };
+      await store.saveUser(user);
+      await store.saveUser({ ...user, username: "kim", role: "admin" });
+      await store.saveUser({ ...user, piiAccess: true });
+      assert.deepEqual(await store.getUser("sam"), {
+        ...user,
+        piiAccess: true,
+      });
+      assert.equal(await store.getUser("lee"), null);
+      assert.deepEqual(
+        (await store.listUsers()).map((u) => u.username).sort(),
+        ["kim", "sam"]
+      );
+    });
+
+    test("logs PII access newest first", async () => {
+      for (const n of [1, 2, 3])
+        await store.appendPiiAccess({
+          at: `2026-01-0${n}T00:00:00.000Z`,
+          user: "sam",
+          key: `P-${n}__F1`,
+          versions: [n],
+          fields: ["section1.plotOwnerAadhaar"],
+        });
+      const log = await store.getPiiAccessLog({ limit: 2 });
+      assert.deepEqual(
+        log.map((r) => r.key),
+        ["P-3__F1", "P-2__F1"]
+      );
+      assert.deepEqual(log[0].versions, [3]);
+    });
+
+    test("keeps media records and their references", async () => {
+      const record = {
+        hash: "abc",
+        mime: "image/png",
+        bytes: 10,
+        width: 2,
+        height: 1,
+        files: { original: "abc.png" },
+        uploadedBy: "sam",
+        createdAt: "2026-01-02T03:04:05.000Z",
+        refs: [],
+      };
+      await store.saveMedia(record);
+      const ref = {
+        key: "P-1__F1",
+        propertyId: "P-1",
+        floor: 1,
+        version: 1,
+        field: "section9.buildingPhoto",
+      };
+      assert.equal(await store.addMediaRef("abc", ref), true);
+      assert.equal(await store.addMediaRef("abc", ref), true);
+      assert.equal(await store.addMediaRef("nope", ref), false);
+      assert.deepEqual(await store.getMedia("abc"), { ...record, refs: [ref] });
+      assert.equal((await store.listMedia()).length, 1);
+      await store.deleteMedia("abc");
+      assert.equal(await store.getMedia("abc"), null);
+    });
+
+    test("stores villages with their parcels", async () => {
+      const village = {
+        code: "V1",
+        name: "Village One",
+        subdivision: "Sub",
+        district: "Dist",
+        bbox: [77, 28, 77.1, 28.1],
+        parcelCount: 1,
+        createdAt: "2026-01-02T03:04:05.000Z",
+        createdBy: "sam",
+      };
+      const parcels = {
+        type: "FeatureCollection",
+        features: [building(1, { village_code: "V1" })],
+      };
+      await store.saveVillage(village, parcels);
+      assert.deepEqual(await store.listVillages(), [village]);
+      assert.deepEqual(await store.getVillageParcels("V1"), parcels.features);
+      assert.equal(await store.getVillageParcels("V2"), null);
+    });
+  });
+}
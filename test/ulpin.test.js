@@ -0,0 +1,195 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ulpin = require("../lib/ulpin");
+const { floorUlpin } = require("../lib/gisExport");
+
+// A 10 x 10 m layout near the Tilangpur Kotla parcels.
+const layout = {
+  bounds: {
+    minLon: 77.0251,
+    minLat: 28.6481,
+    maxLon: 77.0252,
+    maxLat: 28.6482,
+  },
+};
+
+function assertInCell(decoded, lon, lat) {
+  const [minLon, minLat, maxLon, maxLat] = decoded.bbox;
+  assert.ok(lon >= minLon && lon <= maxLon, `${lon} not in ${decoded.bbox}`);
+  assert.ok(lat >= minLat && lat <= maxLat, `${lat} not in ${decoded.bbox}`);
+}
+
+test("encodes each segment in its base", () => {
+  // lat 28+90 → "86", .648 → "K8", .000 → "00"; lon 77+180 → "DA",
+  // .025 → "0P", .000 → "00"; floor 0+578 → "H0".
+  assert.equal(ulpin.ulpinGenerator(77.025, 28.648, 0), "86K800DA0P00H0");
+});
+
+test("writes I and O as Y and Z, and reads them back", () => {
+  assert.equal(ulpin.toBase(18, 19, 2), "0Y");
+  assert.equal(ulpin.toBase(24, 32, 2), "0Z");
+  assert.equal(ulpin.fromBase("0Y", 19), 18);
+  assert.equal(ulpin.fromBase("0z", 32), 24);
+});
+
+test("round-trips points to the truncated micro-degree cell", () => {
+  for (const [lon, lat] of [
+    [77.0251234, 28.6481239],
+    [77, 28],
+    [-73.985428, 40.748817],
+    [151.209296, -33.86882],
+    [-58.381592, -34.603722],
+  ]) {
+    const code = ulpin.ulpinGenerator(lon, lat, 0);
+    assert.equal(code.length, ulpin.ULPIN_LENGTH);
+    const decoded = ulpin.decodeUlpin(code);
+    assert.equal(decoded.ulpin, code);
+    assert.equal(decoded.longitude, Math.trunc(lon * 1e6) / 1e6);
+    assert.equal(decoded.latitude, Math.trunc(lat * 1e6) / 1e6);
+    assertInCell(decoded, lon, lat);
+    assert.equal(
+      ulpin.ulpinGenerator(decoded.longitude, decoded.latitude),
+      code
+    );
+  }
+});
+
+test("round-trips single-digit negative coordinates", () => {
+  for (const [lon, lat] of [
+    [-5.5, -5.25],
+    [-1, -1],
+    [-1.000001, -9.999999],
+    [-9.123456, 28.648],
+    [77.025, -3.141592],
+  ]) {
+    const decoded = ulpin.decodeUlpin(ulpin.ulpinGenerator(lon, lat, 0));
+    assert.equal(decoded.longitude, lon);
+    assert.equal(decoded.latitude, lat);
+    assertInCell(decoded, lon, lat);
+  }
+});
+
+test("building: the centroid ULPIN is the ground floor", () => {
+  const centroid = [77.02515, 28.64815];
+  const decoded = ulpin.decodeUlpin(floorUlpin(null, centroid, 1));
+  assertInCell(decoded, ...centroid);
+  assert.equal(decoded.floorIndex, 0);
+  assert.equal(decoded.floor, 1);
+});
+
+test("floor: taken at the layout centre with the floor index", () => {
+  for (const floor of [1, 2, 7, 40]) {
+    const decoded = ulpin.decodeUlpin(
+      ulpin.computeFloorPniuFromLayout(layout, floor)
+    );
+    assertInCell(decoded, 77.02515, 28.64815);
+    assert.equal(decoded.floor, floor);
+    assert.equal(decoded.floorIndex, ulpin.ulpinFloorIndex(floor));
+  }
+});
+
+test("room: taken at its reference point, or its centre without one", () => {
+  const room = { bounds: { x: 0.2, y: 0.6, width: 0.2, height: 0.2 } };
+  const centre = ulpin.decodeUlpin(
+    ulpin.computeRoomPniuFromLayout(layout, room, 3)
+  );
+  assertInCell(centre, 77.02513, 28.64817);
+  assert.equal(centre.floor, 3);
+
+  const pinned = ulpin.decodeUlpin(
+    ulpin.computeRoomPniuFromLayout(
+      layout,
+      { ...room, ulpin: { x: 0.9, y: 0.1 } },
+      3
+    )
+  );
+  assertInCell(pinned, 77.02519, 28.64811);
+});
+
+test("unit: apartments carry the ULPIN of their floor", () => {
+  const centroid = [77.02515, 28.64815];
+  assert.equal(
+    floorUlpin(layout, centroid, 4),
+    ulpin.computeFloorPniuFromLayout(layout, 4)
+  );
+  const decoded = ulpin.decodeUlpin(floorUlpin(null, centroid, 4));
+  assertInCell(decoded, ...centroid);
+  assert.equal(decoded.floor, 4);
+});
+
+test("layouts without bounds have no floor or room ULPIN", () => {
+  assert.equal(ulpin.computeFloorPniuFromLayout({}, 1), "N/A");
+  assert.equal(ulpin.computeRoomPniuFromLayout(null, {}, 1), "N/A");
+});
+
+test("encodes the ends of every range", () => {
+  for (const [lon, lat] of [
+    [180, 90],
+    [-180, -90],
+    [179.999999, 89.999999],
+    [-179.999999, -89.999999],
+    [0, 0],
+  ]) {
+    const decoded = ulpin.decodeUlpin(ulpin.ulpinGenerator(lon, lat, 0));
+    assert.equal(decoded.longitude, lon);
+    assert.equal(decoded.latitude, lat);
+  }
+  for (const floor of [-ulpin.FLOOR_OFFSET, 0, ulpin.MAX_FLOOR_INDEX]) {
+    const decoded = ulpin.decodeUlpin(ulpin.ulpinGenerator(77, 28, floor));
+    assert.equal(decoded.floorIndex, floor);
+  }
+  assert.equal(
+    ulpin.ulpinGenerator(77, 28, -ulpin.FLOOR_OFFSET).slice(-2),
+    "00"
+  );
+  assert.equal(
+    ulpin.ulpinGenerator(77, 28, ulpin.MAX_FLOOR_INDEX).slice(-2),
+    "XX"
+  );
+});
+
+test("encodes values below a micro-degree", () => {
+  const decoded = ulpin.decodeUlpin(ulpin.ulpinGenerator(77 + 1e-7, 1e-7, 0));
+  assert.equal(decoded.longitude, 77);
+  assert.equal(decoded.latitude, 0);
+});
+
+test("refuses what the scheme cannot hold", () => {
+  for (const [lon, lat, floor] of [
+    [181, 28, 0],
+    [77, -90.5, 0],
+    [-0.5, 28, 0],
+    [77, -0.000001, 0],
+    [NaN, 28, 0],
+    ["abc", 28, 0],
+    [77, 28, ulpin.MAX_FLOOR_INDEX + 1],
+    [77, 28, -ulpin.FLOOR_OFFSET - 1],
+    [77, 28, 1.5],
+  ])
+    assert.equal(
+      ulpin.ulpinGenerator(lon, lat, floor),
+      null,
+      `${[lon, lat, floor]}`
+    );
+});
+
+test("decodes case-insensitively and ignores surrounding spaces", () => {
+  assert.equal(ulpin.decodeUlpin(" 86k800da0p00h0 ").ulpin, "86K800DA0P00H0");
+});
+
+test("rejects malformed ULPINs", () => {
+  for (const code of [
+    null,
+    "",
+    "86K800DA0P00H", // too short
+    "86K800DA0P00H00", // too long
+    "86K800DA0P00H-", // not alphanumeric
+    "E6K800DA0P00H0", // E is not a base-14 digit
+    "86W800DA0P00H0", // W is not a base-32 digit
+    "86K800KA0P00H0", // K is not a base-19 digit
+    "86VV00DA0P00H0", // decimals 1023 > 999
+    "DD0000DA0P00H0", // latitude 105
+    "86K800YY0100H0", // longitude 180.001
+  ])
+    assert.equal(ulpin.decodeUlpin(code), null, String(code));
+});